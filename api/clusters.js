@@ -0,0 +1,21 @@
+import { acceptRequest, sendError, sendServerError } from '../lib/http.js';
+import { getCluster } from '../lib/demand-ledger.js';
+import { TriageLogger } from './triage.js';
+
+// GET /api/clusters/:similarity_group - demand and member tickets of a similarity cluster
+export default async function handler(req, res) {
+  const logger = new TriageLogger();
+  if (!(await acceptRequest(req, res, logger, ['GET']))) return;
+
+  try {
+    const similarityGroup = req.params?.similarity_group || req.query?.similarity_group;
+    const cluster = similarityGroup ? getCluster(similarityGroup) : null;
+    if (!cluster) {
+      return sendError(res, logger, 404, `Cluster not found: ${similarityGroup}`);
+    }
+
+    return res.status(200).json(cluster);
+  } catch (error) {
+    return sendServerError(res, logger, error);
+  }
+}
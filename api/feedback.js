@@ -0,0 +1,35 @@
+import { acceptRequest } from '../lib/http.js';
+import { normalizeCorrections, recordFeedback } from '../lib/feedback.js';
+import { getTriageHistory } from '../lib/triage-history.js';
+import { TriageLogger } from './triage.js';
+
+// POST /api/feedback - record the final human theme, recommendation and/or effort for a triaged ticket
+// Body: { issueKey, theme?, recommendation?, effort?, user? }
+export default async function handler(req, res) {
+  const logger = new TriageLogger();
+  if (!(await acceptRequest(req, res, logger, ['POST']))) return;
+
+  const body = req.body || {};
+  const { corrections, errors } = normalizeCorrections(body);
+  if (!body.issueKey) {
+    errors.unshift('issueKey is required');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ status: 'error', requestId: logger.requestId, error: errors.join('; ') });
+  }
+
+  // Feedback always applies to the latest triage run of the ticket
+  const run = getTriageHistory(body.issueKey)[0];
+  if (!run) {
+    return res.status(404).json({
+      status: 'error',
+      requestId: logger.requestId,
+      error: `No triage history for ${body.issueKey}`
+    });
+  }
+
+  const feedback = recordFeedback(run, corrections, { source: 'api', user: body.user ?? null });
+  logger.logAction('FEEDBACK_RECORDED', { issueKey: body.issueKey, source: 'api', ai: feedback.ai, human: feedback.human });
+
+  return res.status(200).json({ status: 'success', requestId: logger.requestId, feedback });
+}
@@ -0,0 +1,21 @@
+import { acceptRequest, sendError, sendServerError } from '../lib/http.js';
+import { getJob } from '../lib/jobs.js';
+import { TriageLogger } from './triage.js';
+
+// GET /api/jobs/:id - progress and per-issue results of a batch job
+export default async function handler(req, res) {
+  const logger = new TriageLogger();
+  if (!(await acceptRequest(req, res, logger, ['GET']))) return;
+
+  try {
+    const id = req.params?.id || req.query?.id;
+    const job = id ? getJob(id) : null;
+    if (!job) {
+      return sendError(res, logger, 404, `Job not found: ${id}`);
+    }
+
+    return res.status(200).json(job);
+  } catch (error) {
+    return sendServerError(res, logger, error);
+  }
+}
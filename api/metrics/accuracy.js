@@ -0,0 +1,27 @@
+import { acceptRequest, sendError, sendServerError } from '../../lib/http.js';
+import { computeAccuracy, listFeedback } from '../../lib/feedback.js';
+import { TriageLogger } from '../triage.js';
+
+// GET /api/metrics/accuracy?product=&since= - agreement between AI triage and human feedback
+export default async function handler(req, res) {
+  const logger = new TriageLogger();
+  if (!(await acceptRequest(req, res, logger, ['GET']))) return;
+
+  const { product, since } = req.query || {};
+  let records;
+  try {
+    records = listFeedback({ product, since });
+  } catch (error) {
+    return sendError(res, logger, 400, error.message);
+  }
+
+  try {
+    return res.status(200).json({
+      status: 'success',
+      filters: { product: product || null, since: since || null },
+      ...computeAccuracy(records)
+    });
+  } catch (error) {
+    return sendServerError(res, logger, error);
+  }
+}
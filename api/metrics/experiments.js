@@ -0,0 +1,35 @@
+import { acceptRequest, sendError, sendServerError } from '../../lib/http.js';
+import { listFeedback } from '../../lib/feedback.js';
+import { getExperimentConfig, listExperimentRuns, computeExperimentReport } from '../../lib/experiments.js';
+import { TriageLogger } from '../triage.js';
+
+// GET /api/metrics/experiments?name=&since= - variant distributions and agreement with human feedback
+export default async function handler(req, res) {
+  const logger = new TriageLogger();
+  if (!(await acceptRequest(req, res, logger, ['GET']))) return;
+
+  const { name, since } = req.query || {};
+  try {
+    const experiments = getExperimentConfig().experiments.filter(experiment => !name || experiment.name === name);
+    if (name && experiments.length === 0) {
+      return sendError(res, logger, 404, `Unknown experiment ${name}`);
+    }
+
+    let runs;
+    try {
+      runs = experiments.map(experiment => listExperimentRuns(experiment.name, { since }));
+    } catch (error) {
+      return sendError(res, logger, 400, error.message);
+    }
+
+    // Feedback is joined by issue key, whenever it was given
+    const feedback = listFeedback();
+    return res.status(200).json({
+      status: 'success',
+      filters: { name: name || null, since: since || null },
+      experiments: experiments.map((experiment, index) => computeExperimentReport(experiment, runs[index], feedback))
+    });
+  } catch (error) {
+    return sendServerError(res, logger, error);
+  }
+}
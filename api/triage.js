@@ -1,32 +1,64 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import Anthropic from '@anthropic-ai/sdk';
+import { getJiraConfig, writeBackTriageResult, isWriteBackLabel } from '../lib/jira.js';
+import { getClientIp, redactHeaders } from '../lib/auth.js';
+import { acceptRequest, sendError, sendServerError } from '../lib/http.js';
+import { loadProductContext, detectProduct, getProductDetails, getThemesForProduct, getAllThemes } from '../lib/product-context.js';
+import { matchTheme, isThemeNotIdentified, THEME_NOT_IDENTIFIED } from '../lib/theme-matcher.js';
+import { detectDuplicates, findSimilarTriagedTickets, indexTicket, removeTicket } from '../lib/ticket-index.js';
+import { generateWithFallback, getLlmConfig, getProviderStatus } from '../lib/providers/index.js';
+import { computeConfidence } from '../lib/confidence.js';
+import { computeContentHash, getCachedTriage, cacheTriage, invalidateCachedTriage } from '../lib/triage-cache.js';
+import { evaluateEventPolicy, DELETED_EVENT, UPDATED_EVENT } from '../lib/event-policy.js';
+import { getIssueDescription } from '../lib/issue-text.js';
+import { recordTriage, getTriageHistory, queryTriageHistory, snapshotIssue, summarizeTriage } from '../lib/triage-history.js';
+import { getAccountSource, getAccountSettings, getIssueParties, matchAccounts, summarizeAccounts, applyAccountImpact } from '../lib/accounts/index.js';
+import { feedbackFromChangelog, recordFeedback } from '../lib/feedback.js';
+import { loadExamples, selectExamples, describeExamples, formatThemeExample, formatPriorityExample } from '../lib/examples.js';
+import { buildDemandEntry, recordDemand, previewDemand, updateDemandOutcome, removeDemand, applyDemand } from '../lib/demand-ledger.js';
+import { PRIORITY_ANALYSIS_SCHEMA, SchemaValidationError, parseStructuredOutput, validatePriorityAnalysis } from '../lib/priority-schema.js';
+import { loadScoringConfig, getScoringProfile, calculateWeightedPriority, explainWeightedPriority, recommendationForPriority, describeThresholds, effortScoreFor } from '../lib/scoring-config.js';
+import { loadPromptTemplates, renderPrompt, promptFingerprint } from '../lib/prompt-templates.js';
+import { getExperimentConfig, assignExperiments, recordExperimentRun } from '../lib/experiments.js';
+
+// Product context (products, pillars, capabilities and themes) loaded once at startup
+const PRODUCT_CONTEXT = loadProductContext();
+
+// Scoring weights, effort scores and recommendation thresholds (per product)
+const SCORING_CONFIG = loadScoringConfig();
+
+// Variables the prompt builders below supply; a template using any other variable fails at startup
+const TICKET_VARIABLES = ['key', 'summary', 'description', 'priority', 'reporter', 'created', 'components', 'labels'];
+const SCORING_VARIABLES = [
+  'businessImpactWeight', 'strategicFitWeight', 'crossClientValueWeight', 'effortWeight',
+  'fastTrackBand', 'standardBand', 'onHoldBand', 'lowBand'
+];
+const PROMPT_VARIABLES = {
+  theme: [...TICKET_VARIABLES, 'productOverview', 'themeList', 'examples'],
+  priority: [
+    ...TICKET_VARIABLES, ...SCORING_VARIABLES,
+    'product', 'productConfidence', 'productOverview', 'corePillars', 'keyCapabilities', 'relevantFeatures',
+    'businessContext', 'technicalContext', 'similarTickets', 'confirmedDecisions', 'accountData', 'demand',
+    'effortSize', 'effortScore', 'effortDescription', 'effortReasoning'
+  ],
+  comprehensive: [...TICKET_VARIABLES, ...SCORING_VARIABLES, 'similarTickets', 'effortScores']
+};
 
-// Initialize AI clients with proper error checking
-let genAI = null;
-let anthropic = null;
+// Versioned prompt templates (prompts/); the theme and priority versions are part of every result
+const PROMPTS = loadPromptTemplates(undefined, { variables: PROMPT_VARIABLES });
 
-try {
-  if (process.env.GEMINI_API_KEY) {
-    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    console.log('✅ Gemini client initialized');
-  } else {
-    console.log('❌ GEMINI_API_KEY not set');
-  }
-} catch (error) {
-  console.error('❌ Failed to initialize Gemini client:', error.message);
+// LLM provider chains (fails fast on an invalid configuration)
+for (const [agentName, agent] of Object.entries(getLlmConfig().agents)) {
+  console.log(`🤖 ${agentName} agent chain: ${agent.chain.join(' → ')}`);
 }
 
-try {
-  if (process.env.CLAUDE_API_KEY) {
-    anthropic = new Anthropic({ apiKey: process.env.CLAUDE_API_KEY });
-    console.log('✅ Claude client initialized');
-  } else {
-    console.log('❌ CLAUDE_API_KEY not set');
-  }
-} catch (error) {
-  console.error('❌ Failed to initialize Claude client:', error.message);
+// Prompt and model experiments (fails fast on an invalid configuration or on an enabled
+// experiment naming an unknown prompt version or provider)
+for (const experiment of getExperimentConfig(getExperimentReferences()).experiments.filter(entry => entry.enabled)) {
+  console.log(`🧪 ${experiment.agent} experiment ${experiment.name}: ${experiment.variants.map(variant => `${variant.name} ${variant.percent}%`).join(', ')}${experiment.shadow ? ' (shadow)' : ''}`);
 }
 
+// Analysis statuses that were not produced by a schema-valid model answer
+const DEGRADED_ANALYSIS_STATUSES = ['partial', 'emergency', 'failed'];
+
 // Simple rate limiting (in-memory, resets on function restart)
 const requestCounts = new Map();
 const RATE_LIMIT = 10; // Max requests per minute per IP
@@ -52,15 +84,15 @@ function checkRateLimit(ip) {
   return true; // Allowed
 }
 
-// Configuration
+// Configuration (custom field IDs can be overridden per Jira instance)
 const CONFIG = {
-  AI_TRIAGE_STATUS_FIELD: 'customfield_10100',
-  AI_TRIAGE_OUTCOME_FIELD: 'customfield_10101',
-  AI_TRIAGE_NOTES_FIELD: 'customfield_10102'
+  AI_TRIAGE_STATUS_FIELD: process.env.JIRA_AI_TRIAGE_STATUS_FIELD || 'customfield_10100',
+  AI_TRIAGE_OUTCOME_FIELD: process.env.JIRA_AI_TRIAGE_OUTCOME_FIELD || 'customfield_10101',
+  AI_TRIAGE_NOTES_FIELD: process.env.JIRA_AI_TRIAGE_NOTES_FIELD || 'customfield_10102'
 };
 
 // Logger class for tracking operations
-class TriageLogger {
+export class TriageLogger {
   constructor() {
     this.requestId = generateUUID();
     this.startTime = new Date();
@@ -95,37 +127,26 @@ function generateUUID() {
 
 // Main API handler
 export default async function handler(req, res) {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  
-  // Handle preflight request
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-  
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  const logger = new TriageLogger();
+  if (!(await acceptRequest(req, res, logger, ['GET', 'POST']))) return;
+
+  const clientIP = getClientIp(req);
+
+  // History queries are cheap reads; only triage runs count against the rate limit
+  if (req.method === 'GET') {
+    return handleHistoryRequest(req, res, logger);
   }
 
   // Rate limiting
-  const clientIP = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
   if (!checkRateLimit(clientIP)) {
-    return res.status(429).json({ 
-      error: 'Rate limit exceeded. Please try again later.',
-      retryAfter: 60
-    });
+    return sendError(res, logger, 429, 'Rate limit exceeded. Please try again later.', { retryAfter: 60 });
   }
-
-  const logger = new TriageLogger();
-  let issueKey = null;
   
   try {
     // Log the complete request body
     console.log('📥 RECEIVED REQUEST:');
     console.log('Client IP:', clientIP);
-    console.log('Headers:', JSON.stringify(req.headers, null, 2));
+    console.log('Headers:', JSON.stringify(redactHeaders(req.headers), null, 2));
     console.log('Body:', JSON.stringify(req.body, null, 2));
     console.log('Body length:', JSON.stringify(req.body).length);
     console.log('---');
@@ -133,88 +154,415 @@ export default async function handler(req, res) {
     logger.logAction('WEBHOOK_RECEIVED', {
       clientIP: clientIP,
       contentLength: req.body ? JSON.stringify(req.body).length : 0,
-      headers: req.headers,
+      headers: redactHeaders(req.headers),
       body: req.body  // Log the actual request body
     });
     
     const data = req.body;
-    issueKey = data.issue?.key;
-    
-    if (!issueKey) {
-      throw new Error('No issue key provided in webhook');
-    }
-    
-    logger.logAction('WEBHOOK_PARSED', {
-      issueKey: issueKey,
-      webhookEvent: data.webhookEvent,
-      fullData: data  // Log the complete parsed data
+    const responseBody = await triageWebhookPayload(data, logger, {
+      force: req.query?.force === 'true' || data?.force === true,
+      writeBack: req.query?.writeback === 'true' || data?.writeBack === true
     });
     
-    // Process the ticket with full triage logic
-    const result = await processTicketWithFullTriage(issueKey, logger, data.issue);
-    
-    logger.logAction('PROCESSING_COMPLETE', result);
-    
-    const processingTime = logger.getProcessingTime();
+    return res.status(200).json(responseBody);
     
-    // Prepare Jira-friendly response format
-    const recommendation = result.analysis?.priority_recommendation || 'On Hold';
-    const importance = result.analysis?.scores?.overall_priority ?? 0;
-    const classification = classifyBugOrFeature(data.issue);
-    const themes = result.theme ? [result.theme] : [];
-    const similarity_group = generateSimilarityGroup(result.analysis, result.theme);
-    const confidence = result.analysis ? 0.75 : 0.0;
-    const notes = result.analysis?.executive_summary || '';
+  } catch (error) {
+    return sendServerError(res, logger, error);
+  }
+}
 
-    return res.status(200).json({
-      // Top-level fields for Jira Automation (easy mapping):
-      recommendation,                     // "Fast Track" | "Standard" | "On Hold" | "Low"
-      classification,                     // "Feature" | "Bug"
-      themes,                             // ["Analytics & Reporting - Core Analytics"]
-      similarity_group,                   // "SIM-042"
-      duplicate_keys: [],                 // [] for now, or fill from your own logic
-      importance,                         // 0–100
-      confidence,                         // 0.0-1.0
-      notes,                              // Executive summary for Jira
-
-      // Keep your original metadata (optional):
-      status: 'success',
+// Triage one webhook payload ({ webhookEvent?, issue }) and build the response body
+// Applies deletion handling, the event policy and the result cache; throws when the payload has no issue key.
+// Shared by the webhook handler and batch jobs.
+export async function triageWebhookPayload(data, logger, { force = false, writeBack = false } = {}) {
+  const issueKey = data?.issue?.key;
+  
+  if (!issueKey) {
+    throw new Error('No issue key provided in webhook');
+  }
+  
+  logger.logAction('WEBHOOK_PARSED', {
+    issueKey: issueKey,
+    webhookEvent: data.webhookEvent,
+    fullData: data  // Log the complete parsed data
+  });
+  
+  // Deleted tickets must not show up as duplicates or cached results any more
+  if (data.webhookEvent === DELETED_EVENT) {
+    const removedFromIndex = removeTicket(issueKey);
+    const removedFromCache = invalidateCachedTriage(issueKey);
+    const removedFromDemand = removeDemand(issueKey);
+    logger.logAction('ISSUE_DELETED', { issueKey, removedFromIndex, removedFromCache, removedFromDemand });
+    return {
+      status: 'deleted',
       requestId: logger.requestId,
-      issueKey: issueKey,
-      result: {
-        // Maintain backward compatibility
-        modelUsed: `${result.themeModel || 'Unknown'} (Theme) + ${result.priorityModel || 'Unknown'} (Priority)`,
-        responseTime: result.responseTime,
-        analysis: result.analysis,
-        actions: result.actions,
-        
-        // New fields (additive, not breaking)
-        theme: result.theme,
-        themeModel: result.themeModel,
-        priorityModel: result.analysis?.modelUsed,
-        modelSummary: {
-          themeClassification: result.themeModel,
-          priorityAnalysis: result.analysis?.modelUsed,
-          fallbackUsed: result.themeModel !== result.analysis?.modelUsed
-        },
-        
-        // Detailed analysis (maintaining all original fields)
-        scores: result.analysis?.scores || {},
-        priority_recommendation: result.analysis?.priority_recommendation || 'Not analyzed',
-        key_insights: result.analysis?.key_insights || [],
-        risks: result.analysis?.risks || [],
-        opportunities: result.analysis?.opportunities || [],
-        similar_features: result.analysis?.similar_features || 'Not analyzed',
-        recommended_next_steps: result.analysis?.recommended_next_steps || [],
-        executive_summary: result.analysis?.executive_summary || 'Not analyzed',
-        on_hold_reasoning: result.analysis?.on_hold_reasoning || 'Not applicable'
+      issueKey,
+      removedFromIndex,
+      removedFromCache,
+      removedFromDemand
+    };
+  }
+  
+  // A PM changing the triage outcome in Jira is feedback on the latest run; when nothing
+  // else changed there is nothing to re-triage
+  if (data.webhookEvent === UPDATED_EVENT && data.changelog?.items?.length > 0) {
+    const feedback = captureChangelogFeedback(issueKey, data, logger);
+    if (feedback) {
+      return {
+        status: 'feedback',
+        requestId: logger.requestId,
+        issueKey,
+        feedback
+      };
+    }
+  }
+  
+  // Only configured events, projects, issue types and statuses are triaged
+  const policy = evaluateEventPolicy(data);
+  if (!policy.triage) {
+    logger.logAction('EVENT_SKIPPED', { issueKey, webhookEvent: data.webhookEvent, reason: policy.reason });
+    return {
+      status: 'skipped',
+      skipped: policy.reason,
+      requestId: logger.requestId,
+      issueKey
+    };
+  }
+  
+  // Prompt and model experiments this ticket takes part in (see lib/experiments.js)
+  const experiments = getExperimentAssignments(issueKey);
+  const fingerprint = resultFingerprint(experiments);
+  
+  // Unchanged ticket, prompt templates and variants: return the stored result instead of re-running the agents
+  const contentHash = computeContentHash(data.issue);
+  const cached = force ? null : getCachedTriage(issueKey, contentHash, fingerprint);
+  if (cached) {
+    logger.logAction('CACHE_HIT', { issueKey, contentHash, cachedRequestId: cached.requestId, cachedAt: cached.cachedAt });
+    const cachedBody = {
+      ...cached.response,
+      cached: true,
+      cachedAt: cached.cachedAt,
+      cachedRequestId: cached.requestId,
+      requestId: logger.requestId
+    };
+    // A write-back asked for by this request is still done; with JIRA_WRITEBACK the result was
+    // written when it was produced, and writing it again would only repeat the comment
+    if (writeBack) {
+      cachedBody.writeBack = await writeBackTriageResult(issueKey, cachedBody, CONFIG, logger, getJiraConfig(), data.issue.fields?.labels ?? null);
+    } else if (getJiraConfig().writeBackEnabled) {
+      const reason = `Cached result, written back by request ${cached.requestId}`;
+      logger.logAction('JIRA_WRITEBACK_SKIPPED', { reason });
+      cachedBody.writeBack = { status: 'skipped', reason, steps: [] };
+    }
+    return { ...cachedBody, processingTime: logger.getProcessingTime() };
+  }
+  logger.logAction(force ? 'CACHE_BYPASSED' : 'CACHE_MISS', { issueKey, contentHash, prompts: fingerprint });
+  
+  // Process the ticket with full triage logic
+  const result = await processTicketWithFullTriage(issueKey, logger, data.issue, experiments);
+  
+  logger.logAction('PROCESSING_COMPLETE', result);
+  
+  const processingTime = logger.getProcessingTime();
+  
+  // Prepare Jira-friendly response format
+  const recommendation = result.analysis?.priority_recommendation || 'On Hold';
+  const importance = result.analysis?.scores?.overall_priority ?? 0;
+  const classification = classifyBugOrFeature(data.issue);
+  const themes = result.theme ? [result.theme] : [];
+  const similarity_group = result.similarityGroup;
+  const confidenceBreakdown = computeConfidence({
+    productConfidence: result.productConfidence,
+    themeValidation: result.themeValidation,
+    analysis: result.analysis,
+    estimatedEffort: result.estimatedEffort,
+    themeFallbackUsed: result.themeFallbackUsed,
+    priorityFallbackUsed: result.priorityFallbackUsed,
+    crossCheck: result.crossCheck
+  });
+  const confidence = confidenceBreakdown.score;
+  const notes = result.analysis?.executive_summary || '';
+  const analysis_status = result.analysis?.analysis_status || 'failed';
+  const degraded = DEGRADED_ANALYSIS_STATUSES.includes(analysis_status);
+  const model_recommendation = result.analysis?.scoring?.model_recommendation ?? null;
+  const recommendation_disagreement = !!result.analysis?.scoring?.disagreement;
+
+  const responseBody = {
+    // Top-level fields for Jira Automation (easy mapping):
+    recommendation,                     // "Fast Track" | "Standard" | "On Hold" | "Low"
+    classification,                     // "Feature" | "Bug"
+    themes,                             // ["Analytics & Reporting - Core Analytics"]
+    similarity_group,                   // "SIM-042"
+    duplicate_keys: result.duplicates.map(d => d.key), // ["PROJ-98"]
+    duplicates: result.duplicates,      // [{ key, score, summary, ... }]
+    demand: result.demand && {          // { tickets, customers } across the similarity group
+      tickets: result.demand.tickets,
+      customers: result.demand.customers,
+      requesters: result.demand.requesters,
+      organizations: result.demand.organizations,
+      linked_arr: result.demand.linked_arr
+    },
+    importance,                         // 0–100
+    confidence,                         // 0.0-1.0
+    confidence_breakdown: confidenceBreakdown.components, // [{ name, score, weight, detail }]
+    priority_breakdown: result.analysis?.priority_breakdown || [], // [{ dimension, score, weight, contribution, rationale, estimated }]
+    notes,                              // Executive summary for Jira
+    cached: false,                      // true when an unchanged ticket returned a stored result
+    analysis_status,                    // "complete" | "repaired" | "partial" | "emergency" | "failed"
+    degraded,                           // true when the analysis is not a validated model answer
+    model_recommendation,               // the model's own label; "recommendation" comes from scoring-config.json
+    recommendation_disagreement,        // true when the two differ
+
+    // Keep your original metadata (optional):
+    status: 'success',
+    requestId: logger.requestId,
+    issueKey: issueKey,
+    result: {
+      // Maintain backward compatibility
+      modelUsed: `${result.themeModel || 'Unknown'} (Theme) + ${result.priorityModel || 'Unknown'} (Priority)`,
+      responseTime: result.responseTime,
+      analysis: result.analysis,
+      actions: result.actions,
+      
+      // New fields (additive, not breaking)
+      theme: result.theme,
+      themeModel: result.themeModel,
+      themeValidation: result.themeValidation,
+      similarTicketsUsed: result.similarTickets.map(t => ({
+        key: t.key,
+        score: t.score,
+        recommendation: t.recommendation,
+        status: t.status
+      })),
+      examplesUsed: result.examplesUsed,
+      promptVersions: result.promptVersions,
+      experiments: result.experiments.map(({ outcomes, ...assignment }) => assignment),
+      priorityModel: result.priorityModel,
+      modelSummary: {
+        themeClassification: result.themeModel,
+        priorityAnalysis: result.priorityModel,
+        fallbackUsed: !!(result.themeFallbackUsed || result.priorityFallbackUsed)
       },
-      processingTime: processingTime
+      
+      // Detailed analysis (maintaining all original fields)
+      scores: result.analysis?.scores || {},
+      scoring: result.analysis?.scoring || null,
+      accounts: result.accounts || null,
+      priority_recommendation: result.analysis?.priority_recommendation || 'Not analyzed',
+      key_insights: result.analysis?.key_insights || [],
+      risks: result.analysis?.risks || [],
+      opportunities: result.analysis?.opportunities || [],
+      similar_features: result.analysis?.similar_features || 'Not analyzed',
+      recommended_next_steps: result.analysis?.recommended_next_steps || [],
+      executive_summary: result.analysis?.executive_summary || 'Not analyzed',
+      on_hold_reasoning: result.analysis?.on_hold_reasoning || 'Not applicable'
+    },
+    processingTime: processingTime
+  };
+
+  // Optional write-back of the results into the Jira ticket
+  const jiraConfig = getJiraConfig();
+  if (jiraConfig.writeBackEnabled || writeBack) {
+    responseBody.writeBack = await writeBackTriageResult(issueKey, responseBody, CONFIG, logger, jiraConfig, data.issue.fields?.labels ?? null);
+  }
+
+  // Failed analyses are not cached so the next event retries them
+  if (analysis_status !== 'failed') {
+    try {
+      const { writeBack, ...cacheableResponse } = responseBody;
+      cacheTriage(issueKey, contentHash, logger.requestId, cacheableResponse, fingerprint);
+    } catch (cacheError) {
+      logger.logAction('CACHE_WRITE_FAILED', { error: cacheError.toString() });
+    }
+  }
+
+  // Keep the run for auditing and the history API
+  try {
+    recordTriage({
+      requestId: logger.requestId,
+      issueKey,
+      webhookEvent: data.webhookEvent || null,
+      contentHash,
+      issue: snapshotIssue(data.issue),
+      product: result.product,
+      theme: result.theme,
+      recommendation,
+      importance,
+      scores: result.analysis?.scores || {},
+      confidence,
+      analysis_status,
+      modelUsed: { theme: result.themeModel, priority: result.priorityModel },
+      promptVersions: result.promptVersions,
+      experiments: result.experiments,
+      timings: { ...result.timings, processingTime },
+      classification,
+      similarity_group,
+      duplicate_keys: responseBody.duplicate_keys,
+      notes,
+      actions: result.actions,
+      // Action names only: the full log entries carry the webhook body twice
+      logActions: logger.logs.map(entry => entry.action)
     });
-    
+  } catch (historyError) {
+    logger.logAction('HISTORY_RECORD_FAILED', { error: historyError.toString() });
+  }
+
+  // Every variant that ran, for the experiment report
+  for (const run of result.experiments) {
+    try {
+      recordExperimentRun({ ...run, issueKey, requestId: logger.requestId });
+    } catch (experimentError) {
+      logger.logAction('EXPERIMENT_RECORD_FAILED', { experiment: run.experiment, error: experimentError.toString() });
+    }
+  }
+
+  return responseBody;
+}
+
+// Prompt versions and providers an experiment variant may name
+export function getExperimentReferences() {
+  return {
+    promptVersions: Object.fromEntries(Object.entries(PROMPTS.templates).map(([name, versions]) => [name, Object.keys(versions)])),
+    providers: Object.keys(getLlmConfig().providers)
+  };
+}
+
+// Variant of each enabled experiment for a ticket (the config is validated when it is loaded)
+function getExperimentAssignments(issueKey) {
+  return assignExperiments(getExperimentConfig(getExperimentReferences()), issueKey);
+}
+
+// Prompt templates and experiment variants behind a result ("theme@v1#...,priority@v2#...,tone=candidate");
+// a cached result is only reused for the same ones
+function resultFingerprint(experiments) {
+  const versions = Object.fromEntries(experiments
+    .filter(assignment => assignment.variant.prompt)
+    .map(assignment => [assignment.agent, assignment.variant.prompt]));
+  return [
+    promptFingerprint(PROMPTS, ['theme', 'priority'], versions),
+    ...experiments.map(assignment => `${assignment.experiment}=${assignment.variant.name}`)
+  ].join(',');
+}
+
+// Agent options for an experiment variant: its prompt version and provider chain, when set
+function variantOptions(variant) {
+  return { promptVersion: variant?.prompt || undefined, chain: variant?.chain || undefined };
+}
+
+// Logger for a shadow run: actions are prefixed with SHADOW_ and tagged with the experiment variant
+function shadowLogger(logger, assignment, variant) {
+  return {
+    requestId: logger.requestId,
+    logAction: (action, details = {}) =>
+      logger.logAction(`SHADOW_${action}`, { experiment: assignment.experiment, variant: variant.name, ...details })
+  };
+}
+
+// Run an agent with the assigned variant of its experiment and, in shadow mode, with the other
+// variants alongside; returns the assigned variant's result plus every variant's outcome
+async function runWithVariants(assignment, logger, runAgent, describeOutcome) {
+  if (!assignment) {
+    return { result: await runAgent(logger, {}), run: null };
+  }
+  logger.logAction('EXPERIMENT_VARIANT_ASSIGNED', {
+    experiment: assignment.experiment,
+    agent: assignment.agent,
+    variant: assignment.variant.name,
+    shadowVariants: assignment.shadowVariants.map(variant => variant.name)
+  });
+  const [result, ...shadowResults] = await Promise.all([
+    runAgent(logger, variantOptions(assignment.variant)),
+    ...assignment.shadowVariants.map(variant =>
+      runAgent(shadowLogger(logger, assignment, variant), variantOptions(variant)))
+  ]);
+
+  const outcomes = { [assignment.variant.name]: { shadow: false, ...describeOutcome(result) } };
+  assignment.shadowVariants.forEach((variant, index) => {
+    outcomes[variant.name] = { shadow: true, ...describeOutcome(shadowResults[index]) };
+  });
+  return {
+    result,
+    run: {
+      experiment: assignment.experiment,
+      agent: assignment.agent,
+      variant: assignment.variant.name,
+      shadowVariants: assignment.shadowVariants.map(variant => variant.name),
+      outcomes
+    }
+  };
+}
+
+// Record PM corrections from an issue_updated changelog against the ticket's latest triage run
+// Returns the stored feedback when only feedback fields changed, otherwise null
+function captureChangelogFeedback(issueKey, data, logger) {
+  try {
+    const run = getTriageHistory(issueKey)[0];
+    if (!run) return null;
+
+    const { corrections, errors, feedbackOnly } = feedbackFromChangelog(data.changelog, run);
+    if (errors.length > 0) {
+      logger.logAction('FEEDBACK_INVALID', { issueKey, errors });
+    }
+    if (Object.keys(corrections).length === 0) return null;
+
+    const user = data.user?.emailAddress || data.user?.displayName || data.user?.accountId || null;
+    const record = recordFeedback(run, corrections, { source: 'webhook', user });
+    logger.logAction('FEEDBACK_RECORDED', { issueKey, source: 'webhook', ai: record.ai, human: record.human });
+    return feedbackOnly ? record : null;
   } catch (error) {
-    logger.logAction('ERROR', { error: error.toString() });
-    
+    logger.logAction('FEEDBACK_RECORD_FAILED', { issueKey, error: error.toString() });
+    return null;
+  }
+}
+
+// GET /api/triage/:issueKey (past runs of one ticket) and GET /api/triage?theme=&recommendation=&since=&limit=
+function handleHistoryRequest(req, res, logger) {
+  const issueKey = req.params?.issueKey || req.query?.issueKey;
+
+  try {
+    if (issueKey) {
+      const runs = getTriageHistory(issueKey);
+      logger.logAction('HISTORY_LOOKUP', { issueKey, runs: runs.length });
+      if (runs.length === 0) {
+        return res.status(404).json({
+          status: 'error',
+          requestId: logger.requestId,
+          error: `No triage history for ${issueKey}`
+        });
+      }
+      return res.status(200).json({
+        status: 'success',
+        issueKey,
+        latest: runs[0],
+        runs: runs.map(summarizeTriage)
+      });
+    }
+
+    const { theme, recommendation, since } = req.query || {};
+    const limit = req.query?.limit ? Number(req.query.limit) : undefined;
+    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+      return res.status(400).json({
+        status: 'error',
+        requestId: logger.requestId,
+        error: `Invalid "limit": ${req.query.limit} (expected a positive integer)`
+      });
+    }
+    if (since && Number.isNaN(new Date(since).getTime())) {
+      return res.status(400).json({
+        status: 'error',
+        requestId: logger.requestId,
+        error: `Invalid "since" date: ${since}`
+      });
+    }
+    const runs = queryTriageHistory({ theme, recommendation, since, limit });
+    logger.logAction('HISTORY_QUERY', { theme, recommendation, since, runs: runs.length });
+    return res.status(200).json({
+      status: 'success',
+      count: runs.length,
+      runs: runs.map(summarizeTriage)
+    });
+  } catch (error) {
+    logger.logAction('HISTORY_QUERY_FAILED', { error: error.toString() });
     return res.status(500).json({
       status: 'error',
       requestId: logger.requestId,
@@ -224,13 +572,21 @@ export default async function handler(req, res) {
 }
 
 // Full triage processing function
-async function processTicketWithFullTriage(issueKey, logger, issueData = null) {
+async function processTicketWithFullTriage(issueKey, logger, issueData = null, experiments = []) {
   const result = {
     modelUsed: null,
     responseTime: 0,
     analysis: null,
     theme: null,
     themeModel: null,
+    duplicates: [],
+    similarityGroup: null,
+    similarTickets: [],
+    examplesUsed: { theme: [], priority: [] },
+    promptVersions: { theme: null, priority: null },
+    experiments: [],
+    accounts: null,
+    demand: null,
     actions: []
   };
   
@@ -257,26 +613,131 @@ async function processTicketWithFullTriage(issueKey, logger, issueData = null) {
     // Step 3: Agent 1 - Theme Classification (Specialized)
     logger.logAction('THEME_CLASSIFICATION_START');
     const themeStartTime = new Date();
-    const themeResult = await classifyTheme(issue, logger);
+    const themeExperiment = await runWithVariants(
+      experiments.find(assignment => assignment.agent === 'theme'),
+      logger,
+      (agentLogger, options) => classifyTheme(issue, agentLogger, options),
+      outcome => ({ promptVersion: outcome.promptVersion || null, model: outcome.modelUsed, theme: outcome.theme })
+    );
+    const themeResult = themeExperiment.result;
     const theme = themeResult.theme;
     const themeTime = new Date() - themeStartTime;
     result.theme = theme;
     result.themeModel = themeResult.modelUsed;
     result.modelUsed = themeResult.modelUsed;
+    result.themeFallbackUsed = !!themeResult.fallbackUsed;
+    result.examplesUsed.theme = themeResult.examplesUsed || [];
+    result.promptVersions.theme = themeResult.promptVersion || null;
+    result.themeValidation = {
+      rawOutput: themeResult.rawTheme,
+      matchMethod: themeResult.matchMethod,
+      matchScore: themeResult.matchScore ?? null,
+      retried: !!themeResult.retried
+    };
     result.actions.push(`Theme classified: ${theme} (${themeTime}ms)`);
+    result.actions.push(`Theme raw output: ${JSON.stringify(themeResult.rawTheme)} (match: ${themeResult.matchMethod || 'none'}${themeResult.retried ? ', after corrective retry' : ''})`);
     logger.logAction('THEME_CLASSIFICATION_COMPLETE', { theme: theme, time: themeTime });
     
-    // Step 4: Agent 2 - Priority Analysis (General)
+    // Step 4: Duplicate detection against previously triaged tickets
+    const indexEntry = {
+      key: issue.key || issueKey,
+      summary: issue.fields?.summary || '',
+      description: getIssueDescription(issue),
+      theme: theme
+    };
+    try {
+      const { duplicates, similarityGroup } = detectDuplicates({ ...indexEntry, linkedKeys: getDuplicateLinkKeys(issue) });
+      result.duplicates = duplicates;
+      result.similarityGroup = similarityGroup;
+      result.actions.push(`Duplicate check: ${duplicates.length} match(es), group ${similarityGroup}`);
+      logger.logAction('DUPLICATE_DETECTION_COMPLETE', {
+        duplicates: duplicates.map(d => ({ key: d.key, score: d.score })),
+        similarityGroup
+      });
+    } catch (indexError) {
+      logger.logAction('DUPLICATE_DETECTION_FAILED', { error: indexError.toString() });
+    }
+    
+    // Past decisions on similar tickets keep the priority agent consistent
+    try {
+      result.similarTickets = findSimilarTriagedTickets(indexEntry);
+      if (result.similarTickets.length > 0) {
+        result.actions.push(`Using ${result.similarTickets.length} similar past ticket(s) as context: ${result.similarTickets.map(t => t.key).join(', ')}`);
+      }
+      logger.logAction('SIMILAR_TICKETS_RETRIEVED', {
+        similarTickets: result.similarTickets.map(t => ({ key: t.key, score: t.score, recommendation: t.recommendation }))
+      });
+    } catch (indexError) {
+      logger.logAction('SIMILAR_TICKETS_FAILED', { error: indexError.toString() });
+    }
+    
+    // Step 5: Agent 2 - Priority Analysis (General)
     logger.logAction('PRIORITY_ANALYSIS_START');
     const priorityStartTime = new Date();
-    const analysisResult = await analyzePriority(issue, logger);
+    // Customers and revenue behind the request, when account data is configured
+    result.accounts = await getAccountSignal(issue, logger);
+    
+    // Demand across the ticket's similarity cluster, this ticket included
+    if (result.similarityGroup) {
+      try {
+        result.demand = recordDemand(result.similarityGroup, demandEntry(issue, result.accounts));
+        result.actions.push(`Demand in ${result.similarityGroup}: ${result.demand.tickets} ticket(s) from ${result.demand.customers} customer(s)`);
+        logger.logAction('DEMAND_RECORDED', result.demand);
+      } catch (ledgerError) {
+        logger.logAction('DEMAND_LEDGER_FAILED', { error: ledgerError.toString() });
+      }
+    }
+    
+    const priorityExperiment = await runWithVariants(
+      experiments.find(assignment => assignment.agent === 'priority'),
+      logger,
+      (agentLogger, options) => analyzePriority(issue, agentLogger, {
+        similarTickets: result.similarTickets,
+        accountSignal: result.accounts,
+        demand: result.demand,
+        ...options
+      }),
+      outcome => ({
+        promptVersion: outcome.promptVersion || null,
+        model: outcome.modelUsed,
+        recommendation: outcome.analysis?.priority_recommendation ?? null,
+        effort: outcome.analysis?.scores?.effort_size ?? null,
+        overallPriority: outcome.analysis?.scores?.overall_priority ?? null
+      })
+    );
+    const analysisResult = priorityExperiment.result;
     const analysis = analysisResult.analysis;
     const priorityTime = new Date() - priorityStartTime;
+    result.timings = { theme: themeTime, priority: priorityTime };
+    result.product = analysisResult.product || null;
+    result.examplesUsed.priority = analysisResult.examplesUsed || [];
+    result.promptVersions.priority = analysisResult.promptVersion || null;
+    result.actions.push(`Prompt versions: ${Object.values(result.promptVersions).filter(Boolean).join(', ') || 'none'}`);
+    result.experiments = [themeExperiment.run, priorityExperiment.run].filter(Boolean);
+    for (const run of result.experiments) {
+      const shadow = run.shadowVariants.length > 0 ? ` (shadow: ${run.shadowVariants.join(', ')})` : '';
+      result.actions.push(`Experiment ${run.experiment}: ${run.agent} variant ${run.variant}${shadow}`);
+    }
+    for (const [agent, examples] of Object.entries(result.examplesUsed)) {
+      if (examples.length > 0) {
+        result.actions.push(`Using ${examples.length} confirmed example(s) for the ${agent} agent: ${examples.map(example => example.key).join(', ')}`);
+      }
+    }
+    result.productConfidence = analysisResult.productConfidence;
+    result.estimatedEffort = analysisResult.estimatedEffort;
+    result.crossCheck = analysisResult.crossCheck || null;
     
     if (analysis && analysis.scores) {
       result.priorityModel = analysisResult.modelUsed; // Store priority model separately
+      result.priorityFallbackUsed = !!analysisResult.fallbackUsed;
       result.analysis = analysis;
       result.actions.push(`Priority analysis completed (${priorityTime}ms)`);
+      if (analysis.scoring?.disagreement) {
+        result.actions.push(`Model recommended ${analysis.scoring.model_recommendation} (${analysis.scoring.model_overall_priority}); scoring config gives ${analysis.priority_recommendation} (${analysis.scores.overall_priority})`);
+      }
+      if (DEGRADED_ANALYSIS_STATUSES.includes(analysis.analysis_status)) {
+        result.actions.push(`Priority analysis is ${analysis.analysis_status} (estimated: ${(analysis.estimated_fields || []).join(', ') || 'none'}) - manual review recommended`);
+      }
       logger.logAction('PRIORITY_ANALYSIS_SUCCESS', {
         recommendation: analysis.priority_recommendation,
         score: analysis.scores.overall_priority,
@@ -288,6 +749,25 @@ async function processTicketWithFullTriage(issueKey, logger, issueData = null) {
       logger.logAction('PRIORITY_ANALYSIS_FAILED');
     }
     
+    // Step 6: Remember this ticket for future duplicate checks
+    try {
+      indexTicket({
+        ...indexEntry,
+        similarityGroup: result.similarityGroup,
+        recommendation: result.analysis?.priority_recommendation || null,
+        status: issue.fields?.status?.name || null
+      });
+    } catch (indexError) {
+      logger.logAction('TICKET_INDEX_FAILED', { error: indexError.toString() });
+    }
+    if (result.demand) {
+      try {
+        updateDemandOutcome(result.similarityGroup, issue.key || issueKey, result.analysis?.priority_recommendation || null);
+      } catch (ledgerError) {
+        logger.logAction('DEMAND_LEDGER_FAILED', { error: ledgerError.toString() });
+      }
+    }
+    
     // Calculate total response time
     result.responseTime = themeTime + priorityTime;
     
@@ -300,236 +780,54 @@ async function processTicketWithFullTriage(issueKey, logger, issueData = null) {
   }
 }
 
-// Comprehensive triage prompt builder
-export function buildComprehensiveTriagePrompt(issue, similarTickets) {
+// Ticket fields shared by all prompt templates
+function ticketVariables(issue) {
+  return {
+    key: issue.key || 'Unknown',
+    summary: issue.fields?.summary || 'No summary',
+    description: getIssueDescription(issue) || 'No description',
+    priority: issue.fields?.priority?.name || 'Not set',
+    reporter: issue.fields?.reporter?.displayName || 'Unknown',
+    created: issue.fields?.created || 'Unknown',
+    components: issue.fields?.components?.map(c => c.name).join(', ') || 'None',
+    // The write-back's ai-* labels would hand the model a previous outcome
+    labels: issue.fields?.labels?.filter(label => !isWriteBackLabel(label)).join(', ') || 'None'
+  };
+}
+
+// Overall priority weights and recommendation bands of a scoring profile, as prompt text
+function scoringVariables(scoringProfile) {
+  const { weights } = scoringProfile;
+  const bands = describeThresholds(scoringProfile);
+  const percent = weight => `${Math.round(weight * 100)}%`;
+  return {
+    businessImpactWeight: percent(weights.business_impact),
+    strategicFitWeight: percent(weights.strategic_fit),
+    crossClientValueWeight: percent(weights.cross_client_value),
+    effortWeight: percent(weights.effort),
+    fastTrackBand: bands['Fast Track'],
+    standardBand: bands.Standard,
+    onHoldBand: bands['On Hold'],
+    lowBand: bands.Low
+  };
+}
+
+// Comprehensive triage prompt builder (prompts/comprehensive)
+export function buildComprehensiveTriagePrompt(issue, similarTickets, scoringProfile = getScoringProfile(SCORING_CONFIG)) {
   const similarText = similarTickets.length > 0
     ? similarTickets.map(t => 
         `- ${t.key}: ${t.fields.summary} (Status: ${t.fields.status.name})`
       ).join('\n')
     : 'No similar tickets found';
   
-  return `You are a Product Triage Specialist analyzing feature requests for prioritization.
-Your goal is to provide actionable recommendations for Product Managers.
-
-TICKET DETAILS:
-===============
-Ticket Key: ${issue.key}
-Title: ${issue.fields?.summary || 'No title provided'}
-Description: ${issue.fields?.description || 'No description provided'}
-Reporter: ${issue.fields?.reporter?.displayName || 'Unknown'}
-Created: ${issue.fields?.created || 'Unknown'}
-Priority: ${issue.fields?.priority?.name || 'Not set'}
-Components: ${issue.fields?.components?.map(c => c.name).join(', ') || 'None'}
-Labels: ${issue.fields?.labels?.join(', ') || 'None'}
-
-SIMILAR TICKETS FOUND:
-=====================
-${similarText}
-
-ANALYSIS FRAMEWORK:
-==================
-
-1. BUSINESS IMPACT ASSESSMENT (Score 0-100)
-   Evaluate:
-   - Number of clients affected (consider reporter's organization)
-   - Revenue impact (retention risk, expansion opportunity)
-   - Urgency indicators in description
-   - Competitive disadvantage if not addressed
-   - Strategic client importance
-
-2. EFFORT ESTIMATION
-   Classify as:
-   - XS: 1-2 weeks (simple config/UI change)
-   - S: 2-4 weeks (single service change)
-   - M: 1-2 months (multiple services, moderate complexity)
-   - L: 2-4 months (architectural changes, complex logic)
-   - XL: 4+ months (platform changes, major overhaul)
-   
-   Consider:
-   - Technical complexity described
-   - Integration requirements
-   - Testing complexity
-   - Rollout complexity
-
-3. STRATEGIC ALIGNMENT (Score 0-100)
-   Assess:
-   - Alignment with product direction
-   - Technical debt implications
-   - Platform capability enhancement
-   - Market positioning improvement
-   - Innovation vs optimization
-
-4. CROSS-CLIENT VALUE (Score 0-100)
-   Determine:
-   - Client-specific vs broadly applicable
-   - Potential adoption across customer base
-   - Industry vertical applicability
-   - Universal platform improvement
-
-5. OVERALL PRIORITY CALCULATION
-   Weighted average:
-   - Business Impact: 35%
-   - Strategic Alignment: 25%
-   - Cross-Client Value: 25%
-   - Effort (inverse): 15%
-
-PRIORITY RECOMMENDATION RULES:
-==============================
-- Overall Priority 80-100: "Fast Track" (Critical priority, immediate action)
-- Overall Priority 50-79: "Standard" (Normal triage queue)
-- Overall Priority 25-49: "On Hold" (Low priority, revisit quarterly)
-- Overall Priority 0-24: "Low" (Decline or defer indefinitely)
-
-REQUIRED OUTPUT FORMAT (JSON):
-=============================
-Provide your analysis in this EXACT JSON structure:
-{
-  "scores": {
-    "business_impact": <0-100>,
-    "effort_size": "<XS|S|M|L|XL>",
-    "effort_score": <0-100, where XS=100, S=80, M=60, L=40, XL=20>,
-    "strategic_fit": <0-100>,
-    "cross_client_value": <0-100>,
-    "overall_priority": <calculated weighted average>
-  },
-  "priority_recommendation": "<Fast Track|Standard|On Hold|Low>",
-  "key_insights": [
-    "<specific insight about business value>",
-    "<specific insight about implementation>",
-    "<specific insight about strategic fit>"
-  ],
-  "risks": [
-    "<primary risk if we build this>",
-    "<primary risk if we don't build this>"
-  ],
-  "opportunities": [
-    "<primary opportunity this enables>",
-    "<secondary opportunity or benefit>"
-  ],
-  "similar_features": "<brief description of related existing features or similar tickets>",
-  "recommended_next_steps": [
-    "<immediate next step for PM>",
-    "<validation or research needed>",
-    "<stakeholder alignment required>"
-  ],
-  "executive_summary": "<2-3 sentence summary capturing the essence of this request and your recommendation>"
-}
-
-Ensure all JSON fields are populated. Be specific and actionable in your insights and recommendations.`;
-}
-
-// Gemini API call with triage
-async function callGeminiWithTriage(prompt, logger) {
-  try {
-    // Use REST API like the original Google Apps Script
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${process.env.GEMINI_API_KEY}`;
-    
-    const payload = {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 2000,
-        candidateCount: 1
-      }
-    };
-    
-    const startTime = new Date();
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-    const responseTime = new Date() - startTime;
-    
-    logger.logAction('GEMINI_RESPONSE', {
-      responseTime: responseTime,
-      statusCode: response.status,
-      hasContent: response.ok
-    });
-    
-    if (response.ok) {
-      const result = await response.json();
-      
-      if (result.candidates && result.candidates[0] && result.candidates[0].content) {
-        const text = result.candidates[0].content.parts[0].text;
-        const parsed = parseAIResponse(text);
-        
-        if (parsed && parsed.scores) {
-          logger.logAction('GEMINI_PARSE_SUCCESS', {
-            recommendation: parsed.priority_recommendation,
-            score: parsed.scores.overall_priority
-          });
-          return parsed;
-        }
-      }
-    }
-    
-    logger.logAction('GEMINI_FAILED', {
-      statusCode: response.status,
-      response: response.statusText
-    });
-    return null;
-    
-  } catch (error) {
-    logger.logAction('GEMINI_ERROR', { error: error.toString() });
-    return null;
-  }
-}
-
-// Claude API call with triage (fallback)
-async function callClaudeWithTriage(prompt, logger) {
-  try {
-    // Check if anthropic is properly imported
-    if (!anthropic || !anthropic.messages) {
-      logger.logAction('CLAUDE_IMPORT_ERROR', { 
-        error: 'Anthropic SDK not properly imported',
-        anthropicType: typeof anthropic,
-        hasMessages: !!anthropic?.messages
-      });
-      return null;
-    }
-    
-    const startTime = new Date();
-    const response = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 10000, // Increased from 1500 to handle full JSON
-      temperature: 0.2,
-      messages: [{ role: 'user', content: prompt }]
-    });
-    const responseTime = new Date() - startTime;
-    
-    logger.logAction('CLAUDE_RESPONSE', {
-      responseTime: responseTime,
-      hasContent: !!response.content
-    });
-    
-    if (response.content && response.content[0] && response.content[0].text) {
-      const parsed = parseAIResponse(response.content[0].text);
-      
-      if (parsed && parsed.scores) {
-        logger.logAction('CLAUDE_PARSE_SUCCESS', {
-          recommendation: parsed.priority_recommendation,
-          score: parsed.scores.overall_priority
-        });
-        return parsed;
-      }
-    }
-    
-    logger.logAction('CLAUDE_FAILED', {
-      response: response.content ? 'No valid content' : 'No response'
-    });
-    return null;
-    
-  } catch (error) {
-    logger.logAction('CLAUDE_ERROR', { error: error.toString() });
-    return null;
-  }
+  return renderPrompt(PROMPTS, 'comprehensive', {
+    ...ticketVariables(issue),
+    summary: issue.fields?.summary || 'No title provided',
+    description: getIssueDescription(issue) || 'No description provided',
+    similarTickets: similarText,
+    effortScores: Object.entries(scoringProfile.effortScores).map(([size, score]) => `${size}=${score}`).join(', '),
+    ...scoringVariables(scoringProfile)
+  }).text;
 }
 
 // Parse AI response
@@ -598,17 +896,26 @@ export function parseAIResponse(text) {
       console.error('Available fields:', Object.keys(parsed));
       
       // Try to extract what we can from incomplete response
-      if (parsed.scores && parsed.scores.business_impact) {
+      if (parsed.scores && isScore(parsed.scores.business_impact)) {
         console.log('🔄 Attempting to create minimal valid response from incomplete data...');
         
-        // Create a minimal but valid response
+        // Create a minimal but valid response; defaulted scores are listed in estimated_fields
+        const estimatedFields = ['strategic_fit', 'cross_client_value', 'effort_size', 'effort_score', 'overall_priority']
+          .filter(field => (field === 'effort_size' ? !parsed.scores.effort_size : !isScore(parsed.scores[field])));
+        const scores = {
+          business_impact: parsed.scores.business_impact,
+          effort_size: parsed.scores.effort_size || 'M',
+          effort_score: isScore(parsed.scores.effort_score) ? parsed.scores.effort_score : 60,
+          ...withNeutralDimensions(parsed.scores)
+        };
         const minimalResponse = {
+          analysis_status: 'partial',
+          estimated_fields: estimatedFields,
           scores: {
-            business_impact: parsed.scores.business_impact || 0,
-            effort_size: parsed.scores.effort_size || 'M',
-            effort_score: parsed.scores.effort_score || 60,
-            overall_priority: parsed.scores.overall_priority || 50
+            ...scores,
+            overall_priority: isScore(parsed.scores.overall_priority) ? parsed.scores.overall_priority : calculateOverallPriority(scores)
           },
+          score_rationales: parsed.score_rationales || {},
           priority_recommendation: parsed.priority_recommendation || 'Standard',
           key_insights: parsed.key_insights || ['Analysis incomplete due to response truncation'],
           risks: parsed.risks || ['Unable to assess risks due to incomplete response'],
@@ -632,7 +939,7 @@ export function parseAIResponse(text) {
     }
     
     // Calculate overall priority if missing
-    if (!parsed.scores.overall_priority) {
+    if (!isScore(parsed.scores.overall_priority)) {
       parsed.scores.overall_priority = calculateOverallPriority(parsed.scores);
       console.log('🧮 Calculated missing overall priority:', parsed.scores.overall_priority);
     }
@@ -653,13 +960,26 @@ export function parseAIResponse(text) {
       const effortMatch = text.match(/"effort_size":\s*"([^"]+)"/);
       
       if (businessImpactMatch && priorityMatch) {
+        // Only the extracted scores are real; overall priority is recomputed from them, not guessed
+        const scores = {
+          business_impact: parseInt(businessImpactMatch[1]),
+          effort_size: effortMatch ? effortMatch[1] : 'M'
+        };
+        const effortScoreMatch = text.match(/"effort_score":\s*(\d+)/);
+        if (effortScoreMatch) scores.effort_score = parseInt(effortScoreMatch[1]);
+        for (const field of ['strategic_fit', 'cross_client_value']) {
+          const match = text.match(new RegExp(`"${field}":\\s*(\\d+)`));
+          if (match) scores[field] = parseInt(match[1]);
+        }
+        const estimatedDimensions = ['strategic_fit', 'cross_client_value'].filter(field => !isScore(scores[field]));
+        Object.assign(scores, withNeutralDimensions(scores));
+        scores.overall_priority = calculateOverallPriority(scores);
+
         const emergencyResponse = {
-          scores: {
-            business_impact: parseInt(businessImpactMatch[1]),
-            effort_size: effortMatch ? effortMatch[1] : 'M',
-            effort_score: effortMatch && effortMatch[1] === 'M' ? 60 : 50,
-            overall_priority: parseInt(businessImpactMatch[1]) * 0.7
-          },
+          analysis_status: 'emergency',
+          estimated_fields: ['overall_priority', ...(effortMatch ? [] : ['effort_size']), ...estimatedDimensions],
+          scores,
+          score_rationales: {},
           priority_recommendation: priorityMatch[1],
           key_insights: ['Emergency extraction from raw text due to parsing failure'],
           risks: ['Unable to assess risks due to parsing failure'],
@@ -686,38 +1006,70 @@ export function parseAIResponse(text) {
   }
 }
 
-// Calculate overall priority
-export function calculateOverallPriority(scores) {
-  // Weighted calculation
-  const businessWeight = 0.35;
-  const strategicWeight = 0.25;
-  const crossClientWeight = 0.25;
-  const effortWeight = 0.15;
-  
-  // Convert effort size to score
-  const effortScores = {
-    'XS': 100,
-    'S': 80,
-    'M': 60,
-    'L': 40,
-    'XL': 20
+// Neutral score for a dimension the model did not return (listed in estimated_fields)
+const NEUTRAL_DIMENSION_SCORE = 50;
+
+// Whether the model returned a score (0 is a real score, not a missing one)
+const isScore = value => typeof value === 'number' && Number.isFinite(value);
+
+// strategic_fit and cross_client_value, defaulting missing ones to the neutral score
+// so a recomputed overall priority never counts them as 0
+function withNeutralDimensions(scores) {
+  return {
+    strategic_fit: isScore(scores.strategic_fit) ? scores.strategic_fit : NEUTRAL_DIMENSION_SCORE,
+    cross_client_value: isScore(scores.cross_client_value) ? scores.cross_client_value : NEUTRAL_DIMENSION_SCORE
+  };
+}
+
+// Calculate overall priority with a scoring profile's weights (default profile unless given)
+export function calculateOverallPriority(scores, profile = getScoringProfile(SCORING_CONFIG)) {
+  return calculateWeightedPriority(scores, profile);
+}
+
+// Recompute the effort score, overall_priority and the recommendation from the scoring config
+// The model's own values are kept in `scoring` and any disagreement is flagged there;
+// `priority_breakdown` shows each dimension's contribution with the model's rationale.
+function applyScoringPolicy(analysis, profile) {
+  const modelOverall = analysis.scores.overall_priority ?? null;
+  const modelRecommendation = analysis.priority_recommendation ?? null;
+  const modelEffortScore = analysis.scores.effort_score ?? null;
+  const effortScore = effortScoreFor(analysis.scores, profile);
+  const overall = calculateWeightedPriority(analysis.scores, profile);
+  const recommendation = recommendationForPriority(overall, profile);
+  const estimated = analysis.estimated_fields || [];
+  const effortFromSize = profile.effortScores[analysis.scores.effort_size] !== undefined;
+
+  return {
+    ...analysis,
+    scores: { ...analysis.scores, effort_score: effortScore, overall_priority: overall },
+    priority_recommendation: recommendation,
+    priority_breakdown: explainWeightedPriority(analysis.scores, profile).map(component => ({
+      ...component,
+      rationale: analysis.score_rationales?.[component.dimension] || null,
+      // The effort score comes from the size, so it is estimated when the size was defaulted
+      estimated: component.dimension === 'effort'
+        ? (effortFromSize ? estimated.includes('effort_size') : estimated.includes('effort_score') || modelEffortScore === null)
+        : estimated.includes(component.dimension)
+    })),
+    scoring: {
+      profile: profile.profile,
+      overall_priority: overall,
+      recommendation,
+      model_overall_priority: modelOverall,
+      model_recommendation: modelRecommendation,
+      disagreement: modelRecommendation !== null && modelRecommendation !== recommendation,
+      effort_score: effortScore,
+      model_effort_score: modelEffortScore,
+      effort_disagreement: modelEffortScore !== null && modelEffortScore !== effortScore
+    }
   };
-  
-  const effortScore = scores.effort_score || effortScores[scores.effort_size] || 50;
-  
-  const overall = 
-    (scores.business_impact || 0) * businessWeight +
-    (scores.strategic_fit || 0) * strategicWeight +
-    (scores.cross_client_value || 0) * crossClientWeight +
-    effortScore * effortWeight;
-  
-  return Math.round(overall);
 }
 
 // Effort estimation framework with structured criteria
-function estimateEffort(issue, logger) {
+// The effort score for the estimated size comes from the scoring profile
+function estimateEffort(issue, logger, profile = getScoringProfile(SCORING_CONFIG)) {
   const summary = (issue.fields?.summary || '').toLowerCase();
-  const description = (issue.fields?.description || '').toLowerCase();
+  const description = getIssueDescription(issue).toLowerCase();
   const components = (issue.fields?.components || []).map(c => c.name.toLowerCase());
   const labels = (issue.fields?.labels || []).map(l => l.toLowerCase());
   
@@ -726,31 +1078,26 @@ function estimateEffort(issue, logger) {
     XS: {
       keywords: ['config', 'setting', 'toggle', 'button', 'styling', 'color', 'text', 'minor', 'small', 'simple'],
       patterns: ['fix.*button', 'change.*color', 'update.*text', 'add.*toggle'],
-      score: 100,
       description: '1-2 weeks: Simple config/UI changes, minor bug fixes'
     },
     S: {
       keywords: ['widget', 'component', 'api', 'endpoint', 'integration', 'moderate', 'medium'],
       patterns: ['add.*widget', 'new.*api', 'create.*component', 'integrate.*service'],
-      score: 80,
       description: '2-4 weeks: Single service changes, new components, moderate features'
     },
     M: {
       keywords: ['dashboard', 'report', 'workflow', 'complex', 'multiple', 'major'],
       patterns: ['new.*dashboard', 'create.*workflow', 'build.*report', 'multiple.*services'],
-      score: 60,
       description: '1-2 months: Multiple service integration, complex features, major UI changes'
     },
     L: {
       keywords: ['architecture', 'migration', 'platform', 'infrastructure', 'large'],
       patterns: ['architectural.*change', 'platform.*migration', 'infrastructure.*update'],
-      score: 40,
       description: '2-4 months: Architectural changes, platform migrations, complex integrations'
     },
     XL: {
       keywords: ['rewrite', 'overhaul', 'new product', 'major platform', 'enterprise'],
       patterns: ['rewrite.*system', 'new.*product', 'major.*overhaul', 'enterprise.*feature'],
-      score: 20,
       description: '4+ months: Platform rewrites, major infrastructure, new product lines'
     }
   };
@@ -809,7 +1156,7 @@ function estimateEffort(issue, logger) {
     reasoning.push('Security/compliance items typically S effort');
   }
   
-  const effortScore = effortIndicators[estimatedEffort].score;
+  const effortScore = profile.effortScores[estimatedEffort];
   
   logger.logAction('EFFORT_ESTIMATION', {
     estimatedEffort,
@@ -829,42 +1176,15 @@ function estimateEffort(issue, logger) {
 // Dynamic product context with detailed information
 function getProductContext(issue) {
   const summary = (issue.fields?.summary || '').toLowerCase();
-  const description = (issue.fields?.description || '').toLowerCase();
+  const description = getIssueDescription(issue).toLowerCase();
   const components = (issue.fields?.components || []).map(c => c.name.toLowerCase());
   const labels = (issue.fields?.labels || []).map(l => l.toLowerCase());
   
-  // Product detection logic
-  let detectedProduct = 'Unknown';
-  let confidence = 'Low';
-  
-  if (summary.includes('community') || description.includes('community') || 
-      components.some(c => c.includes('community')) || labels.some(l => l.includes('community'))) {
-    if (summary.includes('aurora') || description.includes('aurora') || 
-        components.some(c => c.includes('aurora')) || labels.some(l => l.includes('aurora'))) {
-      detectedProduct = 'Khoros Aurora Community';
-      confidence = 'High';
-    } else if (summary.includes('classic') || description.includes('classic') || 
-               components.some(c => c.includes('classic')) || labels.some(l => l.includes('classic'))) {
-      detectedProduct = 'Khoros Classic Community';
-      confidence = 'High';
-    } else {
-      detectedProduct = 'Khoros Community Platform';
-      confidence = 'Medium';
-    }
-  } else if (summary.includes('care') || description.includes('care') || 
-             components.some(c => c.includes('care')) || labels.some(l => l.includes('care'))) {
-    detectedProduct = 'Khoros Care';
-    confidence = 'High';
-  } else if (summary.includes('social') || description.includes('social') || 
-             summary.includes('marketing') || description.includes('marketing') ||
-             components.some(c => c.includes('social') || c.includes('marketing')) ||
-             labels.some(l => l.includes('social') || l.includes('marketing'))) {
-    detectedProduct = 'Khoros Social Media & Marketing';
-    confidence = 'High';
-  }
+  // Product detection keywords come from product-context.json
+  const { product: detectedProduct, confidence } = detectProduct(PRODUCT_CONTEXT, { summary, description, components, labels });
   
   // Get detailed product context based on detected product
-  const productDetails = getProductDetails(detectedProduct, issue);
+  const productDetails = getProductDetails(PRODUCT_CONTEXT, detectedProduct, summary, description);
   
   return {
     product: detectedProduct,
@@ -878,416 +1198,312 @@ function getProductContext(issue) {
   };
 }
 
-// Get detailed product information and context
-function getProductDetails(productName, issue) {
-  const summary = (issue.fields?.summary || '').toLowerCase();
-  const description = (issue.fields?.description || '').toLowerCase();
-  
-  switch (productName) {
-    case 'Khoros Aurora Community':
-      return {
-        overview: "Khoros Aurora is a unified platform for digital engagement, focusing on Community & Knowledge Management (CKM) for enterprise buyers. It represents a strategic shift from siloed tools to an integrated engagement ecosystem.",
-        corePillars: [
-          "Community Engagement: Peer-to-peer support, product feedback, gamification, loyalty programs",
-          "Digital Care: Unified agent workspace with smart routing and AI assistance",
-          "Social Media Management: Publishing, moderation, campaign execution, analytics"
-        ],
-        keyCapabilities: [
-          "Unified Platform: Integrates community content, curated knowledge, and agent workflows",
-          "Enterprise Architecture: Multi-brand management, role-based access, compliance (SOC 2, GDPR, CCPA)",
-          "Aurora AI: Contextual moderation, smart search, knowledge routing, intelligent content surfacing",
-          "Community Features: Advanced moderation, structured ideation, gamification, reputation systems",
-          "Knowledge Integration: Peer-to-agent escalation, CRM integration, case deflection",
-          "Customization: Flexible theming, developer SDK, open APIs, embeddable widgets"
-        ],
-        relevantFeatures: getRelevantAuroraFeatures(summary, description),
-        businessContext: "Enterprise B2B SaaS platform serving Fortune 500 companies, government agencies, and major brands. Focuses on reducing support costs through community-driven self-service and knowledge management.",
-        technicalContext: "Built on modern architecture with AI integration, multi-tenant support, and extensive customization options through SDK and APIs."
-      };
-      
-    case 'Khoros Care':
-      return {
-        overview: "Khoros Care provides unified customer care across messaging, social, and owned channels with AI-powered assistance and workflow automation.",
-        corePillars: [
-          "Agent Productivity: Unified workspace, smart routing, workflow automation",
-          "AI Assistance: Intelligent responses, automated workflows, predictive analytics",
-          "Multi-Channel Support: Messaging, social media, email, chat integration"
-        ],
-        keyCapabilities: [
-          "Unified Agent Workspace: Single interface for all customer interactions",
-          "Smart Routing: AI-powered ticket assignment and escalation",
-          "Workflow Automation: Automated responses and process optimization",
-          "AI Assistance: Intelligent suggestions and automated workflows"
-        ],
-        relevantFeatures: getRelevantCareFeatures(summary, description),
-        businessContext: "Enterprise customer care platform focused on reducing response times and improving customer satisfaction through AI and automation.",
-        technicalContext: "Modern cloud platform with AI integration, extensive API support, and enterprise-grade security."
-      };
-      
-    case 'Khoros Social Media & Marketing':
-      return {
-        overview: "Khoros Social Media & Marketing platform provides comprehensive social media management, campaign execution, and analytics across global social footprints.",
-        corePillars: [
-          "Social Publishing: Multi-platform content creation and scheduling",
-          "Campaign Management: Campaign execution, monitoring, and optimization",
-          "Analytics & Reporting: Performance metrics and ROI measurement"
-        ],
-        keyCapabilities: [
-          "Multi-Platform Publishing: Support for major social media platforms",
-          "Campaign Execution: End-to-end campaign management and optimization",
-          "Social Listening: Brand monitoring and crisis response",
-          "Analytics: Comprehensive reporting and performance metrics"
-        ],
-        relevantFeatures: getRelevantSocialFeatures(summary, description),
-        businessContext: "Enterprise social media management platform for brands and agencies managing global social presence.",
-        technicalContext: "Cloud-based platform with real-time monitoring, extensive API integration, and enterprise security."
-      };
-      
-    default:
-      return {
-        overview: "Khoros is a B2B SaaS platform serving enterprise customers in social media management, community engagement, and customer care.",
-        corePillars: [
-          "Community & Knowledge Management",
-          "Customer Care & Support",
-          "Social Media Management"
-        ],
-        keyCapabilities: [
-          "Enterprise-grade platform with AI integration",
-          "Multi-product ecosystem with unified data",
-          "Extensive customization and integration options"
-        ],
-        relevantFeatures: ["Core platform features and capabilities"],
-        businessContext: "Enterprise B2B SaaS platform serving Fortune 500 companies and major brands.",
-        technicalContext: "Modern cloud architecture with AI capabilities and enterprise security."
-      };
+// Render the allowed themes for a product as a prompt section
+function formatThemeList(productName) {
+  const themes = getThemesForProduct(PRODUCT_CONTEXT, productName);
+  if (!themes) {
+    return 'Available themes vary by product. Please classify based on the functional area this request addresses.';
   }
+  return `${productName}:\n${themes.map(theme => `- ${theme}`).join('\n')}`;
 }
 
-// Get relevant Aurora features based on ticket content
-function getRelevantAuroraFeatures(summary, description) {
-  const features = [];
-  
-  if (summary.includes('moderation') || description.includes('moderation')) {
-    features.push("AI-powered contextual moderation with automated flagging and escalation queues");
-  }
-  
-  if (summary.includes('search') || description.includes('search')) {
-    features.push("Smart search with intent-aware results and content discovery");
-  }
-  
-  if (summary.includes('knowledge') || description.includes('knowledge')) {
-    features.push("Knowledge base integration with AI-powered routing and recommendations");
-  }
-  
-  if (summary.includes('gamification') || description.includes('gamification')) {
-    features.push("Over 80 out-of-the-box triggers for badges, ranks, and rewards");
-  }
-  
-  if (summary.includes('theme') || description.includes('theme')) {
-    features.push("Multi-theme support with Theme Studio for low-code customization");
-  }
-  
-  if (summary.includes('api') || description.includes('api')) {
-    features.push("Open APIs and webhooks for integration with external systems");
-  }
-  
-  if (summary.includes('sdk') || description.includes('sdk')) {
-    features.push("Developer SDK for building custom components and extensions");
-  }
-  
-  if (summary.includes('workflow') || description.includes('workflow')) {
-    features.push("Content Workflow (CWA) for approval and governance flows");
-  }
-  
-  if (summary.includes('sso') || description.includes('sso')) {
-    features.push("Multi-auth SSO options including OpenID Connect/OAuth2 and JWT");
+// Examples section of the theme prompt: confirmed past decisions, or generic ones when none are similar
+function formatThemeExamples(examples) {
+  if (examples.length === 0) {
+    return `- "Add new analytics dashboard" → "ANALYTICS & REPORTING - Core Analytics"
+- "Improve community moderation" → "CONTENT MANAGEMENT & MODERATION - Moderation Features"
+- "Fix search functionality" → "SEARCH & DISCOVERY - Search Functionality"
+- "Add new API endpoint" → "INTEGRATION & PUBLISHING - Other Integrations"
+- "Update button styling" → "USER EXPERIENCE & INTERFACE - UI Components & Widgets"`;
   }
-  
-  return features.length > 0 ? features : ["Core community engagement and knowledge management features"];
+  return [
+    'These similar tickets were classified by the product team. Follow the same taxonomy:',
+    ...examples.map(formatThemeExample)
+  ].join('\n');
 }
 
-// Get relevant Care features based on ticket content
-function getRelevantCareFeatures(summary, description) {
-  const features = [];
-  
-  if (summary.includes('routing') || description.includes('routing')) {
-    features.push("Smart routing with AI-powered ticket assignment");
-  }
-  
-  if (summary.includes('workflow') || description.includes('workflow')) {
-    features.push("Workflow automation for process optimization");
-  }
-  
-  if (summary.includes('ai') || description.includes('ai')) {
-    features.push("AI assistance for intelligent responses and automation");
-  }
-  
-  if (summary.includes('integration') || description.includes('integration')) {
-    features.push("Multi-channel integration for unified customer experience");
-  }
-  
-  return features.length > 0 ? features : ["Core customer care and support features"];
+// Prompt for Agent 1 (theme classification): the rendered prompts/theme template { text, id, version, hash }
+// `version` picks a template version other than the active one (experiments)
+export function buildThemePrompt(issue, productContext = getProductContext(issue), examples = [], { version } = {}) {
+  return renderPrompt(PROMPTS, 'theme', {
+    ...ticketVariables(issue),
+    productOverview: productContext.context.overview,
+    themeList: formatThemeList(productContext.product),
+    examples: formatThemeExamples(examples)
+  }, { version });
 }
 
-// Get relevant Social features based on ticket content
-function getRelevantSocialFeatures(summary, description) {
-  const features = [];
-  
-  if (summary.includes('publishing') || description.includes('publishing')) {
-    features.push("Multi-platform social media publishing and scheduling");
-  }
-  
-  if (summary.includes('campaign') || description.includes('campaign')) {
-    features.push("Campaign management and execution tools");
-  }
-  
-  if (summary.includes('analytics') || description.includes('analytics')) {
-    features.push("Comprehensive social media analytics and reporting");
-  }
-  
-  if (summary.includes('listening') || description.includes('listening')) {
-    features.push("Social listening and brand monitoring");
-  }
-  
-  return features.length > 0 ? features : ["Core social media management features"];
+// Prompts both agents would receive for an issue, and their template versions (experiment variants
+// included), without calling a model (CLI --dry-run). The theme is not known yet, so similar tickets
+// are looked up by text only
+export async function buildTriagePrompts(issue) {
+  const silentLogger = { logAction: () => {} };
+  const productContext = getProductContext(issue);
+  const scoringProfile = getScoringProfile(SCORING_CONFIG, productContext.product);
+  const effortEstimation = estimateEffort(issue, silentLogger, scoringProfile);
+  const accountSignal = await getAccountSignal(issue, silentLogger);
+  const ticket = { key: issue.key, summary: issue.fields?.summary || '', description: getIssueDescription(issue) };
+  const { similarityGroup } = detectDuplicates({ ...ticket, linkedKeys: getDuplicateLinkKeys(issue) });
+  const demand = previewDemand(similarityGroup, demandEntry(issue, accountSignal));
+  const similarTickets = findSimilarTriagedTickets(ticket);
+  const themeExamples = getFewShotExamples(issue, 'theme', silentLogger, getAllowedThemes(productContext));
+  const examples = getFewShotExamples(issue, 'priority', silentLogger);
+  const experiments = getExperimentAssignments(issue.key);
+  const versionFor = agent => experiments.find(assignment => assignment.agent === agent)?.variant.prompt || undefined;
+  const theme = buildThemePrompt(issue, productContext, themeExamples, { version: versionFor('theme') });
+  const priority = buildPriorityPrompt(issue, { productContext, effortEstimation, similarTickets, accountSignal, demand, examples, scoringProfile, version: versionFor('priority') });
+  return {
+    product: productContext.product,
+    theme: theme.text,
+    priority: priority.text,
+    promptVersions: { theme: theme.id, priority: priority.id }
+  };
 }
 
-// Theme classification map
-const THEME_MAP = {
-  "Khoros Aurora Community": [
-    "ANALYTICS & REPORTING - AI-Powered Analytics",
-    "ANALYTICS & REPORTING - Core Analytics", 
-    "ANALYTICS & REPORTING - REVIEW",
-    "ANALYTICS & REPORTING - Reporting Enhancements",
-    "COMMUNITY FEATURES & ENGAGEMENT - ACCEPTED",
-    "CONTENT MANAGEMENT & MODERATION - Content Controls",
-    "CONTENT MANAGEMENT & MODERATION - Moderation Features",
-    "CONTENT MANAGEMENT & MODERATION - REVIEW",
-    "CONTENT MANAGEMENT & MODERATION - Spam & Security Controls",
-    "INTEGRATION & PUBLISHING - Events & Calendar",
-    "INTEGRATION & PUBLISHING - Other Integrations",
-    "INTEGRATION & PUBLISHING - Social Media Integration",
-    "PLATFORM ADMINISTRATION - Admin Tools",
-    "PLATFORM ADMINISTRATION - Infrastructure & Security",
-    "SEARCH & DISCOVERY - Content Discovery",
-    "SEARCH & DISCOVERY - Search Functionality",
-    "USER EXPERIENCE & INTERFACE - Communication Customization",
-    "USER EXPERIENCE & INTERFACE - Navigation & Layout",
-    "USER EXPERIENCE & INTERFACE - UI Components & Widgets",
-    "USER EXPERIENCE & INTERFACE - Visual Design"
-  ],
-  "Khoros Care": [
-    "AGENT PRODUCTIVITY & USER EXPERIENCE - Platform Stability (ONE Items)",
-    "AI, AUTOMATION & INTELLIGENT FEATURES - ROADMAP REVIEW",
-    "ANALYTICS & REPORTING - Permissions - LIKELY CARE",
-    "CHANNEL INTEGRATION & EXPANSION - App Store Integrations",
-    "CHANNEL INTEGRATION & EXPANSION - Bluesky (Twitter Replacement)",
-    "CHANNEL INTEGRATION & EXPANSION - Facebook Updates",
-    "CHANNEL INTEGRATION & EXPANSION - LinkedIn Enhancements",
-    "CHANNEL INTEGRATION & EXPANSION - SMS & Messaging Platforms",
-    "CHANNEL INTEGRATION & EXPANSION - Third-Party Integrations",
-    "CHANNEL INTEGRATION & EXPANSION - TikTok Suite",
-    "COMPLIANCE, SECURITY & AUTHENTICATION",
-    "CONFIGURATION & SYSTEM MANAGEMENT - CARE"
-  ],
-  "Khoros Classic Community": [
-    "UI/UX ENHANCEMENTS - UI/UX ENHANCEMENTS (4 Features)",
-    "USER MANAGEMENT & ANALYTICS - User Data & Export",
-    "SOCIAL MEDIA & PUBLISHING - Consider exceptions to maintenance mode",
-    "SOCIAL MEDIA & PUBLISHING - Phase 1: Immediate (Bugs Only)"
-  ],
-  "Khoros Social Media & Marketing": [
-    "AI & AUTOMATION",
-    "ANALYTICS & REPORTING - ROADMAP REVIEW",
-    "CHANNEL-SPECIFIC ENHANCEMENTS - LinkedIn Suite",
-    "CHANNEL-SPECIFIC ENHANCEMENTS - YouTube Features",
-    "PUBLISHING & CONTENT MANAGEMENT - Channel-Specific Publishing",
-    "PUBLISHING & CONTENT MANAGEMENT - Core Publishing Capabilities",
-    "USER EXPERIENCE & WORKFLOW"
-  ]
-};
+// Themes the classifier may return for a product (all themes when the product is unknown)
+function getAllowedThemes(productContext) {
+  return getThemesForProduct(PRODUCT_CONTEXT, productContext.product) || getAllThemes(PRODUCT_CONTEXT);
+}
+
+// Most similar human-confirmed examples for an agent ("theme" or "priority")
+// An unreadable examples file is logged and triage continues without examples
+function getFewShotExamples(issue, agent, logger, allowedThemes = null) {
+  try {
+    const ticket = { key: issue.key, summary: issue.fields?.summary || '', description: getIssueDescription(issue) };
+    const examples = selectExamples(ticket, loadExamples(), agent, { allowedThemes });
+    logger.logAction('FEW_SHOT_EXAMPLES_SELECTED', {
+      agent,
+      examples: describeExamples(examples),
+      tokens: examples.reduce((sum, example) => sum + example.tokens, 0)
+    });
+    return examples;
+  } catch (error) {
+    logger.logAction('FEW_SHOT_EXAMPLES_FAILED', { agent, error: error.toString() });
+    return [];
+  }
+}
 
 // Agent 1: Theme Classifier (Product-Aware)
-async function classifyTheme(issue, logger) {
+// `promptVersion` and `chain` override the active template and the agent's provider chain (experiments)
+async function classifyTheme(issue, logger, { promptVersion: version, chain } = {}) {
   // Get dynamic product context
   const productContext = getProductContext(issue);
+  const allowedThemes = getAllowedThemes(productContext);
   
-  const prompt = `You are a Khoros Product Theme Specialist. Your job is to classify feature requests and bugs into the appropriate product theme based on the request content and product context.
-
-ABOUT KHOROS PRODUCTS:
-======================
-${productContext.context.overview}
-
-WHAT "THEME" MEANS:
-===================
-A "theme" in Khoros represents a functional area or capability within a product. For example:
-- "ANALYTICS & REPORTING" covers dashboards, metrics, and data insights
-- "COMMUNITY FEATURES & ENGAGEMENT" covers user interaction, gamification, and community tools
-- "CONTENT MANAGEMENT & MODERATION" covers content creation, editing, and moderation workflows
-- "INTEGRATION & PUBLISHING" covers external system connections and content publishing
-
-AVAILABLE THEMES BY PRODUCT:
-============================
-${productContext.product === 'Khoros Aurora Community' ? `
-Khoros Aurora Community:
-- ANALYTICS & REPORTING - AI-Powered Analytics
-- ANALYTICS & REPORTING - Core Analytics  
-- ANALYTICS & REPORTING - REVIEW
-- ANALYTICS & REPORTING - Reporting Enhancements
-- COMMUNITY FEATURES & ENGAGEMENT - 
-- COMMUNITY FEATURES & ENGAGEMENT - ACCEPTED
-- CONTENT MANAGEMENT & MODERATION - Content Controls
-- CONTENT MANAGEMENT & MODERATION - Moderation Features
-- CONTENT MANAGEMENT & MODERATION - REVIEW
-- CONTENT MANAGEMENT & MODERATION - Spam & Security Controls
-- INTEGRATION & PUBLISHING - Calendar - IN REVIEW
-- INTEGRATION & PUBLISHING - Events & Calendar
-- INTEGRATION & PUBLISHING - Other Integrations
-- INTEGRATION & PUBLISHING - Social Media Integration
-- PLATFORM ADMINISTRATION - - ACCEPTED
-- PLATFORM ADMINISTRATION - Admin Tools
-- PLATFORM ADMINISTRATION - Infrastructure & Security
-- SEARCH & DISCOVERY - Content Discovery
-- SEARCH & DISCOVERY - REVIEW
-- SEARCH & DISCOVERY - Search Functionality
-- USER EXPERIENCE & INTERFACE - - IN REVIEW
-- USER EXPERIENCE & INTERFACE - Communication Customization
-- USER EXPERIENCE & INTERFACE - Navigation & Layout
-- USER EXPERIENCE & INTERFACE - TRANSFERRED
-- USER EXPERIENCE & INTERFACE - UI Components & Widgets
-- USER EXPERIENCE & INTERFACE - Visual Design
-- USER EXPERIENCE & INTERFACE - category nodes - ACCEPTED
-- USER EXPERIENCE & INTERFACE - marketplace - IN REVIEW` : 
-productContext.product === 'Khoros Care' ? `
-Khoros Care:
-- AGENT PRODUCTIVITY & USER EXPERIENCE - 
-- AGENT PRODUCTIVITY & USER EXPERIENCE - - UNDER REVIEW
-- AGENT PRODUCTIVITY & USER EXPERIENCE - Platform Stability (ONE Items)
-- AGENT PRODUCTIVITY & USER EXPERIENCE - REVIEW
-- AGENT PRODUCTIVITY & USER EXPERIENCE - UNDER REVIEW
-- AGENT PRODUCTIVITY & USER EXPERIENCE - items - NEW
-- AGENT PRODUCTIVITY & USER EXPERIENCE - panel - UNDER REVIEW
-- AI, AUTOMATION & INTELLIGENT FEATURES - 
-- AI, AUTOMATION & INTELLIGENT FEATURES - ROADMAP REVIEW
-- AI, AUTOMATION & INTELLIGENT FEATURES - UNDER REVIEW
-- ANALYTICS & REPORTING - 
-- ANALYTICS & REPORTING - Permissions - LIKELY CARE - UNDER REVIEW
-- ANALYTICS & REPORTING - UNDER REVIEW
-- ANALYTICS & REPORTING - Widget - UNDER REVIEW
-- CHANNEL INTEGRATION & EXPANSION - App Store Integrations
-- CHANNEL INTEGRATION & EXPANSION - Bluesky (Twitter Replacement)
-- CHANNEL INTEGRATION & EXPANSION - CARE - UNDER REVIEW
-- CHANNEL INTEGRATION & EXPANSION - Facebook Updates
-- CHANNEL INTEGRATION & EXPANSION - LinkedIn Enhancements
-- CHANNEL INTEGRATION & EXPANSION - REVIEW
-- CHANNEL INTEGRATION & EXPANSION - SMS & Messaging Platforms
-- CHANNEL INTEGRATION & EXPANSION - Third-Party Integrations
-- CHANNEL INTEGRATION & EXPANSION - TikTok Suite
-- COMPLIANCE, SECURITY & AUTHENTICATION - 
-- CONFIGURATION & SYSTEM MANAGEMENT - 
-- CONFIGURATION & SYSTEM MANAGEMENT - - LIKELY CARE - UNDER REVIEW
-- CONFIGURATION & SYSTEM MANAGEMENT - CARE - UNDER REVIEW
-- CONFIGURATION & SYSTEM MANAGEMENT - REVIEW
-- PLATFORM & COMMUNITY FEATURES - 
-- PLATFORM & COMMUNITY FEATURES - REVIEW
-- PLATFORM & COMMUNITY FEATURES - UNDER REVIEW` :
-productContext.product === 'Khoros Social Media & Marketing' ? `
-Khoros Social Media & Marketing:
-- AI & AUTOMATION - 
-- ANALYTICS & REPORTING - 
-- ANALYTICS & REPORTING - ROADMAP REVIEW
-- CHANNEL-SPECIFIC ENHANCEMENTS - LinkedIn Suite
-- CHANNEL-SPECIFIC ENHANCEMENTS - REVIEW
-- CHANNEL-SPECIFIC ENHANCEMENTS - YouTube Features
-- COMPLIANCE (DEPRECATED) - 
-- PUBLISHING & CONTENT MANAGEMENT - Channel-Specific Publishing
-- PUBLISHING & CONTENT MANAGEMENT - Core Publishing Capabilities
-- USER EXPERIENCE & WORKFLOW -` : 
-`Available themes vary by product. Please classify based on the functional area this request addresses.`}
-
-TICKET DETAILS:
-===============
-Key: ${issue.key}
-Summary: ${issue.fields?.summary || 'No summary'}
-Description: ${issue.fields?.description || 'No description'}
-Components: ${issue.fields?.components?.map(c => c.name).join(', ') || 'None'}
-Labels: ${issue.fields?.labels?.join(', ') || 'None'}
-
-CLASSIFICATION RULES:
-====================
-1. Read the summary and description carefully
-2. Identify the primary functional area being addressed
-3. Match it to the most specific theme from the list above
-4. If the request spans multiple themes, choose the primary one
-5. If no clear match exists, use "THEME NOT IDENTIFIED"
-
-EXAMPLES:
-=========
-- "Add new analytics dashboard" → "ANALYTICS & REPORTING - Core Analytics"
-- "Improve community moderation" → "CONTENT MANAGEMENT & MODERATION - Moderation Features"
-- "Fix search functionality" → "SEARCH & DISCOVERY - Search Functionality"
-- "Add new API endpoint" → "INTEGRATION & PUBLISHING - Other Integrations"
-- "Update button styling" → "USER EXPERIENCE & INTERFACE - UI Components & Widgets"
-
-REQUIRED OUTPUT FORMAT:
-======================
-Return ONLY the exact theme name from the list above, or "THEME NOT IDENTIFIED" if no clear match exists.
-
-Do not include any other text, explanations, or formatting. Just the theme name.`;
-
-  let modelUsed = null;
+  const examples = getFewShotExamples(issue, 'theme', logger, allowedThemes);
+  const examplesUsed = describeExamples(examples);
+  const { text: prompt, id: promptVersion } = buildThemePrompt(issue, productContext, examples, { version });
+  logger.logAction('THEME_PROMPT_BUILT', { promptLength: prompt.length, promptVersion, productContext: productContext.product });
   
   try {
-    // Try Gemini first for theme classification
-    if (genAI) {
-      try {
-        const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-        const result = await model.generateContent(prompt);
-        const theme = result.response.text().trim();
-        modelUsed = 'Gemini Flash 2.0';
-        logger.logAction('THEME_CLASSIFICATION_SUCCESS', { theme: theme, model: modelUsed });
-        return { theme, modelUsed };
-      } catch (geminiError) {
-        logger.logAction('THEME_GEMINI_FAILED', { error: geminiError.toString() });
-      }
+    const firstAttempt = await generateThemeText(prompt, logger, issue.key, chain);
+    if (!firstAttempt) {
+      logger.logAction('THEME_CLASSIFICATION_BOTH_FAILED');
+      return { theme: THEME_NOT_IDENTIFIED, modelUsed: "None - All models failed", rawTheme: null, matchMethod: null, examplesUsed, promptVersion };
     }
     
-    // Fallback to Claude
-    if (anthropic) {
-      try {
-        const response = await anthropic.messages.create({
-          model: 'claude-3-5-sonnet-20241022',
-          max_tokens: 150,
-          temperature: 0.1,
-          messages: [{ role: 'user', content: prompt }]
-        });
-        const theme = response.content[0].text.trim();
-        modelUsed = 'Claude Sonnet 3.5';
-        logger.logAction('THEME_CLASSIFICATION_SUCCESS', { theme: theme, model: modelUsed });
-        return { theme, modelUsed };
-      } catch (claudeError) {
-        logger.logAction('THEME_CLAUDE_FAILED', { error: claudeError.toString() });
+    let rawTheme = firstAttempt.text;
+    let modelUsed = firstAttempt.modelUsed;
+    let fallbackUsed = firstAttempt.fallbackUsed;
+    let match = matchTheme(rawTheme, allowedThemes);
+    let retried = false;
+    
+    // Retry once with a corrective prompt when the answer is not an allowed theme
+    if (!match.theme && !isThemeNotIdentified(rawTheme)) {
+      logger.logAction('THEME_VALIDATION_FAILED', { rawTheme, product: productContext.product, bestScore: match.score });
+      retried = true;
+      
+      const correctivePrompt = `${prompt}
+
+CORRECTION:
+===========
+Your previous answer was: "${rawTheme.substring(0, 200)}"
+That is not one of the allowed themes for ${productContext.product}.
+Reply with exactly one theme copied verbatim from this list, or "THEME NOT IDENTIFIED":
+${allowedThemes.map(theme => `- ${theme}`).join('\n')}`;
+      
+      const retryAttempt = await generateThemeText(correctivePrompt, logger, issue.key, chain);
+      if (retryAttempt) {
+        rawTheme = retryAttempt.text;
+        modelUsed = retryAttempt.modelUsed;
+        fallbackUsed = retryAttempt.fallbackUsed;
+        match = matchTheme(rawTheme, allowedThemes);
       }
     }
     
-    // Both failed
-    logger.logAction('THEME_CLASSIFICATION_BOTH_FAILED');
-    return { theme: "THEME NOT IDENTIFIED", modelUsed: "None - Both models failed" };
+    const theme = match.theme || THEME_NOT_IDENTIFIED;
+    logger.logAction('THEME_CLASSIFICATION_SUCCESS', {
+      theme: theme,
+      rawTheme: rawTheme,
+      matchMethod: match.method,
+      matchScore: match.score,
+      retried: retried,
+      model: modelUsed,
+      promptVersion
+    });
+    return { theme, modelUsed, fallbackUsed, rawTheme, matchMethod: match.method, matchScore: match.score, retried, examplesUsed, promptVersion };
     
   } catch (error) {
     logger.logAction('THEME_CLASSIFICATION_ERROR', { error: error.toString() });
-    return { theme: "THEME NOT IDENTIFIED", modelUsed: "None - Error occurred" };
+    return { theme: THEME_NOT_IDENTIFIED, modelUsed: "None - Error occurred", rawTheme: null, matchMethod: null, examplesUsed, promptVersion };
+  }
+}
+
+// Get raw theme text from the theme agent's provider chain (or the given one)
+async function generateThemeText(prompt, logger, issueKey, chain = null) {
+  const generation = await generateWithFallback('theme', prompt, logger, {
+    accept: text => text.trim(),
+    chain,
+    context: { issueKey }
+  });
+  return generation ? { text: generation.value, modelUsed: generation.modelUsed, fallbackUsed: generation.fallbackUsed } : null;
+}
+
+// Render previously triaged similar tickets as a prompt section
+function formatSimilarTickets(similarTickets) {
+  if (similarTickets.length === 0) {
+    return 'No similar previously triaged tickets found.';
+  }
+  return [
+    'These previously triaged tickets are similar to this request. Stay consistent with these decisions unless this ticket clearly differs, and mention them in "similar_features".',
+    ...similarTickets.map(t =>
+      `- ${t.key}: ${t.summary} (Recommendation: ${t.recommendation}, Status: ${t.status || 'Unknown'}, Theme: ${t.theme || 'Unknown'}, Similarity: ${t.score})`
+    )
+  ].join('\n');
+}
+
+// Confirmed past decisions section of the priority prompt
+function formatPriorityExamples(examples) {
+  if (examples.length === 0) {
+    return 'No similar tickets with a decision confirmed by the product team.';
+  }
+  return [
+    'The product team confirmed these decisions on similar tickets. Calibrate your scores and recommendation against them:',
+    ...examples.map(formatPriorityExample)
+  ].join('\n');
+}
+
+// Customer and revenue section of the priority prompt
+function formatAccountSignal(signal) {
+  if (!signal) {
+    return 'No account data is configured.';
+  }
+  if (signal.accountCount === 0) {
+    return 'No accounts in the account dataset match this ticket (reporter, request participants, organizations or labels).';
+  }
+  const money = value => `$${Math.round(value).toLocaleString('en-US')}`;
+  const listed = signal.accounts.slice(0, 10);
+  return [
+    `Matched accounts: ${signal.accountCount} (total ARR ${money(signal.totalArr)}; ${money(signal.arrAtRisk)} renewing within ${signal.renewalWindowDays} days)`,
+    ...listed.map(account =>
+      `- ${account.name}: ARR ${money(account.arr)}, Tier: ${account.tier || 'Unknown'}, Renewal: ${account.renewalDate || 'Unknown'}${account.renewsWithinWindow ? ' (renewing soon)' : ''} (matched by ${account.matchedBy.join(', ')})`
+    ),
+    ...(signal.accountCount > listed.length ? [`- ... and ${signal.accountCount - listed.length} more`] : []),
+    'Ground the business impact score in these accounts: how many customers and how much revenue, especially revenue up for renewal, depend on this request.'
+  ].join('\n');
+}
+
+// Customer and revenue data for a ticket from the account source
+// Returns null when account data is not configured or cannot be read (the failure is logged)
+async function getAccountSignal(issue, logger) {
+  const source = getAccountSource();
+  if (!source) {
+    return null;
+  }
+  try {
+    const settings = getAccountSettings();
+    const accounts = await source.loadAccounts();
+    const signal = {
+      source: source.name,
+      ...summarizeAccounts(matchAccounts(accounts, getIssueParties(issue, settings)), settings)
+    };
+    logger.logAction('ACCOUNT_DATA_MATCHED', {
+      accountCount: signal.accountCount,
+      totalArr: signal.totalArr,
+      arrAtRisk: signal.arrAtRisk,
+      accounts: signal.accounts.map(account => account.name)
+    });
+    return signal;
+  } catch (error) {
+    logger.logAction('ACCOUNT_DATA_FAILED', { error: error.toString() });
+    return null;
+  }
+}
+
+// Keys of tickets Jira links to this one as duplicates (either direction)
+function getDuplicateLinkKeys(issue) {
+  return (issue.fields?.issuelinks || [])
+    .filter(link => /duplicat/i.test(link.type?.name || ''))
+    .map(link => link.inwardIssue?.key || link.outwardIssue?.key)
+    .filter(Boolean);
+}
+
+// Demand ledger entry for a ticket (requesters, organizations and matched accounts)
+function demandEntry(issue, accountSignal) {
+  const { participantsField, organizationsField } = getAccountSettings();
+  return buildDemandEntry(issue, { participantsField, organizationsField, accounts: accountSignal?.accounts || [] });
+}
+
+// Demand section of the priority prompt
+function formatDemand(demand) {
+  if (!demand) {
+    return 'Demand across similar requests is not available.';
+  }
+  if (demand.tickets <= 1) {
+    return `No other tickets request this yet (cluster ${demand.similarity_group}).`;
   }
+  const arr = demand.linked_arr !== null ? `, linked ARR $${Math.round(demand.linked_arr).toLocaleString('en-US')}` : '';
+  return [
+    `This request belongs to cluster ${demand.similarity_group}: ${demand.tickets} tickets from ${demand.customers} distinct customers (${demand.organizations} organizations, ${demand.requesters} requesters${arr}).`,
+    'Repeated demand from different customers should raise business impact and cross-client value.'
+  ].join('\n');
+}
+
+// Prompt for Agent 2 (priority analysis): the rendered prompts/priority template { text, id, version, hash }
+export function buildPriorityPrompt(issue, {
+  productContext,
+  effortEstimation,
+  similarTickets = [],
+  accountSignal = null,
+  demand = null,
+  examples = [],
+  scoringProfile = getScoringProfile(SCORING_CONFIG, productContext.product),
+  version
+}) {
+  const list = items => (items || []).map(item => `- ${item}`).join('\n');
+
+  return renderPrompt(PROMPTS, 'priority', {
+    ...ticketVariables(issue),
+    ...scoringVariables(scoringProfile),
+    product: productContext.product,
+    productConfidence: productContext.confidence,
+    productOverview: productContext.context.overview || 'Product overview not available',
+    corePillars: list(productContext.context.corePillars),
+    keyCapabilities: list(productContext.context.keyCapabilities),
+    relevantFeatures: list(productContext.context.relevantFeatures),
+    businessContext: productContext.context.businessContext || 'Business context not available',
+    technicalContext: productContext.context.technicalContext || 'Technical context not available',
+    similarTickets: formatSimilarTickets(similarTickets),
+    confirmedDecisions: formatPriorityExamples(examples),
+    accountData: formatAccountSignal(accountSignal),
+    demand: formatDemand(demand),
+    effortSize: effortEstimation.effort_size,
+    effortScore: effortEstimation.effort_score,
+    effortDescription: effortEstimation.description,
+    effortReasoning: effortEstimation.reasoning
+  }, { version });
 }
 
 // Agent 2: Priority Analyzer (Product-Aware with Structured Effort)
-async function analyzePriority(issue, logger) {
+// `promptVersion` and `chain` override the active template and the agent's provider chain (experiments)
+async function analyzePriority(issue, logger, { similarTickets = [], accountSignal = null, demand = null, promptVersion: version, chain } = {}) {
   try {
-    // Get structured effort estimation
-    const effortEstimation = estimateEffort(issue, logger);
-    
     // Get dynamic product context
     const productContext = getProductContext(issue);
+    const scoringProfile = getScoringProfile(SCORING_CONFIG, productContext.product);
+    
+    // Get structured effort estimation
+    const effortEstimation = estimateEffort(issue, logger, scoringProfile);
     
     // Validate product context
     if (!productContext.context) {
@@ -1299,206 +1515,74 @@ async function analyzePriority(issue, logger) {
       return { analysis: null, modelUsed: "Error - Product context missing" };
     }
     
-    const prompt = `You are a Khoros Product Priority Specialist. Your job is to analyze feature requests and bugs to determine their development priority based on business impact and implementation effort.
-
-PRODUCT CONTEXT:
-===============
-Detected Product: ${productContext.product} (Confidence: ${productContext.confidence})
-
-${productContext.context.overview || 'Product overview not available'}
-
-Core Product Pillars:
-${(productContext.context.corePillars || []).map(pillar => `- ${pillar}`).join('\n')}
-
-Key Capabilities:
-${(productContext.context.keyCapabilities || []).map(capability => `- ${capability}`).join('\n')}
-
-Relevant Features for This Request:
-${(productContext.context.relevantFeatures || []).map(feature => `- ${feature}`).join('\n')}
-
-Business Context: ${productContext.context.businessContext || 'Business context not available'}
-Technical Context: ${productContext.context.technicalContext || 'Technical context not available'}
-
-TICKET DETAILS:
-===============
-Key: ${issue.key}
-Summary: ${issue.fields?.summary || 'No summary'}
-Description: ${issue.fields?.description || 'No description'}
-Priority: ${issue.fields?.priority?.name || 'Not set'}
-Reporter: ${issue.fields?.reporter?.displayName || 'Unknown'}
-Created: ${issue.fields?.created || 'Unknown'}
-Components: ${issue.fields?.components?.map(c => c.name).join(', ') || 'None'}
-Labels: ${issue.fields?.labels?.join(', ') || 'None'}
-
-STRUCTURED EFFORT ESTIMATION:
-============================
-Effort Size: ${effortEstimation.effort_size}
-Effort Score: ${effortEstimation.effort_score}/100
-Description: ${effortEstimation.description}
-Reasoning: ${effortEstimation.reasoning}
-
-ANALYSIS FRAMEWORK:
-==================
-1. BUSINESS IMPACT ASSESSMENT (Score 0-100)
-   - Customer Impact: How many customers will benefit? (Enterprise = High, Niche = Low)
-   - Revenue Impact: Retention risk, expansion opportunity, competitive advantage
-   - Strategic Value: Alignment with product roadmap, market positioning
-   - Urgency: Security, compliance, critical bugs vs nice-to-have features
-
-2. PRIORITY DECISION MATRIX:
-   ==========================
-   
-   FAST TRACK (80-100):
-   - High business impact (70+) + Low effort (XS/S)
-   - Critical security/compliance issues
-   - High-value features for enterprise customers
-   - Competitive differentiators
-   
-   STANDARD (50-79):
-   - Moderate business impact (40-70) + Reasonable effort (S/M)
-   - Regular feature requests from multiple customers
-   - Platform improvements with clear value
-   - Moderate bug fixes affecting user experience
-   
-   ON HOLD (25-49):
-   - Low business impact (20-40) OR High effort (L/XL)
-   - Nice-to-have features for few customers
-   - Complex requests with unclear ROI
-   - Features that can wait without business impact
-   
-   LOW (0-24):
-   - Very low business impact (0-20) OR Very high effort (XL)
-   - Edge cases affecting very few users
-   - Architectural changes with minimal benefit
-   - Features that don't align with product strategy
-
-CRITICAL FACTORS FOR ON HOLD/LOW:
-================================
-- Customer Count: <5 customers = likely On Hold/Low
-- Request Age: >6 months old = consider On Hold
-- Effort vs Value: High effort + Low value = Low priority
-- Strategic Fit: Doesn't align with roadmap = On Hold
-- Competitive Pressure: No competitive disadvantage = Lower priority
-
-REQUIRED OUTPUT FORMAT (JSON):
-=============================
-{
-  "scores": {
-    "business_impact": <0-100>,
-    "effort_size": "${effortEstimation.effort_size}",
-    "effort_score": ${effortEstimation.effort_score},
-    "overall_priority": <calculated weighted average>
-  },
-  "priority_recommendation": "<Fast Track|Standard|On Hold|Low>",
-  "key_insights": [
-    "<specific insight about business value>",
-    "<specific insight about implementation effort>",
-    "<specific insight about strategic fit>"
-  ],
-  "risks": [
-    "<primary risk if we build this>",
-    "<primary risk if we don't build this>"
-  ],
-  "opportunities": [
-    "<primary opportunity this enables>",
-    "<secondary opportunity or benefit>"
-  ],
-  "similar_features": "<brief description of related existing features>",
-  "recommended_next_steps": [
-    "<immediate next step for PM>",
-    "<validation or research needed>",
-    "<stakeholder alignment required>"
-  ],
-  "executive_summary": "<2-3 sentence summary with clear recommendation and reasoning>",
-  "on_hold_reasoning": "<if On Hold/Low, explain why based on the criteria above>",
-  "effort_analysis": {
-    "estimated_effort": "${effortEstimation.effort_size}",
-    "reasoning": "${effortEstimation.reasoning}",
-    "confidence": "High (Structured Analysis)"
-  }
-}`;
+    const examples = getFewShotExamples(issue, 'priority', logger);
+    const examplesUsed = describeExamples(examples);
+    const { text: prompt, id: promptVersion } = buildPriorityPrompt(issue, { productContext, effortEstimation, similarTickets, accountSignal, demand, examples, scoringProfile, version });
 
     logger.logAction('PRIORITY_PROMPT_BUILT', { 
       promptLength: prompt.length,
+      promptVersion,
       productContext: productContext.product,
-      effortEstimation: effortEstimation.effort_size
+      scoringProfile: scoringProfile.profile,
+      effortEstimation: effortEstimation.effort_size,
+      similarTickets: similarTickets.map(t => t.key),
+      examples: examplesUsed.map(example => example.key),
+      accounts: accountSignal?.accountCount ?? null,
+      demand: demand && { tickets: demand.tickets, customers: demand.customers }
     });
 
-    let modelUsed = null;
+    // Run the priority agent's provider chain in structured-output mode;
+    // a response only counts once some analysis can be recovered from it
+    const generation = await generateWithFallback('priority', prompt, logger, {
+      schema: PRIORITY_ANALYSIS_SCHEMA,
+      accept: evaluatePriorityOutput,
+      chain,
+      context: { issueKey: issue.key }
+    });
     
-    // Try Gemini first
-    if (genAI) {
-      try {
-        const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-        const result = await model.generateContent(prompt);
-        const text = result.response.text();
-        const parsed = parseAIResponse(text);
-        if (parsed && parsed.scores) {
-          modelUsed = 'Gemini Flash 2.0';
-          logger.logAction('PRIORITY_ANALYSIS_SUCCESS', { 
-            recommendation: parsed.priority_recommendation,
-            score: parsed.scores.overall_priority,
-            model: modelUsed
-          });
-          return { analysis: parsed, modelUsed };
-        }
-      } catch (geminiError) {
-        logger.logAction('PRIORITY_GEMINI_FAILED', { error: geminiError.toString() });
-      }
-    }
+    // The service, not the model, decides the final score and recommendation; business impact
+    // and cross-client value are first blended with account revenue and cluster demand
+    const scoreAnalysis = analysis =>
+      applyScoringPolicy(applyDemand(applyAccountImpact(analysis, accountSignal), demand), scoringProfile);
     
-    // Fallback to Claude
-    if (anthropic) {
-      try {
-        logger.logAction('PRIORITY_CLAUDE_ATTEMPT', { promptLength: prompt.length });
-        
-        const response = await anthropic.messages.create({
-          model: 'claude-3-5-sonnet-20241022',
-          max_tokens: 3000, // Increased from 1500 to handle full JSON
-          temperature: 0.2,
-          messages: [{ role: 'user', content: prompt }]
-        });
-        
-        const text = response.content[0].text;
-        
-        logger.logAction('PRIORITY_CLAUDE_RESPONSE', { 
-          responseLength: text.length,
-          responsePreview: text.substring(0, 200),
-          hasContent: !!text
-        });
-        
-        const parsed = parseAIResponse(text);
-        
-        logger.logAction('PRIORITY_CLAUDE_PARSE_RESULT', { 
-          parsed: !!parsed,
-          hasScores: !!(parsed && parsed.scores),
-          parseResult: parsed ? Object.keys(parsed) : null,
-          rawResponse: text.substring(0, 500) // Log the actual response
-        });
-        
-        if (parsed && parsed.scores) {
-          modelUsed = 'Claude Sonnet 3.5';
-          logger.logAction('PRIORITY_ANALYSIS_SUCCESS', { 
-            recommendation: parsed.priority_recommendation,
-            score: parsed.scores.overall_priority,
-            model: modelUsed
-          });
-          return { analysis: parsed, modelUsed };
-        } else {
-          logger.logAction('PRIORITY_CLAUDE_PARSE_FAILED', { 
-            reason: 'Parsed result missing scores',
-            parsed: parsed,
-            rawResponse: text.substring(0, 500)
-          });
-        }
-      } catch (claudeError) {
-        logger.logAction('PRIORITY_CLAUDE_FAILED', { error: claudeError.toString() });
+    const modelAnalysis = generation && await finalizePriorityAnalysis(prompt, generation, logger, issue.key);
+    if (modelAnalysis) {
+      const analysis = scoreAnalysis(modelAnalysis);
+      if (analysis.scoring.disagreement) {
+        logger.logAction('PRIORITY_RECOMMENDATION_OVERRIDDEN', analysis.scoring);
       }
+
+      logger.logAction('PRIORITY_ANALYSIS_SUCCESS', { 
+        recommendation: analysis.priority_recommendation,
+        score: analysis.scores.overall_priority,
+        analysisStatus: analysis.analysis_status,
+        model: generation.modelUsed,
+        promptVersion
+      });
+      return {
+        analysis,
+        modelUsed: generation.modelUsed,
+        fallbackUsed: generation.fallbackUsed,
+        product: productContext.product,
+        productConfidence: productContext.confidence,
+        estimatedEffort: effortEstimation.effort_size,
+        examplesUsed,
+        promptVersion,
+        crossCheck: await crossCheckPriority(prompt, generation.provider, logger, issue.key, scoreAnalysis, chain)
+      };
     }
     
-    // Both failed
+    // No provider produced a usable analysis
     logger.logAction('PRIORITY_ANALYSIS_BOTH_FAILED');
-    return { analysis: null, modelUsed: "None - Both models failed" };
+    return {
+      analysis: null,
+      modelUsed: "None - All models failed",
+      product: productContext.product,
+      productConfidence: productContext.confidence,
+      estimatedEffort: effortEstimation.effort_size,
+      examplesUsed,
+      promptVersion
+    };
     
   } catch (error) {
     logger.logAction('PRIORITY_ANALYSIS_ERROR', { error: error.toString() });
@@ -1506,10 +1590,117 @@ REQUIRED OUTPUT FORMAT (JSON):
   }
 }
 
+// Optional second opinion for the confidence score (CONFIDENCE_CROSS_CHECK=true)
+// Asks the next provider in the priority chain (or the given one) and returns its scored recommendation, or null
+async function crossCheckPriority(prompt, usedProvider, logger, issueKey, scoreAnalysis, agentChain = null) {
+  if (process.env.CONFIDENCE_CROSS_CHECK !== 'true') {
+    return null;
+  }
+
+  const chain = agentChain || getLlmConfig().agents.priority.chain;
+  const remaining = chain.slice(chain.indexOf(usedProvider) + 1);
+  if (remaining.length === 0) {
+    return null;
+  }
+
+  const generation = await generateWithFallback('priority', prompt, logger, {
+    schema: PRIORITY_ANALYSIS_SCHEMA,
+    accept: text => {
+      const parsed = parseStructuredOutput(text) || parseAIResponse(text);
+      return parsed?.scores ? parsed : null;
+    },
+    chain: remaining,
+    context: { issueKey, crossCheck: true }
+  });
+  if (!generation) {
+    logger.logAction('PRIORITY_CROSS_CHECK_FAILED');
+    return null;
+  }
+
+  // Scored like the main analysis so agreement reflects the scores, not the model's labels
+  const { scoring } = scoreAnalysis(generation.value);
+  const crossCheck = {
+    modelUsed: generation.modelUsed,
+    priority_recommendation: scoring.recommendation,
+    overall_priority: scoring.overall_priority
+  };
+  logger.logAction('PRIORITY_CROSS_CHECK', crossCheck);
+  return crossCheck;
+}
+
+// Check a priority agent answer against the schema
+// Returns { structured, errors } when an analysis can be recovered, null to try the next provider
+function evaluatePriorityOutput(text) {
+  const structured = parseStructuredOutput(text);
+  if (structured?.scores) {
+    return { structured, errors: validatePriorityAnalysis(structured) };
+  }
+
+  // Not schema-shaped JSON; only worth repairing if the legacy parser can salvage something
+  const recovered = parseAIResponse(text);
+  if (!recovered?.scores) {
+    return null;
+  }
+  return { structured: null, errors: [new SchemaValidationError('$', 'json', 'response is not a JSON object with scores')] };
+}
+
+// Turn an accepted generation into the final analysis, marking how it was obtained:
+//   complete  - valid structured output on the first try
+//   repaired  - valid after one repair round-trip with the same provider
+//   partial   - legacy parser filled in missing fields (see estimated_fields)
+//   emergency - scores were regex-extracted from unparseable text
+async function finalizePriorityAnalysis(prompt, generation, logger, issueKey) {
+  const { structured, errors } = generation.value;
+  if (errors.length === 0) {
+    return { ...structured, analysis_status: 'complete' };
+  }
+
+  logger.logAction('PRIORITY_SCHEMA_VALIDATION_FAILED', {
+    provider: generation.provider,
+    errors: errors.map(error => error.message)
+  });
+
+  const repairPrompt = `${prompt}
+
+CORRECTION:
+Your previous answer did not match the required JSON schema:
+${errors.map(error => `- ${error.message}`).join('\n')}
+
+Previous answer:
+${generation.text.substring(0, 4000)}
+
+Respond again with ONLY the corrected JSON object, no markdown or explanation.`;
+
+  const repair = await generateWithFallback('priority', repairPrompt, logger, {
+    schema: PRIORITY_ANALYSIS_SCHEMA,
+    accept: evaluatePriorityOutput,
+    chain: [generation.provider],
+    context: { issueKey, repair: true }
+  });
+
+  if (repair && repair.value.errors.length === 0) {
+    logger.logAction('PRIORITY_SCHEMA_REPAIRED', { provider: generation.provider });
+    return { ...repair.value.structured, analysis_status: 'repaired' };
+  }
+
+  // Fall back to best-effort recovery of the original answer
+  const recovered = parseAIResponse(generation.text);
+  if (!recovered?.scores) {
+    logger.logAction('PRIORITY_SCHEMA_REPAIR_FAILED', { provider: generation.provider, analysisStatus: null });
+    return null;
+  }
+  const analysis = { ...recovered, analysis_status: recovered.analysis_status || 'partial' };
+  logger.logAction('PRIORITY_SCHEMA_REPAIR_FAILED', {
+    provider: generation.provider,
+    analysisStatus: analysis.analysis_status
+  });
+  return analysis;
+}
+
 // Helper function to classify if it's a bug or feature
 function classifyBugOrFeature(issueData) {
   const summary = (issueData?.fields?.summary || '').toLowerCase();
-  const description = (issueData?.fields?.description || '').toLowerCase();
+  const description = getIssueDescription(issueData).toLowerCase();
   const labels = (issueData?.fields?.labels || []).map(l => l.toLowerCase());
   
   // Bug indicators
@@ -1557,21 +1748,6 @@ function classifyBugOrFeature(issueData) {
   }
 }
 
-// Helper function to generate similarity group ID
-function generateSimilarityGroup(analysis, theme) {
-  if (!analysis?.similar_features) return null;
-  
-  // Create a simple hash-based ID from theme and similar features
-  const base = theme || 'unknown';
-  const similar = analysis.similar_features.substring(0, 20);
-  const hash = (base + similar).split('').reduce((a, b) => {
-    a = ((a << 5) - a + b.charCodeAt(0)) & 0xFFFFFFFF;
-    return a;
-  }, 0);
-  
-  return `SIM-${Math.abs(hash).toString().padStart(3, '0')}`;
-}
-
 // Health check endpoint
 export async function healthCheck(req, res) {
   return res.status(200).json({
@@ -1580,6 +1756,7 @@ export async function healthCheck(req, res) {
     services: {
       gemini: !!process.env.GEMINI_API_KEY,
       claude: !!process.env.CLAUDE_API_KEY
-    }
+    },
+    providers: getProviderStatus()
   });
 }
\ No newline at end of file
@@ -0,0 +1,83 @@
+import { acceptRequest } from '../../lib/http.js';
+import { createJob, runJob } from '../../lib/jobs.js';
+import { toPayloads } from '../../lib/issue-input.js';
+import { TriageLogger, triageWebhookPayload } from '../triage.js';
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '3', 10);
+const MAX_CONCURRENCY = 10;
+const MAX_ISSUES = parseInt(process.env.BATCH_MAX_ISSUES || '5000', 10);
+
+// Compact per-issue result stored on the job (full responses are in the triage history)
+function summarizeResult(body) {
+  return {
+    issueKey: body.issueKey,
+    status: body.status,
+    requestId: body.requestId,
+    recommendation: body.recommendation,
+    importance: body.importance,
+    confidence: body.confidence,
+    themes: body.themes,
+    analysis_status: body.analysis_status,
+    cached: !!body.cached,
+    skipped: body.skipped
+  };
+}
+
+// POST /api/triage/batch - triage many issues as a background job
+// Query/body options: force, writeBack, concurrency, wait (respond only when the job is done)
+export default async function handler(req, res) {
+  const logger = new TriageLogger();
+  if (!(await acceptRequest(req, res, logger, ['POST']))) return;
+
+  const body = req.body || {};
+  // An array of issues, or an object with an "issues" array (Jira search / JQL export)
+  const payloads = Array.isArray(body) || Array.isArray(body.issues) ? toPayloads(body) : null;
+  if (!payloads || payloads.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      requestId: logger.requestId,
+      error: 'Expected a non-empty array of issues, or an object with an "issues" array'
+    });
+  }
+  if (payloads.length > MAX_ISSUES) {
+    return res.status(400).json({
+      status: 'error',
+      requestId: logger.requestId,
+      error: `Batch has ${payloads.length} issues; the limit is ${MAX_ISSUES}`
+    });
+  }
+
+  const option = (name) => req.query?.[name] ?? (Array.isArray(body) ? undefined : body[name]);
+  const flag = (name) => option(name) === true || option(name) === 'true';
+  const concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, parseInt(option('concurrency') || DEFAULT_CONCURRENCY, 10) || 1));
+  const options = { force: flag('force'), writeBack: flag('writeBack') || flag('writeback'), concurrency };
+
+  const job = createJob('batch-triage', payloads.length, options);
+  logger.logAction('BATCH_JOB_CREATED', { jobId: job.id, total: payloads.length, options });
+
+  const run = runJob(job, payloads, async (payload) => {
+    const issueLogger = new TriageLogger();
+    try {
+      const result = await triageWebhookPayload(payload, issueLogger, options);
+      return summarizeResult(result);
+    } catch (error) {
+      issueLogger.logAction('ERROR', { error: error.toString() });
+      return { issueKey: payload.issue?.key || null, status: 'error', requestId: issueLogger.requestId, error: error.toString() };
+    }
+  }, { concurrency }).then(finished => {
+    logger.logAction('BATCH_JOB_FINISHED', { jobId: finished.id, status: finished.status, counts: finished.counts });
+    return finished;
+  });
+
+  if (flag('wait')) {
+    return res.status(200).json(await run);
+  }
+
+  return res.status(202).json({
+    status: 'accepted',
+    requestId: logger.requestId,
+    jobId: job.id,
+    total: job.total,
+    statusUrl: `/api/jobs/${job.id}`
+  });
+}
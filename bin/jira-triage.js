@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { FORMATS, formatComparison, formatEvaluation, formatRecords } from '../lib/cli-format.js';
+import { parseIssueText, readIssueFiles } from '../lib/issue-input.js';
+import { LABEL_FIELDS, compareReports, datasetFixtures, evaluateRun, parseDataset, recordResponses } from '../lib/evaluation.js';
+
+// Command-line triage for exported Jira issues
+// Run with `node --env-file=.env.local bin/jira-triage.js ...` to pick up API keys
+
+const USAGE = `Usage: jira-triage [options] [file|directory|-]...
+       jira-triage eval [options] <dataset.jsonl>   (see jira-triage eval --help)
+
+Triage exported Jira issues locally. Inputs are JSON or JSONL files, directories
+(every .json/.jsonl file), or JSONL on stdin when no path or "-" is given.
+Each entry is an issue ({ key, fields }), a webhook payload ({ webhookEvent, issue })
+or a Jira search export ({ issues: [...] }).
+
+Options:
+  -f, --format <format>    Output format: ${FORMATS.join(', ')} (default: table)
+  -p, --provider <name>    Use one provider for both agents (mock, gemini, claude, ...)
+      --dry-run            Print the prompts each agent would receive; no model is called
+      --force              Ignore cached results for unchanged tickets
+      --write-back         Write the results back to Jira (off by default, whatever JIRA_WRITEBACK says)
+  -v, --verbose            Print pipeline logs to stderr
+  -h, --help               Show this help`;
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f', default: 'table' },
+  provider: { type: 'string', short: 'p' },
+  'dry-run': { type: 'boolean', default: false },
+  force: { type: 'boolean', default: false },
+  'write-back': { type: 'boolean', default: false },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const EVAL_USAGE = `Usage: jira-triage eval [options] <dataset.jsonl>
+       jira-triage eval --compare [options] <baseline.json> <candidate.json>
+
+Run the full triage pipeline over a labeled dataset and report accuracy and
+macro-F1 per label, mean absolute score error and a per-ticket diff.
+Each JSONL line is { "issue": { key, fields }, "expected": { theme, classification,
+effort, recommendation, importance, scores }, "responses": { theme, priority } }.
+Runs use in-memory storage and never write back to Jira.
+
+Options:
+  -p, --provider <name>    Use one provider for both agents; with the mock provider,
+                           recorded "responses" and --fixtures are replayed
+      --fixtures <file>    Mock provider fixtures (JSON, keyed by issue key)
+      --record <file>      Save the model responses as mock fixtures for replay
+  -o, --output <file>      Save the report as JSON (for --baseline and --compare)
+      --baseline <file>    Compare this run with a saved report
+      --compare            Compare two saved reports instead of running
+      --tolerance <n>      Allowed drop in accuracy and macro-F1, and rise in MAE
+                           in points / 100 (default: 0)
+      --min-accuracy <n>   Fail when any label's accuracy is below n (0-1)
+  -f, --format <format>    Output format: ${FORMATS.join(', ')} (default: table)
+  -v, --verbose            Print pipeline logs to stderr
+  -h, --help               Show this help
+
+Exit status: 0 when the gates pass, 1 on a regression or low accuracy, 2 on usage errors.`;
+
+const EVAL_OPTIONS = {
+  provider: { type: 'string', short: 'p' },
+  fixtures: { type: 'string' },
+  record: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  baseline: { type: 'string' },
+  compare: { type: 'boolean', default: false },
+  tolerance: { type: 'string', default: '0' },
+  'min-accuracy': { type: 'string' },
+  format: { type: 'string', short: 'f', default: 'table' },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const fail = (message) => {
+  process.stderr.write(`jira-triage: ${message}\n`);
+  process.exit(2);
+};
+
+// The pipeline logs every step to stdout; keep stdout for results
+function routeLogs(verbose) {
+  if (verbose) {
+    console.log = (...args) => console.warn(...args);
+  } else {
+    console.log = () => {};
+    console.error = () => {};
+  }
+}
+
+// Use one provider for both agents; `options` (e.g. mock fixtures) are merged into its config
+function selectProvider(llm, name, { requireAvailable = true, options = {} } = {}) {
+  const providerConfig = llm.getLlmConfig().providers[name];
+  if (!providerConfig) {
+    fail(`unknown provider "${name}" (configured: ${Object.keys(llm.getLlmConfig().providers).join(', ')})`);
+  }
+  llm.setLlmConfig({
+    providers: { [name]: { ...providerConfig, ...options } },
+    agents: {
+      theme: { chain: [name] },
+      priority: { chain: [name] }
+    }
+  });
+  if (requireAvailable && !llm.getProvider(name).isAvailable()) {
+    fail(`provider "${name}" is not available (missing API key?)`);
+  }
+}
+
+function readJsonFile(filePath, what) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    fail(`cannot read ${what} ${filePath}: ${error.message}`);
+  }
+}
+
+function readInputs(paths) {
+  const stdinPaths = paths.length === 0 ? ['-'] : paths.filter(p => p === '-');
+  const filePaths = paths.filter(p => p !== '-');
+  const fromStdin = stdinPaths.length > 0 ? parseIssueText(fs.readFileSync(0, 'utf8'), 'stdin') : [];
+  return [...readIssueFiles(filePaths), ...fromStdin];
+}
+
+// Render --dry-run prompts
+function formatPrompts(prompts, format) {
+  if (format === 'json') {
+    return JSON.stringify(prompts, null, 2);
+  }
+  if (format === 'csv') {
+    return formatRecords(prompts, 'csv', [
+      ['Key', p => p.issueKey],
+      ['Product', p => p.product],
+      ['Theme version', p => p.promptVersions.theme],
+      ['Priority version', p => p.promptVersions.priority],
+      ['Theme prompt', p => p.prompts.theme],
+      ['Priority prompt', p => p.prompts.priority]
+    ]);
+  }
+  if (format === 'markdown') {
+    return prompts.map(p => [
+      `## ${p.issueKey} (${p.product})`,
+      `### Theme prompt (${p.promptVersions.theme})`, '```', p.prompts.theme, '```',
+      `### Priority prompt (${p.promptVersions.priority})`, '```', p.prompts.priority, '```'
+    ].join('\n')).join('\n\n');
+  }
+  return prompts.map(p => [
+    `===== ${p.issueKey}: theme prompt ${p.promptVersions.theme} (${p.product}) =====`, p.prompts.theme,
+    `===== ${p.issueKey}: priority prompt ${p.promptVersions.priority} =====`, p.prompts.priority
+  ].join('\n')).join('\n\n');
+}
+
+// Parse a number option within [min, max]
+function numberOption(values, name, min, max) {
+  if (values[name] === undefined) return null;
+  const value = Number(values[name]);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    fail(`--${name} must be a number from ${min} to ${max}`);
+  }
+  return value;
+}
+
+// jira-triage eval: score the pipeline against a labeled dataset, or compare two saved reports
+async function runEval(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: EVAL_OPTIONS, allowPositionals: true });
+  } catch (error) {
+    fail(`${error.message}\n\n${EVAL_USAGE}`);
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    process.stdout.write(`${EVAL_USAGE}\n`);
+    return 0;
+  }
+  if (!FORMATS.includes(values.format)) {
+    fail(`unknown format "${values.format}" (expected one of ${FORMATS.join(', ')})`);
+  }
+  const tolerance = numberOption(values, 'tolerance', 0, 1);
+  const minAccuracy = numberOption(values, 'min-accuracy', 0, 1);
+
+  if (values.compare) {
+    if (positionals.length !== 2) {
+      fail('--compare expects a baseline and a candidate report');
+    }
+    const [baseline, candidate] = positionals.map(file => readJsonFile(file, 'report'));
+    const comparison = compareReports(baseline, candidate, { tolerance });
+    process.stdout.write(`${formatComparison(comparison, values.format)}\n`);
+    return comparison.passed ? 0 : 1;
+  }
+
+  if (positionals.length !== 1) {
+    fail(`expected one dataset file\n\n${EVAL_USAGE}`);
+  }
+  const datasetPath = positionals[0];
+  let cases;
+  try {
+    cases = parseDataset(fs.readFileSync(datasetPath, 'utf8'), path.basename(datasetPath));
+  } catch (error) {
+    fail(error.message);
+  }
+  if (cases.length === 0) {
+    fail('the dataset has no cases');
+  }
+  const baseline = values.baseline ? readJsonFile(values.baseline, 'baseline report') : null;
+
+  // Evaluation runs start from an empty index and history and never write back to Jira
+  process.env.TRIAGE_STORAGE = 'memory';
+  process.env.JIRA_WRITEBACK = 'false';
+  routeLogs(values.verbose);
+
+  const { TriageLogger, triageWebhookPayload } = await import('../api/triage.js');
+  const llm = await import('../lib/providers/index.js');
+
+  if (values.provider) {
+    const isMock = llm.getLlmConfig().providers[values.provider]?.type === 'mock';
+    const fixtures = isMock
+      ? { ...(values.fixtures ? readJsonFile(values.fixtures, 'fixtures') : {}), ...datasetFixtures(cases) }
+      : undefined;
+    selectProvider(llm, values.provider, { options: fixtures ? { fixtures } : {} });
+  } else if (values.fixtures) {
+    fail('--fixtures needs --provider set to a mock provider');
+  }
+
+  const { agents } = llm.getLlmConfig();
+  const providerNames = [...new Set([...agents.theme.chain, ...agents.priority.chain])];
+  const recorded = values.record ? recordResponses(providerNames.map(name => llm.getProvider(name))) : null;
+
+  const responses = [];
+  for (const [index, entry] of cases.entries()) {
+    const logger = new TriageLogger();
+    process.stderr.write(`[${index + 1}/${cases.length}] ${entry.key}\n`);
+    try {
+      responses.push(await triageWebhookPayload(entry.payload, logger, { force: true }));
+    } catch (error) {
+      responses.push({ issueKey: entry.key, status: 'error', requestId: logger.requestId, error: error.message });
+    }
+  }
+
+  const report = {
+    dataset: path.basename(datasetPath),
+    providers: providerNames,
+    promptVersions: responses.find(body => body.result?.promptVersions)?.result.promptVersions ?? null,
+    createdAt: new Date().toISOString(),
+    ...evaluateRun(cases, responses)
+  };
+  if (values.output) {
+    fs.writeFileSync(values.output, `${JSON.stringify(report, null, 2)}\n`);
+  }
+  if (recorded) {
+    fs.writeFileSync(values.record, `${JSON.stringify(recorded, null, 2)}\n`);
+  }
+  process.stdout.write(`${formatEvaluation(report, values.format)}\n`);
+
+  let code = 0;
+  if (minAccuracy !== null) {
+    const below = LABEL_FIELDS.filter(field => report.metrics[field].accuracy !== null && report.metrics[field].accuracy < minAccuracy);
+    if (below.length > 0) {
+      process.stderr.write(`jira-triage: accuracy below ${minAccuracy} for ${below.join(', ')}\n`);
+      code = 1;
+    }
+  }
+  if (baseline) {
+    const comparison = compareReports(baseline, report, { tolerance });
+    process.stdout.write(`\n${formatComparison(comparison, values.format)}\n`);
+    if (!comparison.passed) code = 1;
+  }
+  return code;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args[0] === 'eval') {
+    return runEval(args.slice(1));
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (!FORMATS.includes(values.format)) {
+    fail(`unknown format "${values.format}" (expected one of ${FORMATS.join(', ')})`);
+  }
+
+  // A local run never writes to Jira because of a production .env; --write-back opts in per run
+  process.env.JIRA_WRITEBACK = 'false';
+  routeLogs(values.verbose);
+
+  // Load the pipeline after logging is routed (it logs while loading)
+  const { TriageLogger, triageWebhookPayload, buildTriagePrompts } = await import('../api/triage.js');
+  const llm = await import('../lib/providers/index.js');
+
+  if (values.provider) {
+    selectProvider(llm, values.provider, { requireAvailable: !values['dry-run'] });
+  }
+
+  let payloads;
+  try {
+    payloads = readInputs(positionals);
+  } catch (error) {
+    fail(error.message);
+  }
+  if (payloads.length === 0) {
+    fail('no issues found in the input');
+  }
+
+  if (values['dry-run']) {
+    const prompts = [];
+    for (const { issue } of payloads) {
+      const { product, theme, priority, promptVersions } = await buildTriagePrompts(issue);
+      prompts.push({ issueKey: issue?.key, product, promptVersions, prompts: { theme, priority } });
+    }
+    process.stdout.write(`${formatPrompts(prompts, values.format)}\n`);
+    return 0;
+  }
+
+  const results = [];
+  for (const [index, payload] of payloads.entries()) {
+    const logger = new TriageLogger();
+    process.stderr.write(`[${index + 1}/${payloads.length}] ${payload.issue?.key || '(no key)'}\n`);
+    try {
+      results.push(await triageWebhookPayload(payload, logger, { force: values.force, writeBack: values['write-back'] }));
+    } catch (error) {
+      results.push({ issueKey: payload.issue?.key || null, status: 'error', requestId: logger.requestId, error: error.message });
+    }
+  }
+
+  process.stdout.write(`${formatRecords(results, values.format)}\n`);
+  return results.some(result => result.status === 'error') ? 1 : 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  process.stderr.write(`jira-triage: ${error.stack || error.message}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+
+// Account data from a local CSV or JSON file
+//
+// CSV: a header row with name, arr, tier, renewal_date, reporters, domains, organizations, labels;
+// list columns are separated with ";". JSON: an array of accounts or { "accounts": [...] } with the
+// same fields (renewalDate or renewal_date, lists as arrays or ";"-separated strings).
+// The file is re-read when it changes on disk.
+
+const LIST_FIELDS = ['reporters', 'domains', 'organizations', 'labels'];
+
+// Split one CSV document into rows of cells (quoted cells may contain commas, quotes and newlines)
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+const toList = value => (Array.isArray(value) ? value : String(value ?? '').split(';'))
+  .map(item => String(item).trim().toLowerCase())
+  .filter(Boolean);
+
+// Validate and normalize one account record; `location` names it in error messages
+export function normalizeAccount(raw, location) {
+  const name = String(raw.name ?? '').trim();
+  if (!name) {
+    throw new Error(`${location}: name is required`);
+  }
+
+  const arr = typeof raw.arr === 'number' ? raw.arr : Number(String(raw.arr ?? '').replace(/[$,\s]/g, '') || 0);
+  if (!Number.isFinite(arr) || arr < 0) {
+    throw new Error(`${location}: arr must be a non-negative number, got ${JSON.stringify(raw.arr)}`);
+  }
+
+  const renewal = String(raw.renewalDate ?? raw.renewal_date ?? '').trim();
+  if (renewal && Number.isNaN(Date.parse(renewal))) {
+    throw new Error(`${location}: renewal date ${JSON.stringify(renewal)} is not a date`);
+  }
+
+  const account = {
+    name,
+    arr,
+    tier: String(raw.tier ?? '').trim() || null,
+    renewalDate: renewal ? new Date(renewal).toISOString().slice(0, 10) : null
+  };
+  for (const field of LIST_FIELDS) {
+    account[field] = toList(raw[field]);
+  }
+  return account;
+}
+
+// Accounts from CSV text
+export function parseAccountCsv(text, source = 'accounts.csv') {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim().toLowerCase());
+  if (!columns.includes('name')) {
+    throw new Error(`${source}: header must include a "name" column`);
+  }
+  return rows.map((cells, index) => normalizeAccount(
+    Object.fromEntries(columns.map((column, i) => [column, cells[i]])),
+    `${source}:${index + 2}`
+  ));
+}
+
+// Accounts from JSON text
+export function parseAccountJson(text, source = 'accounts.json') {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${source}: invalid JSON (${error.message})`);
+  }
+  const accounts = Array.isArray(data) ? data : data?.accounts;
+  if (!Array.isArray(accounts)) {
+    throw new Error(`${source}: expected an array of accounts or { "accounts": [...] }`);
+  }
+  return accounts.map((account, index) => normalizeAccount(account || {}, `${source}[${index}]`));
+}
+
+export function createFileAccountSource(name, options) {
+  const filePath = options.path;
+  let cached = null;
+
+  return {
+    name,
+    type: 'file',
+
+    // Normalized accounts; parse errors are thrown with the file and row
+    async loadAccounts() {
+      const { mtimeMs } = fs.statSync(filePath);
+      if (cached?.mtimeMs !== mtimeMs) {
+        const text = fs.readFileSync(filePath, 'utf8');
+        const source = path.basename(filePath);
+        const accounts = filePath.toLowerCase().endsWith('.csv')
+          ? parseAccountCsv(text, source)
+          : parseAccountJson(text, source);
+        cached = { mtimeMs, accounts };
+      }
+      return cached.accounts;
+    }
+  };
+}
@@ -0,0 +1,151 @@
+import { createFileAccountSource } from './file.js';
+
+// Account data source registry and revenue signals for the priority agent
+//
+// A source exposes { name, type, loadAccounts() } and resolves to normalized accounts:
+// { name, arr, tier, renewalDate, reporters, domains, organizations, labels } (lists lowercased).
+// Tickets are matched to accounts through the reporter, request participants, their email
+// domains, Jira Service Management organizations and labels.
+
+const SOURCE_FACTORIES = {
+  file: createFileAccountSource
+};
+
+let activeSource;
+
+// Build a source from { type, ...options }
+export function createAccountSource(config) {
+  const factory = SOURCE_FACTORIES[config.type];
+  if (!factory) {
+    throw new Error(`Unknown account data source type "${config.type}" (expected one of ${Object.keys(SOURCE_FACTORIES).join(', ')})`);
+  }
+  return factory(config.type, config);
+}
+
+// Account source from the environment (ACCOUNT_DATA_SOURCE, default "file", with ACCOUNT_DATA_PATH),
+// or null when account data is not configured
+export function getAccountSource(env = process.env) {
+  if (activeSource === undefined) {
+    activeSource = env.ACCOUNT_DATA_PATH
+      ? createAccountSource({ type: env.ACCOUNT_DATA_SOURCE || 'file', path: env.ACCOUNT_DATA_PATH })
+      : null;
+  }
+  return activeSource;
+}
+
+// Replace the account source (null disables account data; undefined re-reads the environment)
+export function setAccountSource(source) {
+  activeSource = source;
+}
+
+// Read account settings from the environment
+export function getAccountSettings(env = process.env) {
+  return {
+    organizationsField: env.ACCOUNT_ORGANIZATIONS_FIELD || 'customfield_10002',
+    participantsField: env.ACCOUNT_PARTICIPANTS_FIELD || 'customfield_10001',
+    renewalWindowDays: parseInt(env.ACCOUNT_RENEWAL_WINDOW_DAYS || '90', 10),
+    fullImpactArr: parseFloat(env.ACCOUNT_FULL_IMPACT_ARR || '1000000'),
+    impactWeight: parseFloat(env.ACCOUNT_IMPACT_WEIGHT || '0.3')
+  };
+}
+
+// Lowercased identifiers of a Jira user (Cloud accountId, Data Center name, email, display name)
+function userIdentities(user) {
+  if (!user) return [];
+  if (typeof user === 'string') return [user.toLowerCase()];
+  return [user.accountId, user.name, user.key, user.emailAddress, user.displayName]
+    .filter(Boolean)
+    .map(value => String(value).toLowerCase());
+}
+
+const emailDomain = identity => (identity.includes('@') ? identity.split('@').pop() : null);
+
+// People, organizations and labels on a ticket that can identify an account
+export function getIssueParties(issue, settings = getAccountSettings()) {
+  const fields = issue?.fields || {};
+  const reporter = userIdentities(fields.reporter);
+  const participants = (fields[settings.participantsField] || []).flatMap(userIdentities);
+
+  return {
+    reporter,
+    participants,
+    domains: [...new Set([...reporter, ...participants].map(emailDomain).filter(Boolean))],
+    organizations: (fields[settings.organizationsField] || [])
+      .map(organization => String(organization?.name ?? organization).toLowerCase()),
+    labels: (fields.labels || []).map(label => String(label).toLowerCase())
+  };
+}
+
+// Accounts linked to a ticket, with how each one matched: [{ account, matchedBy: [...] }]
+export function matchAccounts(accounts, parties) {
+  const matches = [];
+  for (const account of accounts) {
+    const matchedBy = [];
+    if (parties.reporter.some(identity => account.reporters.includes(identity))) matchedBy.push('reporter');
+    if (parties.participants.some(identity => account.reporters.includes(identity))) matchedBy.push('participant');
+    if (parties.domains.some(domain => account.domains.includes(domain))) matchedBy.push('domain');
+    if (parties.organizations.some(organization => account.organizations.includes(organization))) matchedBy.push('organization');
+    if (parties.labels.some(label => account.labels.includes(label))) matchedBy.push('label');
+    if (matchedBy.length > 0) {
+      matches.push({ account, matchedBy });
+    }
+  }
+  return matches.sort((a, b) => b.account.arr - a.account.arr);
+}
+
+// Customer and revenue signal for a ticket's matched accounts
+// impactScore (0-100) scales with the matched ARR; ARR renewing within the window counts twice
+export function summarizeAccounts(matches, settings = getAccountSettings(), now = new Date()) {
+  // Renewal dates are YYYY-MM-DD, so the window compares as strings
+  const today = now.toISOString().slice(0, 10);
+  const windowEnd = new Date(now.getTime() + settings.renewalWindowDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const accounts = matches.map(({ account, matchedBy }) => ({
+    name: account.name,
+    arr: account.arr,
+    tier: account.tier,
+    renewalDate: account.renewalDate,
+    renewsWithinWindow: !!account.renewalDate && account.renewalDate >= today && account.renewalDate <= windowEnd,
+    matchedBy
+  }));
+
+  const totalArr = accounts.reduce((sum, account) => sum + account.arr, 0);
+  const arrAtRisk = accounts.filter(account => account.renewsWithinWindow).reduce((sum, account) => sum + account.arr, 0);
+  const tiers = {};
+  for (const account of accounts) {
+    const tier = account.tier || 'Unknown';
+    tiers[tier] = (tiers[tier] || 0) + 1;
+  }
+
+  return {
+    accountCount: accounts.length,
+    totalArr,
+    arrAtRisk,
+    renewalWindowDays: settings.renewalWindowDays,
+    tiers,
+    impactScore: accounts.length > 0
+      ? Math.min(100, Math.round(100 * (totalArr + arrAtRisk) / settings.fullImpactArr))
+      : null,
+    accounts
+  };
+}
+
+// Blend the model's business impact with the account impact score
+// Returns the analysis unchanged when no accounts matched. Accounts only ever raise the score,
+// so a known small customer never ranks below a ticket with no matched customer at all
+export function applyAccountImpact(analysis, signal, settings = getAccountSettings()) {
+  if (!analysis?.scores || signal?.impactScore == null) {
+    return analysis;
+  }
+  const modelScore = analysis.scores.business_impact || 0;
+  const businessImpact = Math.max(modelScore, Math.round(modelScore * (1 - settings.impactWeight) + signal.impactScore * settings.impactWeight));
+  return {
+    ...analysis,
+    scores: { ...analysis.scores, business_impact: businessImpact },
+    account_impact: {
+      model_business_impact: modelScore,
+      account_score: signal.impactScore,
+      weight: settings.impactWeight,
+      business_impact: businessImpact
+    }
+  };
+}
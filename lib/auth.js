@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+
+// Webhook authentication: shared-secret token, HMAC-SHA256 body signature and IP allowlist
+//
+// Credential modes (token, hmac) are alternatives: a request passes if any enabled
+// credential mode accepts it. The IP allowlist is an extra requirement on top.
+
+// Read authentication settings from the environment
+// Without TRIAGE_AUTH_MODES, every mode whose secret is configured is enabled
+// Forwarded-for headers are only trusted behind a proxy (TRIAGE_TRUST_PROXY, on by default on Vercel)
+export function getAuthConfig(env = process.env) {
+  const token = env.TRIAGE_AUTH_TOKEN || null;
+  const webhookSecret = env.TRIAGE_WEBHOOK_SECRET || null;
+  const ipAllowlist = (env.TRIAGE_IP_ALLOWLIST || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+  const modes = env.TRIAGE_AUTH_MODES
+    ? env.TRIAGE_AUTH_MODES.split(',').map(mode => mode.trim().toLowerCase()).filter(mode => mode && mode !== 'none')
+    : [token && 'token', webhookSecret && 'hmac', ipAllowlist.length > 0 && 'ip'].filter(Boolean);
+
+  const trustProxy = env.TRIAGE_TRUST_PROXY !== undefined && env.TRIAGE_TRUST_PROXY !== ''
+    ? ['true', '1', 'yes'].includes(env.TRIAGE_TRUST_PROXY.trim().toLowerCase())
+    : env.VERCEL === '1';
+
+  return { modes, token, webhookSecret, ipAllowlist, trustProxy };
+}
+
+// Client IP of the request
+// Clients can send any x-forwarded-for header, so it is only read behind a trusted
+// proxy (Vercel and most load balancers set it); otherwise the socket address is used
+export function getClientIp(req, config = getAuthConfig()) {
+  const forwarded = config.trustProxy ? req.headers['x-forwarded-for'] : null;
+  const ip = (Array.isArray(forwarded) ? forwarded[0] : forwarded || '').split(',')[0].trim()
+    || (config.trustProxy && req.headers['x-real-ip'])
+    || req.socket?.remoteAddress
+    || 'unknown';
+  return ip.replace(/^::ffff:/, '');
+}
+
+// Copy of the request headers that is safe to log
+export function redactHeaders(headers = {}) {
+  const redacted = { ...headers };
+  for (const name of ['authorization', 'x-hub-signature', 'x-hub-signature-256', 'cookie']) {
+    if (redacted[name]) redacted[name] = '[REDACTED]';
+  }
+  return redacted;
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Read a request stream to the end through its data/end events
+// (@vercel/node replays the body it has already buffered through these events only)
+function readStream(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Raw request body for signature checks
+// server.js captures it in req.rawBody. On Vercel, req.body is a lazy getter that parses
+// the buffered body on first access; the bytes are read from the stream before that
+// happens, and req.body is replaced with our own parse (req.bodyError when it is not
+// JSON). A body parsed by someone else is re-serialized as a best effort.
+export async function getRawBody(req) {
+  if (req.rawBody !== undefined) {
+    return Buffer.isBuffer(req.rawBody) ? req.rawBody : Buffer.from(String(req.rawBody));
+  }
+
+  const unparsed = Object.getOwnPropertyDescriptor(req, 'body')?.get ? true : req.body === undefined;
+  if (unparsed && typeof req.on === 'function') {
+    req.rawBody = await readStream(req);
+    try {
+      req.body = req.rawBody.length > 0 ? JSON.parse(req.rawBody.toString('utf8')) : {};
+    } catch {
+      req.body = null;
+      req.bodyError = 'Request body is not valid JSON';
+    }
+    return req.rawBody;
+  }
+
+  if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+    return Buffer.from(req.body);
+  }
+  return req.body !== undefined ? Buffer.from(JSON.stringify(req.body)) : null;
+}
+
+// Check the static token (Authorization: Bearer <token> or ?secret=<token>)
+function checkToken(req, config) {
+  if (!config.token) return { ok: false, reason: 'Token authentication is enabled but TRIAGE_AUTH_TOKEN is not set' };
+
+  const authorization = req.headers.authorization || '';
+  const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+  const querySecret = req.query?.secret || null;
+  const provided = bearer || querySecret;
+
+  if (!provided) return { ok: false, reason: 'No token provided' };
+  return safeEqual(provided, config.token) ? { ok: true } : { ok: false, reason: 'Invalid token' };
+}
+
+// Check the HMAC-SHA256 signature of the raw body (Jira Cloud sends X-Hub-Signature: sha256=<hex>)
+async function checkSignature(req, config) {
+  if (!config.webhookSecret) return { ok: false, reason: 'HMAC authentication is enabled but TRIAGE_WEBHOOK_SECRET is not set' };
+
+  const header = req.headers['x-hub-signature'] || req.headers['x-hub-signature-256'];
+  if (!header) return { ok: false, reason: 'No signature header provided' };
+
+  const [algorithm, signature] = String(header).includes('=') ? String(header).split('=', 2) : ['sha256', String(header)];
+  if (algorithm.toLowerCase() !== 'sha256') return { ok: false, reason: `Unsupported signature algorithm ${algorithm}` };
+
+  const rawBody = await getRawBody(req);
+  if (!rawBody) return { ok: false, reason: 'Request body unavailable for signature check' };
+
+  const expected = crypto.createHmac('sha256', config.webhookSecret).update(rawBody).digest('hex');
+  return safeEqual(signature.toLowerCase(), expected) ? { ok: true } : { ok: false, reason: 'Invalid signature' };
+}
+
+// Convert dotted IPv4 to a 32-bit number (null for anything else)
+function ipv4ToNumber(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) return null;
+  return parts.reduce((total, part) => (total * 256) + Number(part), 0);
+}
+
+// Match an IP against a single allowlist entry (exact address or IPv4 CIDR)
+export function ipMatches(ip, entry) {
+  if (!entry.includes('/')) return ip === entry;
+
+  const [range, bits] = entry.split('/');
+  const prefix = Number(bits);
+  const ipNumber = ipv4ToNumber(ip);
+  const rangeNumber = ipv4ToNumber(range);
+  if (ipNumber === null || rangeNumber === null || !(prefix >= 0 && prefix <= 32)) return false;
+
+  const blockSize = 2 ** (32 - prefix);
+  return Math.floor(ipNumber / blockSize) === Math.floor(rangeNumber / blockSize);
+}
+
+// Authenticate a request; returns { ok, modes, reason }
+// Also reads an unparsed body, so handlers can rely on req.body (or req.bodyError) afterwards
+export async function authenticateRequest(req, config = getAuthConfig()) {
+  await getRawBody(req);
+
+  if (config.modes.length === 0) {
+    return { ok: true, modes: [] };
+  }
+
+  // Fail closed on typos such as TRIAGE_AUTH_MODES=tokn
+  const unknownModes = config.modes.filter(mode => !['token', 'hmac', 'ip'].includes(mode));
+  if (unknownModes.length > 0) {
+    return { ok: false, modes: config.modes, reason: `Unknown authentication mode(s): ${unknownModes.join(', ')}` };
+  }
+
+  if (config.modes.includes('ip')) {
+    const clientIp = getClientIp(req, config);
+    if (!config.ipAllowlist.some(entry => ipMatches(clientIp, entry))) {
+      return { ok: false, modes: config.modes, reason: `IP ${clientIp} is not allowed` };
+    }
+  }
+
+  const credentialModes = config.modes.filter(mode => mode === 'token' || mode === 'hmac');
+  if (credentialModes.length === 0) {
+    return { ok: true, modes: config.modes };
+  }
+
+  const failures = [];
+  for (const mode of credentialModes) {
+    const check = mode === 'token' ? checkToken(req, config) : await checkSignature(req, config);
+    if (check.ok) {
+      return { ok: true, modes: config.modes, method: mode };
+    }
+    failures.push(`${mode}: ${check.reason}`);
+  }
+
+  return { ok: false, modes: config.modes, reason: failures.join('; ') };
+}
@@ -0,0 +1,180 @@
+import { LABEL_FIELDS, SCORE_FIELDS } from './evaluation.js';
+
+// Output formatting for the command-line tools (table, CSV, markdown)
+
+export const FORMATS = ['json', 'table', 'csv', 'markdown'];
+
+// Columns for triage results: [header, value getter]
+export const RESULT_COLUMNS = [
+  ['Key', r => r.issueKey],
+  ['Status', r => (r.cached ? `${r.status} (cached)` : r.status)],
+  ['Recommendation', r => r.recommendation],
+  ['Importance', r => r.importance],
+  ['Confidence', r => r.confidence],
+  ['Classification', r => r.classification],
+  ['Theme', r => (r.themes || []).join('; ')],
+  ['Group', r => r.similarity_group],
+  ['Duplicates', r => (r.duplicate_keys || []).join(' ')],
+  ['Analysis', r => r.analysis_status],
+  ['Notes', r => r.notes || r.skipped || r.error]
+];
+
+const cellText = value => (value === undefined || value === null ? '' : String(value));
+
+// Rows of cell strings for a list of records
+function toRows(records, columns) {
+  return records.map(record => columns.map(([, get]) => cellText(get(record))));
+}
+
+function csvCell(value) {
+  return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+export function toCsv(records, columns) {
+  return [columns.map(([header]) => header), ...toRows(records, columns)]
+    .map(row => row.map(csvCell).join(','))
+    .join('\n');
+}
+
+export function toMarkdownTable(records, columns) {
+  const escape = value => value.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  return [
+    `| ${columns.map(([header]) => header).join(' | ')} |`,
+    `|${columns.map(() => ' --- |').join('')}`,
+    ...toRows(records, columns).map(row => `| ${row.map(escape).join(' | ')} |`)
+  ].join('\n');
+}
+
+// Plain-text table for terminals; long cells are truncated to `maxWidth`
+export function toTextTable(records, columns, { maxWidth = 60 } = {}) {
+  const clip = value => {
+    const flat = value.replace(/\s+/g, ' ');
+    return flat.length > maxWidth ? `${flat.slice(0, maxWidth - 1)}…` : flat;
+  };
+  const rows = [columns.map(([header]) => header), ...toRows(records, columns).map(row => row.map(clip))];
+  const widths = columns.map((_, i) => Math.max(...rows.map(row => row[i].length)));
+  const line = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(rows[0]), widths.map(width => '-'.repeat(width)).join('  '), ...rows.slice(1).map(line)].join('\n');
+}
+
+// Render records in one of FORMATS
+export function formatRecords(records, format, columns = RESULT_COLUMNS) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(records, null, 2);
+    case 'csv':
+      return toCsv(records, columns);
+    case 'markdown':
+      return toMarkdownTable(records, columns);
+    case 'table':
+      return toTextTable(records, columns);
+    default:
+      throw new Error(`Unknown format "${format}" (expected one of ${FORMATS.join(', ')})`);
+  }
+}
+
+// Render a list of tables for table/markdown output (CSV has room for one table, the last)
+function formatSections(sections, format) {
+  if (format === 'csv') {
+    const [, records, columns] = sections[sections.length - 1];
+    return toCsv(records, columns);
+  }
+  return sections
+    .filter(([, records]) => records.length > 0)
+    .map(([title, records, columns]) => (format === 'markdown'
+      ? `### ${title}\n\n${toMarkdownTable(records, columns)}`
+      : `${title}\n${toTextTable(records, columns)}`))
+    .join('\n\n');
+}
+
+const signed = value => (value == null ? '' : `${value > 0 ? '+' : ''}${value}`);
+
+// Label cell of the per-ticket diff: the actual value, marked against the expected one
+function diffCell(ticket, field) {
+  const expected = ticket.expected[field];
+  const actual = ticket.actual[field] ?? '—';
+  if (expected === undefined) return ticket.actual[field];
+  return ticket.mismatches.includes(field) ? `✗ ${actual} (expected ${expected})` : `✓ ${actual}`;
+}
+
+const EVAL_TICKET_COLUMNS = [
+  ['Key', t => t.key],
+  ['Status', t => t.status],
+  ...LABEL_FIELDS.map(field => [field[0].toUpperCase() + field.slice(1), t => diffCell(t, field)]),
+  ['Importance', t => (t.scoreErrors.importance !== undefined
+    ? `${t.actual.importance} (${signed(t.scoreErrors.importance)})`
+    : t.actual.importance)],
+  ['Error', t => t.error]
+];
+
+const EVAL_METRIC_COLUMNS = [
+  ['Field', m => m.field],
+  ['Support', m => m.support],
+  ['Accuracy', m => m.accuracy],
+  ['Macro-F1', m => m.macroF1],
+  ['MAE', m => m.mae]
+];
+
+// Evaluation report: metrics per field, then the per-ticket diff (JSON: the whole report)
+export function formatEvaluation(report, format) {
+  if (format === 'json') {
+    return JSON.stringify(report, null, 2);
+  }
+  const metrics = [
+    ...LABEL_FIELDS.map(field => ({ field, ...report.metrics[field] })),
+    ...SCORE_FIELDS
+      .filter(field => report.scoreErrors[field].count > 0)
+      .map(field => ({ field, support: report.scoreErrors[field].count, mae: report.scoreErrors[field].mae }))
+  ];
+  const prompts = report.promptVersions ? `, prompts ${Object.values(report.promptVersions).filter(Boolean).join(', ')}` : '';
+  return formatSections([
+    [`Metrics (${report.succeeded}/${report.total} triaged${prompts})`, metrics, EVAL_METRIC_COLUMNS],
+    ['Tickets', report.tickets, EVAL_TICKET_COLUMNS]
+  ], format);
+}
+
+const COMPARISON_METRIC_COLUMNS = [
+  ['Metric', m => m.metric],
+  ['Baseline', m => m.baseline],
+  ['Candidate', m => m.candidate],
+  ['Delta', m => signed(m.delta)]
+];
+
+const COMPARISON_TICKET_COLUMNS = [
+  ['Key', t => t.key],
+  ['Field', t => t.field],
+  ['Expected', t => t.expected],
+  ['Baseline', t => t.baseline],
+  ['Candidate', t => t.candidate],
+  ['Change', t => t.change]
+];
+
+// Comparison of two evaluation reports: metric deltas, then tickets whose labels changed
+export function formatComparison(comparison, format) {
+  if (format === 'json') {
+    return JSON.stringify(comparison, null, 2);
+  }
+  const metrics = [
+    ...LABEL_FIELDS.flatMap(field => ['accuracy', 'macroF1'].map(metric => ({
+      metric: `${field} ${metric}`,
+      baseline: comparison.metrics[field].baseline[metric],
+      candidate: comparison.metrics[field].candidate[metric],
+      delta: comparison.metrics[field].delta[metric]
+    }))),
+    ...SCORE_FIELDS
+      .filter(field => comparison.scoreErrors[field].baseline !== null || comparison.scoreErrors[field].candidate !== null)
+      .map(field => ({ metric: `${field} MAE`, ...comparison.scoreErrors[field] }))
+  ];
+  const { fixed, regressed, changed } = comparison.counts;
+  const output = formatSections([
+    ['Metrics', metrics, COMPARISON_METRIC_COLUMNS],
+    [`Changed tickets (${fixed} fixed, ${regressed} regressed, ${changed} changed)`, comparison.tickets, COMPARISON_TICKET_COLUMNS]
+  ], format);
+  if (format === 'csv') {
+    return output;
+  }
+  const verdict = comparison.passed
+    ? 'PASSED: no regressions'
+    : `REGRESSED: ${comparison.regressions.join('; ')}`;
+  return `${output}\n\n${verdict}`;
+}
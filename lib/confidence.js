@@ -0,0 +1,93 @@
+// Triage confidence score built from the signals collected while processing a ticket
+// Each component scores 0-1; the overall score is their weighted average.
+
+const EFFORT_ORDER = ['XS', 'S', 'M', 'L', 'XL'];
+
+// Relative weight of each component (components without a signal are left out)
+export const CONFIDENCE_WEIGHTS = {
+  product: 0.15,
+  theme: 0.2,
+  analysis: 0.3,
+  effort: 0.15,
+  fallback: 0.1,
+  modelAgreement: 0.1
+};
+
+const PRODUCT_SCORES = { High: 1, Medium: 0.7, Low: 0.4 };
+
+const ANALYSIS_SCORES = { complete: 1, repaired: 0.85, partial: 0.4, emergency: 0.2, failed: 0 };
+
+// How well the theme answer matched the allowed list
+function themeScore({ matchMethod, matchScore, retried }) {
+  let score;
+  if (matchMethod === 'exact') score = 1;
+  else if (matchMethod === 'case-insensitive') score = 0.95;
+  else if (matchMethod === 'fuzzy') score = 0.8 * (matchScore ?? 0.85);
+  else score = 0.2;
+  return retried ? score * 0.8 : score;
+}
+
+// Agreement between the model's effort size and the heuristic estimate (1 when equal, -0.3 per size step)
+function effortScore(modelEffort, estimatedEffort) {
+  const modelIndex = EFFORT_ORDER.indexOf(modelEffort);
+  const estimateIndex = EFFORT_ORDER.indexOf(estimatedEffort);
+  if (modelIndex === -1 || estimateIndex === -1) {
+    return null;
+  }
+  return Math.max(0, 1 - 0.3 * Math.abs(modelIndex - estimateIndex));
+}
+
+// Agreement between the primary analysis and a second model's answer
+function agreementScore(analysis, crossCheck) {
+  const sameRecommendation = analysis.priority_recommendation === crossCheck.priority_recommendation;
+  const scoreGap = Math.abs((analysis.scores?.overall_priority ?? 0) - (crossCheck.overall_priority ?? 0)) / 100;
+  return Math.max(0, (sameRecommendation ? 1 : 0.5) - scoreGap);
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// Compute { score, components } for a triage result
+// signals: { productConfidence, themeValidation, analysis, estimatedEffort, themeFallbackUsed, priorityFallbackUsed, crossCheck }
+export function computeConfidence(signals) {
+  const { analysis } = signals;
+  const analysisStatus = analysis ? analysis.analysis_status || 'complete' : 'failed';
+  const components = [];
+
+  const add = (name, score, detail) => {
+    if (score !== null && score !== undefined) {
+      components.push({ name, score: round(score), weight: CONFIDENCE_WEIGHTS[name], detail });
+    }
+  };
+
+  add('product', PRODUCT_SCORES[signals.productConfidence] ?? 0.4,
+    `Product detection confidence: ${signals.productConfidence || 'Unknown'}`);
+
+  const validation = signals.themeValidation || {};
+  add('theme', themeScore(validation),
+    `Theme match: ${validation.matchMethod || 'none'}${validation.retried ? ' after corrective retry' : ''}`);
+
+  add('analysis', ANALYSIS_SCORES[analysisStatus] ?? 0, `Priority analysis status: ${analysisStatus}`);
+
+  if (analysis) {
+    const modelEffort = analysis.scores?.effort_size;
+    add('effort', effortScore(modelEffort, signals.estimatedEffort),
+      `Model effort ${modelEffort || 'unknown'} vs estimated ${signals.estimatedEffort || 'unknown'}`);
+  }
+
+  const fallbacks = [signals.themeFallbackUsed, signals.priorityFallbackUsed].filter(Boolean).length;
+  add('fallback', 1 - 0.25 * fallbacks, fallbacks ? `${fallbacks} agent(s) answered by a fallback model` : 'Primary models answered');
+
+  if (analysis && signals.crossCheck) {
+    add('modelAgreement', agreementScore(analysis, signals.crossCheck),
+      `${signals.crossCheck.modelUsed} recommends ${signals.crossCheck.priority_recommendation} (${signals.crossCheck.overall_priority})`);
+  }
+
+  // Without an analysis there is nothing to be confident about
+  if (!analysis) {
+    return { score: 0, components };
+  }
+
+  const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+  const weighted = components.reduce((sum, component) => sum + component.score * component.weight, 0);
+  return { score: round(weighted / totalWeight), components };
+}
@@ -0,0 +1,163 @@
+import { getCollection } from './storage.js';
+
+// Demand ledger: who asked for the same thing, per similarity cluster
+// Each cluster keeps one entry per member ticket with its requesters, organizations and the
+// accounts linked to it, so demand is counted across duplicate requests instead of per ticket.
+
+const LEDGER_COLLECTION = 'demand-ledger';
+
+// Read demand settings from the environment
+export function getDemandSettings(env = process.env) {
+  return {
+    fullImpactCustomers: parseInt(env.DEMAND_FULL_IMPACT_CUSTOMERS || '10', 10),
+    impactWeight: parseFloat(env.DEMAND_IMPACT_WEIGHT || '0.3')
+  };
+}
+
+// Stable identifier of a Jira user (email, Cloud accountId, Data Center name, display name)
+const userKey = user => {
+  const value = user?.emailAddress || user?.accountId || user?.name || user?.displayName;
+  return value ? String(value).toLowerCase() : null;
+};
+
+// Ledger entry for a ticket: requesters are the reporter and any request participants,
+// accounts come from the account data source (see lib/accounts)
+export function buildDemandEntry(issue, { participantsField, organizationsField, accounts = [] } = {}) {
+  const fields = issue?.fields || {};
+  const requesters = [fields.reporter, ...(participantsField ? fields[participantsField] || [] : [])]
+    .map(userKey)
+    .filter(Boolean);
+  const organizations = (organizationsField ? fields[organizationsField] || [] : [])
+    .map(organization => String(organization?.name ?? organization).trim())
+    .filter(Boolean);
+
+  return {
+    key: issue.key,
+    summary: fields.summary || '',
+    status: fields.status?.name || null,
+    requesters: [...new Set(requesters)],
+    organizations: [...new Set(organizations)],
+    accounts: accounts.map(account => ({ name: account.name, arr: account.arr }))
+  };
+}
+
+// Customer identity of a ticket: its accounts when known, otherwise its organizations,
+// otherwise its requesters
+function customerKeys(entry) {
+  if (entry.accounts.length > 0) return entry.accounts.map(account => `account:${account.name.toLowerCase()}`);
+  if (entry.organizations.length > 0) return entry.organizations.map(name => `organization:${name.toLowerCase()}`);
+  return entry.requesters.map(requester => `requester:${requester}`);
+}
+
+// Counts for a cluster's members
+function summarizeMembers(similarityGroup, members) {
+  const requesters = new Set(members.flatMap(entry => entry.requesters));
+  const organizations = new Set(members.flatMap(entry => entry.organizations.map(name => name.toLowerCase())));
+  const customers = new Set(members.flatMap(customerKeys));
+  const accounts = new Map(members.flatMap(entry => entry.accounts).map(account => [account.name.toLowerCase(), account.arr]));
+
+  return {
+    similarity_group: similarityGroup,
+    tickets: members.length,
+    customers: customers.size,
+    requesters: requesters.size,
+    organizations: organizations.size,
+    linked_arr: accounts.size > 0 ? [...accounts.values()].reduce((sum, arr) => sum + arr, 0) : null
+  };
+}
+
+// Add or update a ticket in its cluster (moving it out of any other cluster)
+// Returns the cluster's demand summary including the ticket
+export function recordDemand(similarityGroup, entry) {
+  const ledger = getCollection(LEDGER_COLLECTION);
+  for (const cluster of ledger.values()) {
+    if (cluster.similarityGroup !== similarityGroup && cluster.members[entry.key]) {
+      removeMember(ledger, cluster, entry.key);
+    }
+  }
+
+  const cluster = ledger.get(similarityGroup) || { similarityGroup, members: {} };
+  cluster.members[entry.key] = { ...entry, updatedAt: new Date().toISOString() };
+  cluster.updatedAt = new Date().toISOString();
+  ledger.set(similarityGroup, cluster);
+  return summarizeMembers(similarityGroup, Object.values(cluster.members));
+}
+
+function removeMember(ledger, cluster, issueKey) {
+  delete cluster.members[issueKey];
+  if (Object.keys(cluster.members).length === 0) {
+    ledger.delete(cluster.similarityGroup);
+  } else {
+    ledger.set(cluster.similarityGroup, cluster);
+  }
+}
+
+// Demand summary a ticket would see in a cluster, without recording it (prompt previews)
+export function previewDemand(similarityGroup, entry) {
+  const cluster = getCollection(LEDGER_COLLECTION).get(similarityGroup);
+  const members = { ...(cluster?.members || {}), [entry.key]: entry };
+  return summarizeMembers(similarityGroup, Object.values(members));
+}
+
+// Remember the triage outcome of a member ticket
+export function updateDemandOutcome(similarityGroup, issueKey, recommendation) {
+  const ledger = getCollection(LEDGER_COLLECTION);
+  const cluster = ledger.get(similarityGroup);
+  if (cluster?.members[issueKey]) {
+    cluster.members[issueKey].recommendation = recommendation;
+    ledger.set(similarityGroup, cluster);
+  }
+}
+
+// Drop a ticket from the ledger (deleted issues); returns whether it was present
+export function removeDemand(issueKey) {
+  const ledger = getCollection(LEDGER_COLLECTION);
+  const cluster = ledger.values().find(candidate => candidate.members[issueKey]);
+  if (!cluster) return false;
+  removeMember(ledger, cluster, issueKey);
+  return true;
+}
+
+// Demand summary and member tickets of a cluster, or null when it is unknown
+export function getCluster(similarityGroup) {
+  const cluster = getCollection(LEDGER_COLLECTION).get(similarityGroup);
+  if (!cluster) return null;
+
+  const members = Object.values(cluster.members).sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+  return {
+    ...summarizeMembers(similarityGroup, members),
+    updatedAt: cluster.updatedAt,
+    members
+  };
+}
+
+// Demand score (0-100): distinct customers relative to DEMAND_FULL_IMPACT_CUSTOMERS
+export function demandScore(demand, settings = getDemandSettings()) {
+  return Math.min(100, Math.round(100 * demand.customers / settings.fullImpactCustomers));
+}
+
+// Blend business_impact and cross_client_value with the demand score
+// Only clusters with more than one customer change the scores, and demand only ever raises them
+export function applyDemand(analysis, demand, settings = getDemandSettings()) {
+  if (!analysis?.scores || !demand || demand.customers < 2) {
+    return analysis;
+  }
+  const score = demandScore(demand, settings);
+  const blend = value => Math.max(value || 0, Math.round((value || 0) * (1 - settings.impactWeight) + score * settings.impactWeight));
+  const scores = {
+    ...analysis.scores,
+    business_impact: blend(analysis.scores.business_impact),
+    cross_client_value: blend(analysis.scores.cross_client_value)
+  };
+  return {
+    ...analysis,
+    scores,
+    demand_impact: {
+      demand_score: score,
+      weight: settings.impactWeight,
+      customers: demand.customers,
+      before: { business_impact: analysis.scores.business_impact, cross_client_value: analysis.scores.cross_client_value },
+      after: { business_impact: scores.business_impact, cross_client_value: scores.cross_client_value }
+    }
+  };
+}
@@ -0,0 +1,271 @@
+import { normalizeCorrections } from './feedback.js';
+import { THEME_NOT_IDENTIFIED } from './theme-matcher.js';
+
+// Offline evaluation against a labeled golden dataset (jira-triage eval)
+//
+// Dataset: JSON Lines, one case per line:
+//   { "issue": { key, fields }, "expected": { theme?, classification?, effort?, recommendation?, importance?, scores? },
+//     "responses"?: { "theme": ..., "priority": ... } }
+// "responses" are recorded model outputs in the mock provider's fixture format (see lib/providers/mock.js),
+// replayed when the evaluation runs with the mock provider.
+
+export const LABEL_FIELDS = ['theme', 'classification', 'effort', 'recommendation'];
+export const SCORE_FIELDS = ['importance', 'business_impact', 'strategic_fit', 'cross_client_value'];
+const CLASSIFICATIONS = ['Feature', 'Bug'];
+
+const isScore = value => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+const round = value => Math.round(value * 1000) / 1000;
+
+// Validate and normalize the expected outcome of one case
+function normalizeExpected(raw, location) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${location}: "expected" must be an object`);
+  }
+  const errors = [];
+  const expected = {};
+
+  const { corrections, errors: labelErrors } = normalizeCorrections({
+    theme: raw.theme,
+    recommendation: raw.recommendation,
+    effort: raw.effort
+  });
+  if (raw.theme != null || raw.recommendation != null || raw.effort != null) {
+    errors.push(...labelErrors);
+  }
+  Object.assign(expected, corrections);
+
+  if (raw.classification != null) {
+    const classification = CLASSIFICATIONS.find(value => value.toLowerCase() === String(raw.classification).trim().toLowerCase());
+    if (classification) expected.classification = classification;
+    else errors.push(`classification must be one of ${CLASSIFICATIONS.join(', ')}`);
+  }
+
+  const scores = { importance: raw.importance, ...raw.scores };
+  for (const [field, value] of Object.entries(scores)) {
+    if (value === undefined) continue;
+    if (!SCORE_FIELDS.includes(field)) errors.push(`unknown score "${field}" (expected ${SCORE_FIELDS.join(', ')})`);
+    else if (!isScore(value)) errors.push(`${field} must be a number from 0 to 100`);
+    else expected[field] = value;
+  }
+
+  if (errors.length === 0 && Object.keys(expected).length === 0) {
+    errors.push(`expected needs at least one of ${[...LABEL_FIELDS, ...SCORE_FIELDS].join(', ')}`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`${location}: ${errors.join('; ')}`);
+  }
+  return expected;
+}
+
+// Cases from a JSONL dataset: [{ key, payload, expected, responses }]
+export function parseDataset(text, source = 'dataset.jsonl') {
+  const keys = new Set();
+  return text.split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), location: `${source}:${index + 1}` }))
+    .filter(({ line }) => line)
+    .map(({ line, location }) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${location}: invalid JSON (${error.message})`);
+      }
+      const key = record?.issue?.key;
+      if (!key) {
+        throw new Error(`${location}: "issue" with a key is required`);
+      }
+      if (keys.has(key)) {
+        throw new Error(`${location}: duplicate issue key ${key}`);
+      }
+      keys.add(key);
+      return {
+        key,
+        payload: { webhookEvent: record.webhookEvent, issue: record.issue },
+        expected: normalizeExpected(record.expected, location),
+        responses: record.responses || null
+      };
+    });
+}
+
+// Recorded responses of the dataset as mock provider fixtures ({ [issueKey]: { theme, priority } })
+export function datasetFixtures(cases) {
+  return Object.fromEntries(cases.filter(entry => entry.responses).map(entry => [entry.key, entry.responses]));
+}
+
+// Theme, classification, effort, recommendation and scores of a triage response
+export function actualOutcome(body) {
+  if (body?.status !== 'success') {
+    return {};
+  }
+  const scores = body.result?.scores || {};
+  return {
+    theme: body.themes?.[0] || THEME_NOT_IDENTIFIED,
+    classification: body.classification,
+    effort: scores.effort_size ?? null,
+    recommendation: body.recommendation,
+    importance: body.importance,
+    business_impact: scores.business_impact ?? null,
+    strategic_fit: scores.strategic_fit ?? null,
+    cross_client_value: scores.cross_client_value ?? null
+  };
+}
+
+// Labels compare case-insensitively (themes come back from models in any case)
+const labelKey = value => (value == null ? null : String(value).trim().toLowerCase());
+
+// Macro-averaged F1 over every label that was expected or predicted
+export function macroF1(pairs) {
+  const labels = new Set(pairs.flatMap(({ expected, actual }) => [labelKey(expected), labelKey(actual)]).filter(Boolean));
+  if (labels.size === 0) return null;
+
+  let total = 0;
+  for (const label of labels) {
+    const truePositives = pairs.filter(pair => labelKey(pair.expected) === label && labelKey(pair.actual) === label).length;
+    const predicted = pairs.filter(pair => labelKey(pair.actual) === label).length;
+    const relevant = pairs.filter(pair => labelKey(pair.expected) === label).length;
+    const precision = predicted > 0 ? truePositives / predicted : 0;
+    const recall = relevant > 0 ? truePositives / relevant : 0;
+    total += precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  }
+  return round(total / labels.size);
+}
+
+// Score a run: per-label accuracy and macro-F1, mean absolute score error and a per-ticket diff
+// Tickets that failed or were skipped count as misses for every expected label
+export function evaluateRun(cases, responses) {
+  const tickets = cases.map((entry, index) => {
+    const body = responses[index];
+    const actual = actualOutcome(body);
+    const mismatches = LABEL_FIELDS
+      .filter(field => entry.expected[field] !== undefined && labelKey(entry.expected[field]) !== labelKey(actual[field]));
+    const scoreErrors = Object.fromEntries(SCORE_FIELDS
+      .filter(field => entry.expected[field] !== undefined && typeof actual[field] === 'number')
+      .map(field => [field, actual[field] - entry.expected[field]]));
+    return {
+      key: entry.key,
+      status: body?.status || 'error',
+      error: body?.error || body?.skipped || null,
+      expected: entry.expected,
+      actual,
+      mismatches,
+      scoreErrors
+    };
+  });
+
+  const metrics = {};
+  for (const field of LABEL_FIELDS) {
+    const pairs = tickets
+      .filter(ticket => ticket.expected[field] !== undefined)
+      .map(ticket => ({ expected: ticket.expected[field], actual: ticket.actual[field] }));
+    metrics[field] = {
+      support: pairs.length,
+      accuracy: pairs.length > 0 ? round(pairs.filter(pair => labelKey(pair.expected) === labelKey(pair.actual)).length / pairs.length) : null,
+      macroF1: macroF1(pairs)
+    };
+  }
+
+  const scoreErrors = {};
+  for (const field of SCORE_FIELDS) {
+    const errors = tickets.map(ticket => ticket.scoreErrors[field]).filter(error => error !== undefined);
+    scoreErrors[field] = {
+      count: errors.length,
+      mae: errors.length > 0 ? round(errors.reduce((sum, error) => sum + Math.abs(error), 0) / errors.length) : null
+    };
+  }
+
+  return {
+    total: tickets.length,
+    succeeded: tickets.filter(ticket => ticket.status === 'success').length,
+    metrics,
+    scoreErrors,
+    tickets
+  };
+}
+
+// Compare two evaluation reports of the same dataset
+// A regression is an accuracy or macro-F1 drop, or a mean absolute error rise (in score points),
+// larger than `tolerance` (a fraction: 0.02 allows 2 points of accuracy and 2 points of MAE)
+export function compareReports(baseline, candidate, { tolerance = 0 } = {}) {
+  const delta = (before, after) => (before == null || after == null ? null : round(after - before));
+  const regressions = [];
+
+  const metrics = {};
+  for (const field of LABEL_FIELDS) {
+    const before = baseline.metrics[field] || {};
+    const after = candidate.metrics[field] || {};
+    metrics[field] = {
+      baseline: { accuracy: before.accuracy ?? null, macroF1: before.macroF1 ?? null },
+      candidate: { accuracy: after.accuracy ?? null, macroF1: after.macroF1 ?? null },
+      delta: { accuracy: delta(before.accuracy, after.accuracy), macroF1: delta(before.macroF1, after.macroF1) }
+    };
+    for (const metric of ['accuracy', 'macroF1']) {
+      if (metrics[field].delta[metric] !== null && metrics[field].delta[metric] < -tolerance) {
+        regressions.push(`${field} ${metric} ${before[metric]} → ${after[metric]}`);
+      }
+    }
+  }
+
+  const scoreErrors = {};
+  for (const field of SCORE_FIELDS) {
+    const before = baseline.scoreErrors[field]?.mae ?? null;
+    const after = candidate.scoreErrors[field]?.mae ?? null;
+    scoreErrors[field] = { baseline: before, candidate: after, delta: delta(before, after) };
+    if (scoreErrors[field].delta !== null && scoreErrors[field].delta > tolerance * 100) {
+      regressions.push(`${field} MAE ${before} → ${after}`);
+    }
+  }
+
+  // Per-ticket label changes between the runs
+  const baselineTickets = new Map(baseline.tickets.map(ticket => [ticket.key, ticket]));
+  const tickets = [];
+  for (const ticket of candidate.tickets) {
+    const before = baselineTickets.get(ticket.key);
+    if (!before) continue;
+    for (const field of LABEL_FIELDS) {
+      if (labelKey(before.actual[field]) === labelKey(ticket.actual[field])) continue;
+      const wasRight = before.expected[field] !== undefined && !before.mismatches.includes(field);
+      const isRight = ticket.expected[field] !== undefined && !ticket.mismatches.includes(field);
+      tickets.push({
+        key: ticket.key,
+        field,
+        expected: ticket.expected[field] ?? null,
+        baseline: before.actual[field] ?? null,
+        candidate: ticket.actual[field] ?? null,
+        change: isRight && !wasRight ? 'fixed' : wasRight && !isRight ? 'regressed' : 'changed'
+      });
+    }
+  }
+
+  return {
+    tolerance,
+    passed: regressions.length === 0,
+    regressions,
+    metrics,
+    scoreErrors,
+    tickets,
+    counts: {
+      fixed: tickets.filter(ticket => ticket.change === 'fixed').length,
+      regressed: tickets.filter(ticket => ticket.change === 'regressed').length,
+      changed: tickets.filter(ticket => ticket.change === 'changed').length
+    }
+  };
+}
+
+// Wrap providers so every model response is kept, keyed like mock fixtures
+// ({ [issueKey]: { [agent]: [text, ...] } }); the result replays the run with the mock provider
+export function recordResponses(providers) {
+  const recorded = {};
+  for (const provider of providers) {
+    const generate = provider.generate;
+    provider.generate = async (request) => {
+      const response = await generate(request);
+      const issueKey = request.context?.issueKey;
+      if (issueKey) {
+        const byAgent = (recorded[issueKey] ||= {});
+        (byAgent[request.agent] ||= []).push(response.text);
+      }
+      return response;
+    };
+  }
+  return recorded;
+}
@@ -0,0 +1,69 @@
+// Webhook event policy: which events, projects, issue types and statuses trigger triage
+//
+// Every dimension has an allow list (empty = everything) and issue types and statuses
+// also have an exclude list. Matching is case-insensitive.
+
+export const DELETED_EVENT = 'jira:issue_deleted';
+export const UPDATED_EVENT = 'jira:issue_updated';
+
+const DEFAULT_EVENTS = 'jira:issue_created,jira:issue_updated';
+const DEFAULT_EXCLUDED_ISSUE_TYPES = 'Sub-task,Epic';
+
+const parseList = (value) => (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+
+// Read the event policy from the environment
+export function getEventPolicy(env = process.env) {
+  return {
+    events: parseList(env.TRIAGE_EVENTS ?? DEFAULT_EVENTS),
+    projects: parseList(env.TRIAGE_PROJECTS),
+    issueTypes: parseList(env.TRIAGE_ISSUE_TYPES),
+    excludedIssueTypes: parseList(env.TRIAGE_EXCLUDED_ISSUE_TYPES ?? DEFAULT_EXCLUDED_ISSUE_TYPES),
+    statuses: parseList(env.TRIAGE_STATUSES),
+    excludedStatuses: parseList(env.TRIAGE_EXCLUDED_STATUSES)
+  };
+}
+
+// Project key from the issue fields, or from the issue key ("PROJ-123" -> "PROJ")
+function getProjectKey(issue) {
+  return issue?.fields?.project?.key || (issue?.key || '').split('-')[0] || null;
+}
+
+// Decide whether a webhook payload should be triaged
+// Returns { triage: true } or { triage: false, reason }
+export function evaluateEventPolicy(data, policy = getEventPolicy()) {
+  const issue = data.issue || {};
+  const fields = issue.fields || {};
+
+  // Payloads without webhookEvent come from Automation "Send web request" rules and manual calls
+  const event = data.webhookEvent;
+  if (event && policy.events.length > 0 && !policy.events.includes(event.toLowerCase())) {
+    return { triage: false, reason: `Event ${event} is not configured for triage` };
+  }
+
+  const project = getProjectKey(issue);
+  if (policy.projects.length > 0 && !policy.projects.includes((project || '').toLowerCase())) {
+    return { triage: false, reason: `Project ${project} is not configured for triage` };
+  }
+
+  // Sub-tasks are recognized by the subtask flag whatever their type is called
+  const issueType = fields.issuetype?.name;
+  const typeNames = [issueType, fields.issuetype?.subtask ? 'sub-task' : null]
+    .filter(Boolean)
+    .map(name => name.toLowerCase());
+  if (typeNames.some(name => policy.excludedIssueTypes.includes(name))) {
+    return { triage: false, reason: `Issue type ${issueType} is excluded from triage` };
+  }
+  if (issueType && policy.issueTypes.length > 0 && !policy.issueTypes.includes(issueType.toLowerCase())) {
+    return { triage: false, reason: `Issue type ${issueType} is not configured for triage` };
+  }
+
+  const status = fields.status?.name;
+  if (status && policy.excludedStatuses.includes(status.toLowerCase())) {
+    return { triage: false, reason: `Status ${status} is excluded from triage` };
+  }
+  if (status && policy.statuses.length > 0 && !policy.statuses.includes(status.toLowerCase())) {
+    return { triage: false, reason: `Status ${status} is not configured for triage` };
+  }
+
+  return { triage: true };
+}
@@ -0,0 +1,188 @@
+import fs from 'fs';
+import path from 'path';
+import { buildTfIdfModel } from './text-similarity.js';
+import { listFeedback, normalizeCorrections } from './feedback.js';
+
+// Few-shot examples: human-confirmed decisions shown to the theme and priority agents
+//
+// Examples come from a labeled file (FEW_SHOT_EXAMPLES_PATH, a JSON array or JSON Lines of
+// { key, summary, description?, theme?, recommendation?, effort?, rationale? }) and from the
+// feedback store (see lib/feedback.js); feedback wins when both have the same key. The most
+// similar examples are picked per agent until FEW_SHOT_MAX_EXAMPLES or FEW_SHOT_TOKEN_BUDGET is reached.
+
+const DESCRIPTION_LIMIT = 300;
+
+// Read few-shot settings from the environment
+export function getExampleSettings(env = process.env) {
+  return {
+    path: env.FEW_SHOT_EXAMPLES_PATH || null,
+    includeFeedback: env.FEW_SHOT_FROM_FEEDBACK !== 'false',
+    maxExamples: parseInt(env.FEW_SHOT_MAX_EXAMPLES || '5', 10),
+    tokenBudget: parseInt(env.FEW_SHOT_TOKEN_BUDGET || '800', 10),
+    minScore: parseFloat(env.FEW_SHOT_MIN_SCORE || '0.1')
+  };
+}
+
+// Rough token count (about four characters per token for English text)
+export function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+// Validate and normalize one labeled example; `location` names it in error messages
+export function normalizeExample(raw, location) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${location}: expected an object`);
+  }
+  const key = String(raw.key ?? '').trim();
+  const summary = String(raw.summary ?? '').trim();
+  if (!key || !summary) {
+    throw new Error(`${location}: key and summary are required`);
+  }
+
+  const labels = { theme: raw.theme, recommendation: raw.recommendation, effort: raw.effort };
+  const { corrections, errors } = normalizeCorrections(labels);
+  if (errors.length > 0) {
+    throw new Error(`${location}: ${errors.join('; ')}`);
+  }
+  return {
+    key,
+    summary,
+    description: String(raw.description ?? '').trim(),
+    ...corrections,
+    rationale: String(raw.rationale ?? '').trim() || null,
+    source: 'file'
+  };
+}
+
+// Examples from file text: a JSON array, { "examples": [...] } or one JSON object per line
+export function parseExamples(text, source = 'examples.json') {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+
+  // A whole-file JSON document, otherwise JSON Lines
+  let data = null;
+  try {
+    data = JSON.parse(trimmed);
+  } catch {
+    data = null;
+  }
+  const records = Array.isArray(data) ? data : data?.examples;
+  if (Array.isArray(records)) {
+    return records.map((record, index) => normalizeExample(record, `${source}[${index}]`));
+  }
+
+  return trimmed.split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), location: `${source}:${index + 1}` }))
+    .filter(({ line }) => line)
+    .map(({ line, location }) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${location}: invalid JSON (${error.message})`);
+      }
+      return normalizeExample(record, location);
+    });
+}
+
+let fileCache = null;
+
+// Labeled examples from the file, re-read when it changes on disk
+function loadExampleFile(filePath) {
+  const { mtimeMs } = fs.statSync(filePath);
+  if (fileCache?.filePath !== filePath || fileCache.mtimeMs !== mtimeMs) {
+    const examples = parseExamples(fs.readFileSync(filePath, 'utf8'), path.basename(filePath));
+    fileCache = { filePath, mtimeMs, examples };
+  }
+  return fileCache.examples;
+}
+
+// Human-confirmed values from the feedback store, with the ticket text of the triaged run
+function feedbackExamples() {
+  return listFeedback()
+    .filter(record => record.summary)
+    .map(record => ({
+      key: record.issueKey,
+      summary: record.summary,
+      description: record.description || '',
+      ...record.human,
+      rationale: null,
+      source: 'feedback'
+    }));
+}
+
+// Every available example; throws when the examples file cannot be read or is invalid
+export function loadExamples(settings = getExampleSettings()) {
+  const byKey = new Map();
+  if (settings.path) {
+    loadExampleFile(settings.path).forEach(example => byKey.set(example.key, example));
+  }
+  if (settings.includeFeedback) {
+    feedbackExamples().forEach(example => byKey.set(example.key, { ...byKey.get(example.key), ...example }));
+  }
+  return [...byKey.values()];
+}
+
+const truncate = (text, limit) => (text.length > limit ? `${text.substring(0, limit)}...` : text);
+
+// Prompt lines for a theme example
+export function formatThemeExample(example) {
+  return `- "${example.summary}" → "${example.theme}"`;
+}
+
+// Prompt lines for a priority example
+export function formatPriorityExample(example) {
+  const decision = [
+    `Recommendation: ${example.recommendation}`,
+    ...(example.effort ? [`Effort: ${example.effort}`] : []),
+    ...(example.theme ? [`Theme: ${example.theme}`] : [])
+  ].join(', ');
+  return [
+    `- ${example.key}: ${example.summary}`,
+    ...(example.description ? [`  ${truncate(example.description.replace(/\s+/g, ' '), DESCRIPTION_LIMIT)}`] : []),
+    `  Confirmed decision: ${decision}`,
+    ...(example.rationale ? [`  Why: ${example.rationale}`] : [])
+  ].join('\n');
+}
+
+const EXAMPLE_FORMATS = {
+  theme: formatThemeExample,
+  priority: formatPriorityExample
+};
+
+// Most similar examples for an agent ("theme" or "priority"), best first, within the budget
+// Theme examples need a theme (from allowedThemes when given, returned in its canonical spelling);
+// priority examples need a recommendation. Returns [{ ...example, score, tokens }].
+export function selectExamples(ticket, examples, agent, { allowedThemes = null, settings = getExampleSettings() } = {}) {
+  const canonicalTheme = theme => (allowedThemes
+    ? allowedThemes.find(allowed => allowed.toLowerCase() === theme.toLowerCase())
+    : theme);
+  const candidates = examples
+    .filter(example => example.key !== ticket.key)
+    .map(example => (agent === 'theme' && example.theme ? { ...example, theme: canonicalTheme(example.theme) } : example))
+    .filter(example => (agent === 'theme' ? example.theme : example.recommendation));
+  if (candidates.length === 0 || settings.maxExamples <= 0) return [];
+
+  const model = buildTfIdfModel(candidates.map(example => ({
+    id: example.key,
+    text: `${example.summary}\n${example.summary}\n${example.description}`
+  })));
+  const byKey = new Map(candidates.map(example => [example.key, example]));
+
+  const selected = [];
+  let tokensLeft = settings.tokenBudget;
+  for (const match of model.query(`${ticket.summary}\n${ticket.summary}\n${ticket.description || ''}`)) {
+    if (match.score < settings.minScore || selected.length >= settings.maxExamples) break;
+    const example = byKey.get(match.id);
+    const tokens = estimateTokens(EXAMPLE_FORMATS[agent](example));
+    if (tokens > tokensLeft) continue;
+    tokensLeft -= tokens;
+    selected.push({ ...example, score: Math.round(match.score * 1000) / 1000, tokens });
+  }
+  return selected;
+}
+
+// Compact description of the examples used, for responses and logs
+export function describeExamples(examples) {
+  return examples.map(example => ({ key: example.key, source: example.source, score: example.score }));
+}
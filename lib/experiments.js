@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { getCollection } from './storage.js';
+import { RECOMMENDATIONS } from './priority-schema.js';
+import { countAgreement, createStat, sameValue } from './feedback.js';
+
+// Prompt and model A/B experiments on the theme or priority agent
+//
+// EXPERIMENTS_PATH (JSON file) or EXPERIMENTS (inline JSON, wins) configures:
+//   { "experiments": [{ "name", "agent": "theme" | "priority", "shadow"?, "enabled"?,
+//       "variants": [{ "name", "percent", "prompt"?, "chain"? }] }] }
+// A variant sets the agent's prompt version (see lib/prompt-templates.js) and/or provider chain;
+// a variant with neither is the current setup. Tickets get a variant from a hash of the experiment
+// name and issue key, so re-triage keeps the variant. In shadow mode the other variants run as well,
+// and only the assigned variant's result is returned.
+
+const RESULTS_COLLECTION = 'experiment-results';
+export const EXPERIMENT_AGENTS = ['theme', 'priority'];
+
+// Outcome fields compared with human feedback, per agent
+const FEEDBACK_FIELDS_BY_AGENT = { theme: ['theme'], priority: ['recommendation', 'effort'] };
+
+const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+const round = value => Math.round(value * 1000) / 1000;
+
+// Validate one variant of an experiment
+function checkVariant(variant, location, agent, references, errors) {
+  if (!isObject(variant)) {
+    errors.push(`${location} must be an object`);
+    return;
+  }
+  if (typeof variant.name !== 'string' || !variant.name.trim()) {
+    errors.push(`${location}.name is required`);
+  }
+  if (typeof variant.percent !== 'number' || !(variant.percent >= 0 && variant.percent <= 100)) {
+    errors.push(`${location}.percent must be a number from 0 to 100`);
+  }
+  if (variant.prompt != null) {
+    const versions = references.promptVersions?.[agent];
+    if (typeof variant.prompt !== 'string') {
+      errors.push(`${location}.prompt must be a prompt version such as "v2"`);
+    } else if (versions && !versions.includes(variant.prompt)) {
+      errors.push(`${location}.prompt "${variant.prompt}" is not a version of the ${agent} prompt (available: ${versions.join(', ')})`);
+    }
+  }
+  if (variant.chain != null) {
+    if (!Array.isArray(variant.chain) || variant.chain.length === 0 || variant.chain.some(name => typeof name !== 'string')) {
+      errors.push(`${location}.chain must be a non-empty list of provider names`);
+    } else if (references.providers) {
+      for (const name of variant.chain.filter(name => !references.providers.includes(name))) {
+        errors.push(`${location}.chain references unknown provider "${name}"`);
+      }
+    }
+  }
+}
+
+// Validate an experiment config, returning a list of problems
+// With references ({ promptVersions: { [agent]: [...] }, providers: [...] }) the prompt versions and
+// provider names of enabled experiments are checked as well; a paused one may name retired ones
+export function validateExperimentConfig(config, references = {}) {
+  if (!isObject(config) || !Array.isArray(config.experiments)) {
+    return ['root must be an object with an "experiments" list'];
+  }
+
+  const errors = [];
+  const names = new Set();
+  const enabledAgents = new Set();
+  config.experiments.forEach((experiment, index) => {
+    const location = `experiments[${index}]`;
+    if (!isObject(experiment)) {
+      errors.push(`${location} must be an object`);
+      return;
+    }
+    if (typeof experiment.name !== 'string' || !experiment.name.trim()) {
+      errors.push(`${location}.name is required`);
+    } else if (names.has(experiment.name)) {
+      errors.push(`${location}.name "${experiment.name}" is used twice`);
+    }
+    names.add(experiment.name);
+    if (!EXPERIMENT_AGENTS.includes(experiment.agent)) {
+      errors.push(`${location}.agent must be one of ${EXPERIMENT_AGENTS.join(', ')}`);
+    } else if (experiment.enabled !== false) {
+      if (enabledAgents.has(experiment.agent)) {
+        errors.push(`${location}: only one enabled experiment per agent (${experiment.agent})`);
+      }
+      enabledAgents.add(experiment.agent);
+    }
+    for (const flag of ['shadow', 'enabled']) {
+      if (experiment[flag] !== undefined && typeof experiment[flag] !== 'boolean') {
+        errors.push(`${location}.${flag} must be true or false`);
+      }
+    }
+
+    if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+      errors.push(`${location}.variants must list at least two variants`);
+      return;
+    }
+    const variantReferences = experiment.enabled === false ? {} : references;
+    experiment.variants.forEach((variant, variantIndex) =>
+      checkVariant(variant, `${location}.variants[${variantIndex}]`, experiment.agent, variantReferences, errors));
+    const variantNames = experiment.variants.map(variant => variant?.name);
+    if (new Set(variantNames).size !== variantNames.length) {
+      errors.push(`${location}.variants must have distinct names`);
+    }
+    const total = experiment.variants.reduce((sum, variant) => sum + (typeof variant?.percent === 'number' ? variant.percent : 0), 0);
+    if (Math.abs(total - 100) > 0.001) {
+      errors.push(`${location}.variants percentages must add up to 100 (got ${round(total)})`);
+    }
+  });
+  return errors;
+}
+
+// Experiments with defaults filled in
+function normalizeConfig(config) {
+  return {
+    experiments: config.experiments.map(experiment => ({
+      name: experiment.name,
+      agent: experiment.agent,
+      enabled: experiment.enabled !== false,
+      shadow: experiment.shadow === true,
+      variants: experiment.variants.map(variant => ({
+        name: variant.name,
+        percent: variant.percent,
+        prompt: variant.prompt ?? null,
+        chain: variant.chain ?? null
+      }))
+    }))
+  };
+}
+
+// Load the experiment config from the environment (no experiments when neither variable is set)
+// `references` are the prompt versions and providers variants may name (see validateExperimentConfig)
+export function loadExperimentConfig(env = process.env, references = {}) {
+  let config = { experiments: [] };
+  if (env.EXPERIMENTS_PATH) {
+    try {
+      config = JSON.parse(fs.readFileSync(env.EXPERIMENTS_PATH, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read experiments from ${env.EXPERIMENTS_PATH}: ${error.message}`);
+    }
+  }
+  if (env.EXPERIMENTS) {
+    config = JSON.parse(env.EXPERIMENTS);
+  }
+
+  const errors = validateExperimentConfig(config, references);
+  if (errors.length > 0) {
+    throw new Error(`Invalid experiment configuration:\n- ${errors.join('\n- ')}`);
+  }
+  return normalizeConfig(config);
+}
+
+let activeConfig = null;
+
+// Active experiment config (loaded on first use)
+export function getExperimentConfig(references = {}) {
+  if (!activeConfig) {
+    activeConfig = loadExperimentConfig(process.env, references);
+  }
+  return activeConfig;
+}
+
+// Replace the active experiment config (tests, CLI); null re-reads the environment on next use
+export function setExperimentConfig(config, references = {}) {
+  if (config === null) {
+    activeConfig = null;
+    return null;
+  }
+  const errors = validateExperimentConfig(config, references);
+  if (errors.length > 0) {
+    throw new Error(`Invalid experiment configuration:\n- ${errors.join('\n- ')}`);
+  }
+  activeConfig = normalizeConfig(config);
+  return activeConfig;
+}
+
+// Stable position of a ticket in an experiment, from 0 (inclusive) to 100 (exclusive)
+export function experimentBucket(experimentName, issueKey) {
+  const hash = crypto.createHash('sha256').update(`${experimentName}:${issueKey}`).digest('hex');
+  return (parseInt(hash.slice(0, 8), 16) / 0x100000000) * 100;
+}
+
+// Variant of each enabled experiment for a ticket:
+// [{ experiment, agent, variant, shadowVariants }] where shadowVariants run only in shadow mode
+export function assignExperiments(config, issueKey) {
+  return config.experiments
+    .filter(experiment => experiment.enabled)
+    .map(experiment => {
+      const bucket = experimentBucket(experiment.name, issueKey);
+      let upper = 0;
+      const variant = experiment.variants.find(candidate => {
+        upper += candidate.percent;
+        return bucket < upper;
+      }) || experiment.variants[experiment.variants.length - 1];
+      return {
+        experiment: experiment.name,
+        agent: experiment.agent,
+        variant,
+        shadowVariants: experiment.shadow ? experiment.variants.filter(other => other !== variant) : []
+      };
+    });
+}
+
+// Store the outcome of every variant that ran for a ticket (the latest run per ticket is kept)
+// `outcomes` is { [variant]: { shadow, promptVersion, model, theme?, recommendation?, effort?, overallPriority? } }
+export function recordExperimentRun({ experiment, agent, issueKey, requestId, variant, outcomes }) {
+  const record = { experiment, agent, issueKey, requestId, variant, outcomes, updatedAt: new Date().toISOString() };
+  getCollection(RESULTS_COLLECTION).set(`${experiment}:${issueKey}`, record);
+  return record;
+}
+
+// Stored runs of an experiment, optionally updated since a date
+export function listExperimentRuns(experimentName, { since } = {}) {
+  let sinceTime = null;
+  if (since) {
+    sinceTime = new Date(since);
+    if (Number.isNaN(sinceTime.getTime())) {
+      throw new Error(`Invalid "since" date: ${since}`);
+    }
+  }
+  return getCollection(RESULTS_COLLECTION).values()
+    .filter(run => run.experiment === experimentName)
+    .filter(run => !sinceTime || new Date(run.updatedAt) >= sinceTime);
+}
+
+// Compare the variants of an experiment: how often each was served, the distribution of its
+// recommendations (or themes), its agreement with human feedback and, for tickets where every
+// variant ran (shadow mode), how often the variants agreed with each other
+export function computeExperimentReport(experiment, runs, feedbackRecords = []) {
+  const humanByKey = new Map(feedbackRecords.map(record => [record.issueKey, record.human]));
+  const label = experiment.agent === 'theme' ? 'theme' : 'recommendation';
+  const feedbackFields = FEEDBACK_FIELDS_BY_AGENT[experiment.agent];
+
+  const variants = experiment.variants.map(variant => {
+    const distribution = label === 'recommendation' ? Object.fromEntries(RECOMMENDATIONS.map(value => [value, 0])) : {};
+    const feedback = Object.fromEntries(feedbackFields.map(field => [field, createStat()]));
+    let count = 0;
+    for (const run of runs) {
+      const outcome = run.outcomes[variant.name];
+      if (!outcome) continue;
+      count += 1;
+      const value = outcome[label] ?? 'None';
+      distribution[value] = (distribution[value] || 0) + 1;
+      const human = humanByKey.get(run.issueKey);
+      for (const field of feedbackFields.filter(name => human?.[name] != null)) {
+        countAgreement(feedback[field], outcome[field] ?? 'None', human[field]);
+      }
+    }
+    return {
+      name: variant.name,
+      percent: variant.percent,
+      prompt: variant.prompt,
+      chain: variant.chain,
+      served: runs.filter(run => run.variant === variant.name).length,
+      runs: count,
+      distribution,
+      share: Object.fromEntries(Object.entries(distribution).map(([value, n]) => [value, count > 0 ? round(n / count) : null])),
+      feedback
+    };
+  });
+
+  let compared = 0;
+  let agreed = 0;
+  for (const run of runs) {
+    const values = experiment.variants.map(variant => run.outcomes[variant.name]?.[label]);
+    if (values.some(value => value === undefined)) continue;
+    compared += 1;
+    if (values.every(value => sameValue(value, values[0]))) agreed += 1;
+  }
+
+  return {
+    name: experiment.name,
+    agent: experiment.agent,
+    enabled: experiment.enabled,
+    shadow: experiment.shadow,
+    label,
+    tickets: runs.length,
+    feedbackCount: runs.filter(run => humanByKey.has(run.issueKey)).length,
+    variants,
+    variantAgreement: { compared, agreed, agreement: compared > 0 ? round(agreed / compared) : null }
+  };
+}
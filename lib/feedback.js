@@ -0,0 +1,199 @@
+import { getCollection } from './storage.js';
+import { EFFORT_SIZES, RECOMMENDATIONS } from './priority-schema.js';
+
+// Human feedback: the final theme, recommendation and effort a PM settled on for a triaged ticket
+// One record per issue, holding the AI outcome of its latest triage run next to the human values,
+// so agreement can be measured per product, theme, model and prompt version.
+
+const FEEDBACK_COLLECTION = 'triage-feedback';
+export const FEEDBACK_FIELDS = ['theme', 'recommendation', 'effort'];
+
+// Read feedback settings from the environment
+// Each setting is the Jira field ID (or name) a PM edits to correct that value
+export function getFeedbackSettings(env = process.env) {
+  return {
+    themeField: env.FEEDBACK_THEME_FIELD || null,
+    recommendationField: env.FEEDBACK_RECOMMENDATION_FIELD || env.JIRA_AI_TRIAGE_OUTCOME_FIELD || 'customfield_10101',
+    effortField: env.FEEDBACK_EFFORT_FIELD || null
+  };
+}
+
+const findIgnoringCase = (values, value) =>
+  values.find(candidate => candidate.toLowerCase() === String(value).trim().toLowerCase());
+
+// Validate human values ({ theme?, recommendation?, effort? }), returning { corrections, errors }
+// Recommendations and effort sizes are matched case-insensitively and returned in canonical form
+export function normalizeCorrections(input = {}) {
+  const corrections = {};
+  const errors = [];
+
+  if (input.theme != null) {
+    const theme = String(input.theme).trim();
+    if (theme) corrections.theme = theme;
+    else errors.push('theme must not be empty');
+  }
+  if (input.recommendation != null) {
+    const recommendation = findIgnoringCase(RECOMMENDATIONS, input.recommendation);
+    if (recommendation) corrections.recommendation = recommendation;
+    else errors.push(`recommendation must be one of ${RECOMMENDATIONS.join(', ')}`);
+  }
+  if (input.effort != null) {
+    const effort = findIgnoringCase(EFFORT_SIZES, input.effort);
+    if (effort) corrections.effort = effort;
+    else errors.push(`effort must be one of ${EFFORT_SIZES.join(', ')}`);
+  }
+  if (errors.length === 0 && Object.keys(corrections).length === 0) {
+    errors.push(`at least one of ${FEEDBACK_FIELDS.join(', ')} is required`);
+  }
+  return { corrections, errors };
+}
+
+// The AI outcome of a stored triage run (see lib/triage-history.js)
+export function aiOutcome(run) {
+  return {
+    theme: run.theme ?? null,
+    recommendation: run.recommendation ?? null,
+    effort: run.scores?.effort_size ?? null
+  };
+}
+
+// Human values from an issue_updated changelog
+// Returns { corrections, errors, feedbackOnly } where feedbackOnly means no other field changed.
+// A change to the AI's own value is the write-back (a first triage or a re-triage), not a PM decision.
+export function feedbackFromChangelog(changelog, run, settings = getFeedbackSettings()) {
+  const items = changelog?.items || [];
+  const ai = aiOutcome(run);
+  const fieldFor = item => FEEDBACK_FIELDS.find(name => {
+    const fieldId = settings[`${name}Field`];
+    return fieldId && (item.fieldId === fieldId || item.field === fieldId);
+  });
+
+  const values = {};
+  for (const item of items) {
+    const name = fieldFor(item);
+    const value = item.toString ?? null;
+    if (!name || value == null) continue;
+    const writeBackEcho = String(value).trim().toLowerCase() === String(ai[name] ?? '').trim().toLowerCase();
+    if (!writeBackEcho) {
+      values[name] = value;
+    }
+  }
+
+  const { corrections, errors } = normalizeCorrections(values);
+  return {
+    corrections: errors.length === 0 ? corrections : {},
+    errors: Object.keys(values).length > 0 ? errors : [],
+    feedbackOnly: items.length > 0 && items.every(fieldFor)
+  };
+}
+
+// Store human values against a triage run; later feedback for the same issue is merged in
+export function recordFeedback(run, corrections, { source = 'api', user = null } = {}) {
+  const feedback = getCollection(FEEDBACK_COLLECTION);
+  const existing = feedback.get(run.issueKey);
+  const now = new Date().toISOString();
+  const record = {
+    issueKey: run.issueKey,
+    requestId: run.requestId,
+    summary: run.issue?.fields?.summary ?? null,
+    description: run.issue?.fields?.description ?? null,
+    product: run.product || 'Unknown',
+    models: { theme: run.modelUsed?.theme ?? null, priority: run.modelUsed?.priority ?? null },
+    prompts: { theme: run.promptVersions?.theme ?? null, priority: run.promptVersions?.priority ?? null },
+    ai: aiOutcome(run),
+    human: { ...existing?.human, ...corrections },
+    source,
+    user: user ?? existing?.user ?? null,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+  feedback.set(run.issueKey, record);
+  return record;
+}
+
+// Stored feedback, optionally for one product and/or updated since a date
+export function listFeedback({ product, since } = {}) {
+  let sinceTime = null;
+  if (since) {
+    sinceTime = new Date(since);
+    if (Number.isNaN(sinceTime.getTime())) {
+      throw new Error(`Invalid "since" date: ${since}`);
+    }
+  }
+  const productFilter = product?.toLowerCase();
+  return getCollection(FEEDBACK_COLLECTION).values()
+    .filter(record => !productFilter || record.product.toLowerCase() === productFilter)
+    .filter(record => !sinceTime || new Date(record.updatedAt) >= sinceTime);
+}
+
+// Themes compare case-insensitively; recommendations and effort are canonical already
+export const sameValue = (ai, human) => String(ai ?? '').trim().toLowerCase() === String(human).trim().toLowerCase();
+
+// Agreement counter: { compared, agreed, agreement } with agreement null until something is compared
+export function createStat() {
+  return { compared: 0, agreed: 0, agreement: null };
+}
+
+export function countAgreement(stat, ai, human) {
+  stat.compared += 1;
+  if (sameValue(ai, human)) stat.agreed += 1;
+  stat.agreement = Math.round(1000 * stat.agreed / stat.compared) / 1000;
+}
+
+// Confusion matrix with AI values as rows and human values as columns
+function confusionMatrix(pairs, knownLabels = []) {
+  const extra = pairs.flatMap(pair => [pair.ai, pair.human]).filter(label => !knownLabels.includes(label));
+  const labels = [...knownLabels, ...[...new Set(extra)].sort()];
+  const matrix = labels.map(() => labels.map(() => 0));
+  for (const { ai, human } of pairs) {
+    matrix[labels.indexOf(ai)][labels.indexOf(human)] += 1;
+  }
+  return { rows: 'ai', columns: 'human', labels, matrix };
+}
+
+// Agreement rates overall, per product, per AI theme, per model and per prompt version,
+// plus confusion matrices
+export function computeAccuracy(records) {
+  const stats = () => Object.fromEntries(FEEDBACK_FIELDS.map(name => [name, createStat()]));
+  const group = (groups, key) => (groups[key] ||= stats());
+
+  const overall = stats();
+  const byProduct = {};
+  const byTheme = {};
+  const byModel = {};
+  const byPrompt = {};
+  const pairs = Object.fromEntries(FEEDBACK_FIELDS.map(name => [name, []]));
+
+  for (const record of records) {
+    for (const name of FEEDBACK_FIELDS) {
+      const human = record.human[name];
+      if (human == null) continue;
+      const ai = record.ai[name] ?? 'None';
+      const agent = name === 'theme' ? 'theme' : 'priority';
+      const model = record.models[agent] || 'Unknown';
+      const prompt = record.prompts?.[agent] || 'Unknown';
+
+      countAgreement(overall[name], ai, human);
+      countAgreement(group(byProduct, record.product)[name], ai, human);
+      countAgreement(group(byTheme, record.ai.theme ?? 'None')[name], ai, human);
+      countAgreement(group(byModel, model)[name], ai, human);
+      countAgreement(group(byPrompt, prompt)[name], ai, human);
+      // Themes that only differ in case count as the AI's spelling in the matrix
+      pairs[name].push(name === 'theme' && sameValue(ai, human) ? { ai, human: ai } : { ai, human });
+    }
+  }
+
+  return {
+    feedbackCount: records.length,
+    overall,
+    byProduct,
+    byTheme,
+    byModel,
+    byPrompt,
+    confusion: {
+      theme: confusionMatrix(pairs.theme),
+      recommendation: confusionMatrix(pairs.recommendation, RECOMMENDATIONS),
+      effort: confusionMatrix(pairs.effort, EFFORT_SIZES)
+    }
+  };
+}
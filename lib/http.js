@@ -0,0 +1,48 @@
+import { authenticateRequest, getClientIp } from './auth.js';
+
+// Shared request handling of the authenticated API handlers
+
+// CORS headers, preflight, allowed methods, authentication and a readable JSON body
+// Returns true when the handler should go on; otherwise the response has already been sent
+export async function acceptRequest(req, res, logger, methods) {
+  res.setHeader('Access-Control-Allow-Origin', process.env.TRIAGE_CORS_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Hub-Signature');
+
+  // Handle preflight request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return false;
+  }
+
+  if (!methods.includes(req.method)) {
+    sendError(res, logger, 405, 'Method not allowed');
+    return false;
+  }
+
+  // Authentication (token, HMAC signature and/or IP allowlist)
+  const auth = await authenticateRequest(req);
+  if (!auth.ok) {
+    logger.logAction('AUTH_FAILED', { clientIP: getClientIp(req), modes: auth.modes, reason: auth.reason });
+    sendError(res, logger, 401, 'Unauthorized');
+    return false;
+  }
+
+  if (req.bodyError) {
+    sendError(res, logger, 400, req.bodyError);
+    return false;
+  }
+
+  return true;
+}
+
+// Error response carrying the request ID of the logger (plus any extra fields)
+export function sendError(res, logger, statusCode, error, details = {}) {
+  return res.status(statusCode).json({ status: 'error', requestId: logger.requestId, error, ...details });
+}
+
+// 500 response for an unexpected error, logged under the request ID
+export function sendServerError(res, logger, error) {
+  logger.logAction('ERROR', { error: error.toString() });
+  return sendError(res, logger, 500, error.toString());
+}
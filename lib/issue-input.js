@@ -0,0 +1,58 @@
+import fs from 'fs';
+import path from 'path';
+
+// Reading exported Jira issues (batch endpoint and CLI)
+// Accepted shapes: a single issue ({ key, fields }), a webhook payload ({ webhookEvent, issue }),
+// an array of either, or an object with an "issues" array (Jira search / JQL export).
+
+// Normalize one entry to a webhook-style payload
+const toPayload = entry => (entry?.issue ? entry : { issue: entry });
+
+// Payloads from a parsed JSON document, or null when the shape is not recognized
+export function toPayloads(document) {
+  if (Array.isArray(document)) return document.map(toPayload);
+  if (Array.isArray(document?.issues)) return document.issues.map(toPayload);
+  if (document?.issue || document?.key) return [toPayload(document)];
+  return null;
+}
+
+// Parse a JSON document or JSONL (one issue or payload per line)
+export function parseIssueText(text, source = 'input') {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+
+  try {
+    const payloads = toPayloads(JSON.parse(trimmed));
+    if (payloads) return payloads;
+  } catch (error) {
+    // Not a single JSON document; try JSONL
+  }
+
+  return trimmed.split('\n').filter(line => line.trim()).flatMap((line, index) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${source}:${index + 1}: invalid JSON (${error.message})`);
+    }
+    const payloads = toPayloads(parsed);
+    if (!payloads) {
+      throw new Error(`${source}:${index + 1}: expected an issue, a webhook payload or an "issues" array`);
+    }
+    return payloads;
+  });
+}
+
+// Payloads from files and directories (every .json / .jsonl file, sorted by name)
+export function readIssueFiles(paths) {
+  return paths.flatMap(inputPath => {
+    if (fs.statSync(inputPath).isDirectory()) {
+      const files = fs.readdirSync(inputPath)
+        .filter(name => /\.jsonl?$/.test(name))
+        .sort()
+        .map(name => path.join(inputPath, name));
+      return readIssueFiles(files);
+    }
+    return parseIssueText(fs.readFileSync(inputPath, 'utf8'), inputPath);
+  });
+}
@@ -0,0 +1,161 @@
+// Issue text normalization
+// Jira Cloud REST v3 and newer webhooks deliver descriptions as Atlassian Document Format
+// (ADF) trees; older APIs deliver Jira wiki markup strings. Both become markdown here.
+
+// Inline text with its marks (bold, italic, code, strike, link)
+function renderText(node) {
+  let text = node.text || '';
+  for (const mark of node.marks || []) {
+    if (mark.type === 'code') text = `\`${text}\``;
+    else if (mark.type === 'strong') text = `**${text}**`;
+    else if (mark.type === 'em') text = `*${text}*`;
+    else if (mark.type === 'strike') text = `~~${text}~~`;
+    else if (mark.type === 'link' && mark.attrs?.href) text = `[${text}](${mark.attrs.href})`;
+  }
+  return text;
+}
+
+const renderInline = (nodes = []) => nodes.map(renderNode).join('');
+
+const renderBlocks = (nodes = [], separator = '\n\n') => nodes.map(renderNode).filter(Boolean).join(separator);
+
+// Indent continuation lines of a list item under its marker
+const indent = (text, width) => text.split('\n').join(`\n${' '.repeat(width)}`);
+
+function renderList(node, ordered) {
+  const start = node.attrs?.order || 1;
+  return (node.content || []).map((item, index) => {
+    const marker = ordered ? `${start + index}. ` : '- ';
+    return marker + indent(renderBlocks(item.content, '\n'), marker.length);
+  }).join('\n');
+}
+
+function renderTable(node) {
+  const rows = (node.content || []).map(row =>
+    (row.content || []).map(cell => renderBlocks(cell.content, ' ').replace(/\|/g, '\\|').replace(/\n/g, ' '))
+  );
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(row => row.length));
+  const line = cells => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+  return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
+// Render one ADF node as markdown
+function renderNode(node) {
+  if (!node || typeof node !== 'object') return '';
+
+  switch (node.type) {
+    case 'doc':
+      return renderBlocks(node.content);
+    case 'paragraph':
+      return renderInline(node.content);
+    case 'text':
+      return renderText(node);
+    case 'hardBreak':
+      return '\n';
+    case 'heading':
+      return `${'#'.repeat(node.attrs?.level || 1)} ${renderInline(node.content)}`;
+    case 'bulletList':
+      return renderList(node, false);
+    case 'orderedList':
+      return renderList(node, true);
+    case 'listItem':
+      return renderBlocks(node.content, '\n');
+    case 'codeBlock':
+      return `\`\`\`${node.attrs?.language || ''}\n${(node.content || []).map(child => child.text || '').join('')}\n\`\`\``;
+    case 'blockquote':
+      return renderBlocks(node.content).split('\n').map(line => `> ${line}`).join('\n');
+    case 'rule':
+      return '---';
+    case 'mention':
+      return node.attrs?.text ? (node.attrs.text.startsWith('@') ? node.attrs.text : `@${node.attrs.text}`) : '@user';
+    case 'emoji':
+      return node.attrs?.text || node.attrs?.shortName || '';
+    case 'inlineCard':
+    case 'blockCard':
+    case 'embedCard':
+      return node.attrs?.url || '';
+    case 'status':
+      return `[${node.attrs?.text || ''}]`;
+    case 'date':
+      return node.attrs?.timestamp ? new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10) : '';
+    case 'table':
+      return renderTable(node);
+    case 'media':
+      return '[attachment]';
+    default:
+      // panel, expand, mediaSingle, layouts and future node types: keep their content
+      return renderBlocks(node.content);
+  }
+}
+
+// Convert an ADF document (or node) to markdown
+export function adfToMarkdown(adf) {
+  return renderNode(adf).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Markup that only Jira wiki uses: headings, {code}/{quote}-style macros, {{monospace}},
+// header table rows, [~mentions] and [text|url] links. List and emphasis markers are left
+// out on purpose: "# Steps" and "*text*" mean something else in markdown.
+const WIKI_MARKERS = /^h[1-6]\.\s|\{(?:code|noformat|quote|color|panel)[^}]*\}|\{\{[^}]+\}\}|^\|\||\[~[^\]]+\]|\[[^\]|]+\|[^\]]+\]/m;
+
+// Whether a plain-text description is Jira wiki markup (rather than markdown or plain text)
+export function isWikiMarkup(text) {
+  return WIKI_MARKERS.test(String(text));
+}
+
+// Convert Jira wiki markup to markdown (headings, code, quotes, lists, tables, links, mentions, emphasis)
+export function wikiToMarkdown(text) {
+  const codeBlocks = [];
+  const keep = (block) => `\u0000${codeBlocks.push(block) - 1}\u0000`;
+
+  let markdown = String(text)
+    .replace(/\r\n/g, '\n')
+    // Code blocks first so their content is left alone
+    .replace(/\{code(?::([^}|]*))?[^}]*\}([\s\S]*?)\{code\}/g, (_, language = '', code) =>
+      keep(`\`\`\`${/^[\w+-]+$/.test(language.trim()) ? language.trim() : ''}\n${code.replace(/^\n|\n$/g, '')}\n\`\`\``))
+    .replace(/\{noformat[^}]*\}([\s\S]*?)\{noformat\}/g, (_, code) => keep(`\`\`\`\n${code.replace(/^\n|\n$/g, '')}\n\`\`\``))
+    .replace(/\{quote\}([\s\S]*?)\{quote\}/g, (_, quote) => quote.trim().split('\n').map(line => `> ${line}`).join('\n'))
+    .replace(/\{(?:color|panel)[^}]*\}/g, '')
+    .replace(/\{\{([^}]+)\}\}/g, '`$1`');
+
+  markdown = markdown.split('\n').map(line => {
+    const heading = line.match(/^h([1-6])\.\s+(.*)$/);
+    if (heading) return `${'#'.repeat(Number(heading[1]))} ${heading[2]}`;
+
+    const list = line.match(/^([*#-]+)\s+(.*)$/);
+    if (list) {
+      const depth = list[1].length - 1;
+      const marker = list[1].endsWith('#') ? '1.' : '-';
+      return `${'  '.repeat(depth)}${marker} ${list[2]}`;
+    }
+
+    if (line.startsWith('||')) {
+      const cells = line.replace(/^\|\||\|\|$/g, '').split('||').map(cell => cell.trim());
+      return `| ${cells.join(' | ')} |\n|${cells.map(() => ' --- |').join('')}`;
+    }
+    if (line.startsWith('|')) {
+      return `| ${line.replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()).join(' | ')} |`;
+    }
+    return line;
+  }).join('\n');
+
+  markdown = markdown
+    .replace(/\[~(?:accountid:)?([^\]]+)\]/g, '@$1')
+    .replace(/\[([^\]|]+)\|([^\]]+)\]/g, '[$1]($2)')
+    .replace(/\[((?:https?|mailto):[^\]]+)\]/g, '$1')
+    .replace(/(^|[\s(])\*([^*\n]+)\*(?=[\s).,:;!?]|$)/gm, '$1**$2**')
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => codeBlocks[Number(index)]);
+
+  return markdown.trim();
+}
+
+// Issue description as markdown, whatever format Jira delivered it in
+export function getIssueDescription(issue) {
+  const description = issue?.fields?.description;
+  if (!description) return '';
+  if (typeof description === 'object') return adfToMarkdown(description);
+  // Markdown (e.g. pasted by integrations) and plain text are kept as they are
+  return isWikiMarkup(description) ? wikiToMarkdown(description) : String(description).replace(/\r\n/g, '\n').trim();
+}
@@ -0,0 +1,162 @@
+// Jira REST client used to write triage results back to tickets
+
+// Read Jira connection settings from the environment
+export function getJiraConfig(env = process.env) {
+  return {
+    baseUrl: (env.JIRA_BASE_URL || '').replace(/\/+$/, ''),
+    email: env.JIRA_EMAIL || null,
+    apiToken: env.JIRA_API_TOKEN || null,
+    bearerToken: env.JIRA_BEARER_TOKEN || null,
+    writeBackEnabled: env.JIRA_WRITEBACK === 'true'
+  };
+}
+
+// Check whether we have enough settings to call Jira
+export function isJiraConfigured(config) {
+  return !!(config.baseUrl && (config.bearerToken || (config.email && config.apiToken)));
+}
+
+// Build the Authorization header (Cloud uses email + API token, Data Center uses a PAT)
+function getAuthHeader(config) {
+  if (config.bearerToken) {
+    return `Bearer ${config.bearerToken}`;
+  }
+  const credentials = Buffer.from(`${config.email}:${config.apiToken}`).toString('base64');
+  return `Basic ${credentials}`;
+}
+
+// Low-level Jira REST call
+async function jiraRequest(config, method, path, body) {
+  const response = await fetch(`${config.baseUrl}${path}`, {
+    method,
+    headers: {
+      'Authorization': getAuthHeader(config),
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    throw new Error(`Jira ${method} ${path} failed with ${response.status}: ${errorText.substring(0, 300)}`);
+  }
+
+  // 204 No Content is the normal answer for issue edits
+  if (response.status === 204) {
+    return null;
+  }
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+// Update issue fields and labels in a single edit call
+export async function updateIssue(config, issueKey, { fields = {}, addLabels = [], removeLabels = [] }) {
+  const payload = { fields };
+  if (addLabels.length > 0 || removeLabels.length > 0) {
+    payload.update = {
+      labels: [
+        ...removeLabels.map(label => ({ remove: label })),
+        ...addLabels.map(label => ({ add: label }))
+      ]
+    };
+  }
+  return jiraRequest(config, 'PUT', `/rest/api/2/issue/${encodeURIComponent(issueKey)}`, payload);
+}
+
+// Current labels of an issue
+export async function getIssueLabels(config, issueKey) {
+  const issue = await jiraRequest(config, 'GET', `/rest/api/2/issue/${encodeURIComponent(issueKey)}?fields=labels`);
+  return issue?.fields?.labels || [];
+}
+
+// Post a plain-text comment (REST v2 accepts strings, v3 would need ADF)
+export async function addComment(config, issueKey, body) {
+  return jiraRequest(config, 'POST', `/rest/api/2/issue/${encodeURIComponent(issueKey)}/comment`, { body });
+}
+
+// Jira labels cannot contain spaces, so slugify values before adding them
+export function toJiraLabel(prefix, value) {
+  const slug = String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug ? `${prefix}-${slug}`.substring(0, 255) : null;
+}
+
+// Labels the write-back manages; earlier ones are replaced on re-triage
+const WRITE_BACK_LABEL = /^ai-(triage|theme)-/;
+
+// Whether a label was added by the write-back (not by a person)
+export function isWriteBackLabel(label) {
+  return WRITE_BACK_LABEL.test(label);
+}
+
+// Map a triage response onto the Jira edit payload and comment
+// `currentLabels` are the issue's labels; write-back labels of an earlier triage that no longer apply are removed
+export function buildWriteBackPayload(triage, fieldConfig, currentLabels = []) {
+  const analysed = triage.result?.priority_recommendation !== 'Not analyzed';
+  const themeText = triage.themes.length > 0 ? triage.themes.join(', ') : 'THEME NOT IDENTIFIED';
+
+  const fields = {
+    [fieldConfig.AI_TRIAGE_STATUS_FIELD]: analysed ? 'Completed' : 'Needs Review',
+    [fieldConfig.AI_TRIAGE_OUTCOME_FIELD]: triage.recommendation,
+    [fieldConfig.AI_TRIAGE_NOTES_FIELD]: [
+      `Theme: ${themeText}`,
+      `Classification: ${triage.classification}`,
+      `Importance: ${triage.importance}/100`,
+      ...(triage.priority_breakdown?.length > 0
+        ? [`Importance breakdown: ${triage.priority_breakdown.map(c => `${c.dimension} ${c.score} × ${c.weight}`).join(' + ')}`]
+        : []),
+      `Model: ${triage.result?.modelUsed || 'Unknown'}`,
+      `Request ID: ${triage.requestId}`
+    ].join('\n')
+  };
+
+  const addLabels = [
+    toJiraLabel('ai-triage', triage.recommendation),
+    ...triage.themes
+      .filter(theme => theme !== 'THEME NOT IDENTIFIED')
+      .map(theme => toJiraLabel('ai-theme', theme))
+  ].filter(Boolean);
+  const removeLabels = currentLabels.filter(label => isWriteBackLabel(label) && !addLabels.includes(label));
+
+  const comment = triage.notes
+    ? `AI Triage (${triage.recommendation}, importance ${triage.importance}/100):\n\n${triage.notes}`
+    : null;
+
+  return { fields, addLabels, removeLabels, comment };
+}
+
+// Write triage results back to the Jira ticket
+// Failures are reported in the returned summary instead of failing the triage request
+// `currentLabels` (from the webhook payload) saves looking the issue's labels up first
+export async function writeBackTriageResult(issueKey, triage, fieldConfig, logger, config = getJiraConfig(), currentLabels = null) {
+  if (!isJiraConfigured(config)) {
+    logger.logAction('JIRA_WRITEBACK_SKIPPED', { reason: 'Jira connection not configured' });
+    return { status: 'skipped', reason: 'Jira connection not configured', steps: [] };
+  }
+
+  const steps = [];
+
+  try {
+    const labels = currentLabels || await getIssueLabels(config, issueKey);
+    const { fields, addLabels, removeLabels, comment } = buildWriteBackPayload(triage, fieldConfig, labels);
+    logger.logAction('JIRA_WRITEBACK_START', { issueKey, fields: Object.keys(fields), labels: addLabels, removedLabels: removeLabels });
+
+    await updateIssue(config, issueKey, { fields, addLabels, removeLabels });
+    steps.push('Updated triage fields and labels');
+
+    if (comment) {
+      await addComment(config, issueKey, comment);
+      steps.push('Posted executive summary comment');
+    }
+
+    logger.logAction('JIRA_WRITEBACK_SUCCESS', { issueKey, steps });
+    return { status: 'success', steps, labels: addLabels, removedLabels: removeLabels };
+
+  } catch (error) {
+    logger.logAction('JIRA_WRITEBACK_FAILED', { issueKey, steps, error: error.toString() });
+    return { status: 'failed', steps, error: error.toString() };
+  }
+}
@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import { getCollection } from './storage.js';
+
+// Background jobs (batch triage)
+// Running jobs live in memory and are persisted through the storage adapter at most every
+// few seconds while running, and once more when they finish.
+
+const JOBS_COLLECTION = 'triage-jobs';
+const SAVE_INTERVAL_MS = 2000;
+
+const activeJobs = new Map();
+const lastSaved = new Map();
+
+function saveJob(job, force = false) {
+  const now = Date.now();
+  if (!force && now - (lastSaved.get(job.id) || 0) < SAVE_INTERVAL_MS) {
+    return;
+  }
+  lastSaved.set(job.id, now);
+  getCollection(JOBS_COLLECTION).set(job.id, job);
+}
+
+// Create a queued job for `total` items
+export function createJob(type, total, options = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    total,
+    processed: 0,
+    counts: { success: 0, skipped: 0, deleted: 0, cached: 0, error: 0 },
+    options,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    results: new Array(total).fill(null)
+  };
+  activeJobs.set(job.id, job);
+  saveJob(job, true);
+  return job;
+}
+
+// Job by ID (running jobs first, then stored ones)
+export function getJob(id) {
+  return activeJobs.get(id) || getCollection(JOBS_COLLECTION).get(id);
+}
+
+// Run `worker(item, index)` over items with at most `concurrency` in flight
+// Results keep the input order
+export async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane));
+  return results;
+}
+
+// Process a job's items; `worker` resolves to a result with a `status`
+// ("success", "skipped", "deleted"; `cached: true` is counted too) and errors become { status: "error" }
+export async function runJob(job, items, worker, { concurrency = 1 } = {}) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  saveJob(job, true);
+
+  try {
+    await mapWithConcurrency(items, concurrency, async (item, index) => {
+      let result;
+      try {
+        result = await worker(item, index);
+      } catch (error) {
+        result = { status: 'error', error: error.toString() };
+      }
+
+      job.results[index] = { index, ...result };
+      job.processed += 1;
+      job.counts[result.status] = (job.counts[result.status] || 0) + 1;
+      if (result.cached) {
+        job.counts.cached += 1;
+      }
+      saveJob(job);
+    });
+    job.status = 'completed';
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.toString();
+  }
+
+  job.finishedAt = new Date().toISOString();
+  saveJob(job, true);
+  activeJobs.delete(job.id);
+  lastSaved.delete(job.id);
+  return job;
+}
@@ -0,0 +1,160 @@
+// JSON Schema for the priority agent's output, plus a small validator
+// The same schema is sent to providers that support structured output
+// (Gemini responseSchema, Claude tool input_schema, OpenAI json_schema)
+
+const SCORE = { type: 'integer', minimum: 0, maximum: 100 };
+const STRING_LIST = { type: 'array', items: { type: 'string' }, minItems: 1 };
+const TEXT = { type: 'string' };
+
+export const EFFORT_SIZES = ['XS', 'S', 'M', 'L', 'XL'];
+export const RECOMMENDATIONS = ['Fast Track', 'Standard', 'On Hold', 'Low'];
+
+export const PRIORITY_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    scores: {
+      type: 'object',
+      properties: {
+        business_impact: SCORE,
+        effort_size: { type: 'string', enum: EFFORT_SIZES },
+        effort_score: SCORE,
+        strategic_fit: SCORE,
+        cross_client_value: SCORE,
+        overall_priority: SCORE
+      },
+      required: ['business_impact', 'effort_size', 'effort_score', 'strategic_fit', 'cross_client_value', 'overall_priority']
+    },
+    // One sentence per scored dimension explaining the score
+    score_rationales: {
+      type: 'object',
+      properties: {
+        business_impact: TEXT,
+        strategic_fit: TEXT,
+        cross_client_value: TEXT,
+        effort: TEXT
+      },
+      required: ['business_impact', 'strategic_fit', 'cross_client_value', 'effort']
+    },
+    priority_recommendation: { type: 'string', enum: RECOMMENDATIONS },
+    key_insights: STRING_LIST,
+    risks: STRING_LIST,
+    opportunities: STRING_LIST,
+    similar_features: { type: 'string' },
+    recommended_next_steps: STRING_LIST,
+    executive_summary: { type: 'string' },
+    on_hold_reasoning: { type: 'string' },
+    effort_analysis: {
+      type: 'object',
+      properties: {
+        estimated_effort: { type: 'string', enum: EFFORT_SIZES },
+        reasoning: { type: 'string' },
+        confidence: { type: 'string' }
+      }
+    }
+  },
+  required: [
+    'scores',
+    'score_rationales',
+    'priority_recommendation',
+    'key_insights',
+    'risks',
+    'opportunities',
+    'similar_features',
+    'recommended_next_steps',
+    'executive_summary'
+  ]
+};
+
+// A single schema violation
+export class SchemaValidationError extends Error {
+  constructor(path, keyword, message) {
+    super(`${path}: ${message}`);
+    this.name = 'SchemaValidationError';
+    this.path = path;
+    this.keyword = keyword;
+  }
+}
+
+// JSON type name of a value, matching JSON Schema's vocabulary
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Validate a value against the supported subset of JSON Schema
+// (type, enum, properties, required, items, minItems, minimum, maximum)
+export function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const actualType = typeOf(value);
+
+  if (schema.type) {
+    const typeMatches = schema.type === actualType || (schema.type === 'number' && actualType === 'integer');
+    if (!typeMatches) {
+      errors.push(new SchemaValidationError(path, 'type', `expected ${schema.type}, got ${actualType}`));
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(new SchemaValidationError(path, 'enum', `expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`));
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(new SchemaValidationError(path, 'minimum', `must be >= ${schema.minimum}, got ${value}`));
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(new SchemaValidationError(path, 'maximum', `must be <= ${schema.maximum}, got ${value}`));
+  }
+
+  if (actualType === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(new SchemaValidationError(`${path}.${key}`, 'required', 'is required'));
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(new SchemaValidationError(path, 'minItems', `must contain at least ${schema.minItems} item(s)`));
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  return errors;
+}
+
+// Validate a priority analysis object
+export function validatePriorityAnalysis(analysis) {
+  return validateSchema(analysis, PRIORITY_ANALYSIS_SCHEMA);
+}
+
+// Parse output that is supposed to be pure JSON (tolerates a surrounding code fence)
+// Returns the parsed object or null
+export function parseStructuredOutput(text) {
+  const candidates = [String(text || '').trim()];
+  const fenced = String(text || '').match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
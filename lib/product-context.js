@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Product context loader: product-context.json is the single source of truth
+// for product detection keywords, overviews, pillars, capabilities, feature hints and theme lists
+
+const DEFAULT_PRODUCT_CONTEXT_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'product-context.json'
+);
+
+// Validate that a value is an array of non-empty strings
+function checkStringArray(value, location, errors, { required = true, nonEmpty = false } = {}) {
+  if (value === undefined && !required) return;
+  if (!Array.isArray(value)) {
+    errors.push(`${location} must be an array of strings`);
+    return;
+  }
+  if (nonEmpty && value.length === 0) {
+    errors.push(`${location} must not be empty`);
+  }
+  value.forEach((item, index) => {
+    if (typeof item !== 'string' || item.trim() === '') {
+      errors.push(`${location}[${index}] must be a non-empty string`);
+    }
+  });
+}
+
+// Validate that a value is a non-empty string
+function checkString(value, location, errors) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push(`${location} must be a non-empty string`);
+  }
+}
+
+// Validate the shared descriptive fields of a product (or the default entry)
+function checkDescription(entry, location, errors) {
+  checkString(entry.overview, `${location}.overview`, errors);
+  checkStringArray(entry.corePillars, `${location}.corePillars`, errors);
+  checkStringArray(entry.keyCapabilities, `${location}.keyCapabilities`, errors);
+  checkStringArray(entry.defaultFeatures, `${location}.defaultFeatures`, errors, { required: false });
+  checkString(entry.businessContext, `${location}.businessContext`, errors);
+  checkString(entry.technicalContext, `${location}.technicalContext`, errors);
+}
+
+// Schema-validate the parsed product context, returning a list of problems
+export function validateProductContext(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['root must be an object'];
+  }
+
+  if (!data.products || typeof data.products !== 'object' || Array.isArray(data.products)) {
+    errors.push('products must be an object keyed by product name');
+  } else if (Object.keys(data.products).length === 0) {
+    errors.push('products must define at least one product');
+  } else {
+    for (const [productName, product] of Object.entries(data.products)) {
+      const location = `products["${productName}"]`;
+      if (!product || typeof product !== 'object') {
+        errors.push(`${location} must be an object`);
+        continue;
+      }
+      checkDescription(product, location, errors);
+      if (!product.detection || typeof product.detection !== 'object' || Array.isArray(product.detection)) {
+        errors.push(`${location}.detection must be an object with the keywords that identify the product`);
+      } else {
+        checkStringArray(product.detection.keywords, `${location}.detection.keywords`, errors, { nonEmpty: true });
+        checkStringArray(product.detection.requires, `${location}.detection.requires`, errors, { required: false });
+      }
+      checkStringArray(product.themes, `${location}.themes`, errors, { nonEmpty: true });
+
+      if (Array.isArray(product.themes)) {
+        const seen = new Set();
+        for (const theme of product.themes) {
+          const normalized = String(theme).trim().toLowerCase();
+          if (seen.has(normalized)) {
+            errors.push(`${location}.themes contains duplicate theme "${theme}"`);
+          }
+          seen.add(normalized);
+        }
+      }
+
+      if (product.featureHints !== undefined) {
+        if (!Array.isArray(product.featureHints)) {
+          errors.push(`${location}.featureHints must be an array`);
+        } else {
+          product.featureHints.forEach((hint, index) => {
+            checkStringArray(hint?.keywords, `${location}.featureHints[${index}].keywords`, errors, { nonEmpty: true });
+            checkString(hint?.feature, `${location}.featureHints[${index}].feature`, errors);
+          });
+        }
+      }
+    }
+  }
+
+  if (!data.default || typeof data.default !== 'object') {
+    errors.push('default must be an object describing the fallback product context');
+  } else {
+    checkDescription(data.default, 'default', errors);
+  }
+
+  return errors;
+}
+
+// Read and validate the product context file (throws if it is missing or invalid)
+export function loadProductContext(filePath = process.env.PRODUCT_CONTEXT_PATH || DEFAULT_PRODUCT_CONTEXT_PATH) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read product context from ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateProductContext(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid product context in ${filePath}:\n- ${errors.join('\n- ')}`);
+  }
+
+  return data;
+}
+
+// Names of all configured products
+export function getProductNames(productContext) {
+  return Object.keys(productContext.products);
+}
+
+// Detect the product a ticket is about from its summary, description, components and labels
+// (all lower-cased). A product matches when any of its detection keywords and all of its
+// required keywords appear; the first configured product that matches wins.
+export function detectProduct(productContext, { summary, description, components, labels }) {
+  const mentions = keyword => summary.includes(keyword) || description.includes(keyword)
+    || components.some(component => component.includes(keyword)) || labels.some(label => label.includes(keyword));
+
+  for (const [productName, { detection }] of Object.entries(productContext.products)) {
+    const keywords = detection.keywords.map(keyword => keyword.toLowerCase());
+    const requires = (detection.requires || []).map(keyword => keyword.toLowerCase());
+    if (keywords.some(mentions) && requires.every(mentions)) {
+      return { product: productName, confidence: 'High' };
+    }
+  }
+  return { product: 'Unknown', confidence: 'Low' };
+}
+
+// Allowed themes for a product, or null when the product is not configured
+export function getThemesForProduct(productContext, productName) {
+  return productContext.products[productName]?.themes || null;
+}
+
+// Every theme across all products (used when the product could not be detected)
+export function getAllThemes(productContext) {
+  return [...new Set(Object.values(productContext.products).flatMap(product => product.themes))];
+}
+
+// Detailed product information, with relevant features picked from the ticket text
+export function getProductDetails(productContext, productName, summary, description) {
+  const product = productContext.products[productName] || productContext.default;
+
+  const relevantFeatures = (product.featureHints || [])
+    .filter(hint => hint.keywords.some(keyword => summary.includes(keyword) || description.includes(keyword)))
+    .map(hint => hint.feature);
+
+  return {
+    overview: product.overview,
+    corePillars: product.corePillars,
+    keyCapabilities: product.keyCapabilities,
+    relevantFeatures: relevantFeatures.length > 0 ? relevantFeatures : (product.defaultFeatures || []),
+    businessContext: product.businessContext,
+    technicalContext: product.technicalContext
+  };
+}
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Versioned prompt templates
+//
+// Templates live in PROMPTS_DIR (default prompts/) as <prompt>/<version>.txt, and prompts.json
+// names the active version of each prompt. In a template, {{name}} inserts a variable and
+// {{! ... }} is a comment for whoever edits the wording. A rendered prompt carries its version ID
+// ("priority@v2") and a hash of the template text, so outcomes can be traced to the wording used.
+
+const DEFAULT_PROMPTS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'prompts'
+);
+const MANIFEST_FILE = 'prompts.json';
+const TEMPLATE_EXTENSION = '.txt';
+
+// A comment on a line of its own disappears with its line break
+const COMMENT_LINE = /^[ \t]*\{\{![\s\S]*?\}\}[ \t]*\r?\n/gm;
+const COMMENT = /\{\{![\s\S]*?\}\}/g;
+const TAG = /\{\{([\s\S]*?)\}\}/g;
+const VARIABLE_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// Parse template source into { text, variables, hash }; `location` names it in error messages
+// The hash covers the text without comments, so editing a comment does not count as a change
+export function parseTemplate(source, location = 'template') {
+  const text = source
+    .replace(COMMENT_LINE, '')
+    .replace(COMMENT, '')
+    .replace(/\r?\n$/, '');
+
+  const errors = [];
+  const variables = new Set();
+  for (const [tag, inner] of text.matchAll(TAG)) {
+    const name = inner.trim();
+    if (VARIABLE_NAME.test(name)) variables.add(name);
+    else errors.push(`invalid tag "${tag}"`);
+  }
+  if (text.replace(TAG, '').includes('{{')) {
+    errors.push('unclosed "{{"');
+  }
+  if (errors.length > 0) {
+    throw new Error(`${location}: ${errors.join('; ')}`);
+  }
+
+  return {
+    text,
+    variables: [...variables],
+    hash: crypto.createHash('sha256').update(text).digest('hex').slice(0, 12)
+  };
+}
+
+// Fill in a parsed template; every variable it uses must have a value
+// Values are inserted as-is, so text from a ticket is never read as a tag
+export function renderTemplate(template, variables, location = 'template') {
+  const missing = template.variables.filter(name => variables[name] == null);
+  if (missing.length > 0) {
+    throw new Error(`${location}: no value for ${missing.map(name => `"${name}"`).join(', ')}`);
+  }
+  return template.text.replace(TAG, (tag, inner) => String(variables[inner.trim()]));
+}
+
+// Every version of every prompt in a directory: { [prompt]: { [version]: template } }
+function readTemplates(dir, errors) {
+  const templates = {};
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const versions = {};
+    for (const file of fs.readdirSync(path.join(dir, entry.name)).sort()) {
+      if (path.extname(file) !== TEMPLATE_EXTENSION) continue;
+      const version = path.basename(file, TEMPLATE_EXTENSION);
+      const location = `${entry.name}/${file}`;
+      try {
+        const template = parseTemplate(fs.readFileSync(path.join(dir, entry.name, file), 'utf8'), location);
+        versions[version] = { id: `${entry.name}@${version}`, name: entry.name, version, ...template };
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    templates[entry.name] = versions;
+  }
+  return templates;
+}
+
+// Read and validate the prompt templates (throws if the manifest or a template is missing or invalid)
+// `variables` lists the variables the caller supplies per prompt; those prompts must have an active
+// version, and none of their versions may use any other variable.
+export function loadPromptTemplates(dir = process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR, { variables = {} } = {}) {
+  let manifest;
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read prompt templates from ${manifestPath}: ${error.message}`);
+  }
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error(`Invalid prompt templates in ${dir}:\n- ${MANIFEST_FILE} must map each prompt to its active version`);
+  }
+  const errors = [];
+  const templates = readTemplates(dir, errors);
+
+  for (const name of Object.keys(variables)) {
+    if (manifest[name] === undefined) {
+      errors.push(`${MANIFEST_FILE} has no active version for "${name}"`);
+    }
+  }
+  for (const [name, version] of Object.entries(manifest)) {
+    const available = Object.keys(templates[name] || {});
+    if (typeof version !== 'string' || !available.includes(version)) {
+      errors.push(`${MANIFEST_FILE}: "${name}" version ${JSON.stringify(version)} not found (available: ${available.join(', ') || 'none'})`);
+    }
+  }
+  for (const [name, known] of Object.entries(variables)) {
+    for (const template of Object.values(templates[name] || {})) {
+      const unknown = template.variables.filter(variable => !known.includes(variable));
+      if (unknown.length > 0) {
+        errors.push(`${name}/${template.version}${TEMPLATE_EXTENSION} uses unknown variable(s) ${unknown.map(variable => `"${variable}"`).join(', ')}`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid prompt templates in ${dir}:\n- ${errors.join('\n- ')}`);
+  }
+  return { dir, active: manifest, templates };
+}
+
+// A prompt's template, the active version unless one is given
+export function getPromptTemplate(prompts, name, version = prompts.active[name]) {
+  const template = prompts.templates[name]?.[version];
+  if (!template) {
+    throw new Error(`Unknown prompt template ${name}@${version}`);
+  }
+  return template;
+}
+
+// Render a prompt: { text, id, version, hash }
+export function renderPrompt(prompts, name, variables, { version } = {}) {
+  const template = getPromptTemplate(prompts, name, version);
+  return {
+    text: renderTemplate(template, variables, template.id),
+    id: template.id,
+    version: template.version,
+    hash: template.hash
+  };
+}
+
+// Versions and template hashes of the given prompts ("theme@v1#3f9c...,priority@v2#..."),
+// for telling results of different wording apart (e.g. in the re-triage cache)
+// `versions` overrides the active version per prompt ({ priority: 'v2' })
+export function promptFingerprint(prompts, names, versions = {}) {
+  return names
+    .map(name => getPromptTemplate(prompts, name, versions[name] || prompts.active[name]))
+    .map(template => `${template.id}#${template.hash}`)
+    .join(',');
+}
@@ -0,0 +1,55 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+const STRUCTURED_OUTPUT_TOOL = 'record_result';
+
+// Anthropic Claude provider (SDK client)
+export function createAnthropicProvider(name, options) {
+  const apiKey = process.env[options.apiKeyEnv || 'CLAUDE_API_KEY'];
+  let client = null;
+
+  try {
+    if (apiKey) {
+      client = new Anthropic({ apiKey });
+    }
+  } catch (error) {
+    console.error(`❌ Failed to initialize Claude client (${name}):`, error.message);
+  }
+
+  return {
+    name,
+    type: 'anthropic',
+    isAvailable: () => !!client?.messages,
+
+    async generate({ prompt, model, temperature, maxTokens, schema }) {
+      const request = {
+        model,
+        max_tokens: maxTokens ?? 1024,
+        temperature,
+        messages: [{ role: 'user', content: prompt }]
+      };
+
+      // Structured output: force a single tool call whose input must match the schema
+      if (schema) {
+        request.tools = [{
+          name: STRUCTURED_OUTPUT_TOOL,
+          description: 'Record the analysis result.',
+          input_schema: schema
+        }];
+        request.tool_choice = { type: 'tool', name: STRUCTURED_OUTPUT_TOOL };
+      }
+
+      const response = await client.messages.create(request);
+
+      const toolUse = (response.content || []).find(block => block.type === 'tool_use');
+      if (toolUse) {
+        return { text: JSON.stringify(toolUse.input) };
+      }
+
+      const text = (response.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      return { text };
+    }
+  };
+}
@@ -0,0 +1,62 @@
+import { GoogleGenerativeAI, SchemaType } from '@google/generative-ai';
+
+// Convert a JSON Schema to Gemini's responseSchema subset
+// Gemini only understands type, nullable, description, string enums, items, min/maxItems,
+// properties and required; other keywords (additionalProperties, minimum, maximum, ...)
+// are dropped and the validator enforces them after parsing instead
+export function toGeminiSchema(schema) {
+  const types = [].concat(schema.type || []);
+  const type = types.find(entry => entry !== 'null');
+  const converted = {};
+  if (type) converted.type = SchemaType[type.toUpperCase()];
+  if (types.includes('null')) converted.nullable = true;
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum && type === 'string') {
+    converted.format = 'enum';
+    converted.enum = schema.enum;
+  }
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.minItems !== undefined) converted.minItems = schema.minItems;
+  if (schema.maxItems !== undefined) converted.maxItems = schema.maxItems;
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (schema.required) converted.required = schema.required.filter(key => schema.properties?.[key]);
+  return converted;
+}
+
+// Google Gemini provider (SDK client)
+export function createGeminiProvider(name, options) {
+  const apiKey = process.env[options.apiKeyEnv || 'GEMINI_API_KEY'];
+  let client = null;
+
+  try {
+    if (apiKey) {
+      client = new GoogleGenerativeAI(apiKey);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to initialize Gemini client (${name}):`, error.message);
+  }
+
+  return {
+    name,
+    type: 'gemini',
+    isAvailable: () => !!client,
+
+    async generate({ prompt, model, temperature, maxTokens, schema }) {
+      const generationConfig = {};
+      if (temperature !== undefined) generationConfig.temperature = temperature;
+      if (maxTokens !== undefined) generationConfig.maxOutputTokens = maxTokens;
+      if (schema) {
+        generationConfig.responseMimeType = 'application/json';
+        generationConfig.responseSchema = toGeminiSchema(schema);
+      }
+
+      const generativeModel = client.getGenerativeModel({ model, generationConfig });
+      const result = await generativeModel.generateContent(prompt);
+      return { text: result.response.text() };
+    }
+  };
+}
@@ -0,0 +1,242 @@
+import fs from 'fs';
+import { createGeminiProvider } from './gemini.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createOpenAIProvider } from './openai.js';
+import { createLocalHttpProvider } from './local-http.js';
+import { createMockProvider } from './mock.js';
+import { createRateLimiter } from './rate-limiter.js';
+
+// LLM provider registry and fallback chain
+//
+// Every provider exposes { name, type, isAvailable(), generate({ prompt, agent, model, temperature, maxTokens, context }) }
+// and resolves to { text }. Which providers each agent tries, in which order and with which
+// model/temperature/max tokens comes from configuration, so models can change without code changes.
+// A provider's optional `requestsPerMinute` throttles its calls across all concurrent triage runs.
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider,
+  'local-http': createLocalHttpProvider,
+  mock: createMockProvider
+};
+
+// Defaults reproduce the original Gemini -> Claude behaviour
+export const DEFAULT_LLM_CONFIG = {
+  providers: {
+    gemini: { type: 'gemini', model: 'gemini-2.0-flash', label: 'Gemini Flash 2.0', apiKeyEnv: 'GEMINI_API_KEY' },
+    claude: { type: 'anthropic', model: 'claude-3-5-sonnet-20241022', label: 'Claude Sonnet 3.5', apiKeyEnv: 'CLAUDE_API_KEY' },
+    mock: { type: 'mock', model: 'mock', label: 'Mock Provider' }
+  },
+  agents: {
+    theme: { chain: ['gemini', 'claude'], temperature: 0.1, maxTokens: 150 },
+    priority: { chain: ['gemini', 'claude'], temperature: 0.2, maxTokens: 3000 }
+  }
+};
+
+// Merge a user config over the defaults (providers and agents merge by name)
+function mergeConfig(base, override = {}) {
+  const merged = {
+    providers: { ...base.providers },
+    agents: { ...base.agents }
+  };
+  for (const [name, provider] of Object.entries(override.providers || {})) {
+    merged.providers[name] = { ...(merged.providers[name] || {}), ...provider };
+  }
+  for (const [name, agent] of Object.entries(override.agents || {})) {
+    merged.agents[name] = { ...(merged.agents[name] || {}), ...agent };
+  }
+  return merged;
+}
+
+// Check that every chain entry points at a known provider of a known type
+export function validateLlmConfig(config) {
+  const errors = [];
+  for (const [name, provider] of Object.entries(config.providers)) {
+    if (!PROVIDER_FACTORIES[provider.type]) {
+      errors.push(`provider "${name}" has unknown type "${provider.type}" (expected one of ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+    }
+  }
+  for (const [agentName, agent] of Object.entries(config.agents)) {
+    if (!Array.isArray(agent.chain) || agent.chain.length === 0) {
+      errors.push(`agent "${agentName}" must define a non-empty chain`);
+      continue;
+    }
+    for (const providerName of agent.chain) {
+      if (!config.providers[providerName]) {
+        errors.push(`agent "${agentName}" chain references unknown provider "${providerName}"`);
+      }
+    }
+  }
+  return errors;
+}
+
+// Load the LLM configuration
+// Sources, later ones win: defaults, LLM_CONFIG_PATH (JSON file), LLM_CONFIG (inline JSON),
+// then LLM_CHAIN / LLM_<AGENT>_CHAIN comma-separated chain overrides
+export function loadLlmConfig(env = process.env) {
+  let config = DEFAULT_LLM_CONFIG;
+
+  if (env.LLM_CONFIG_PATH) {
+    config = mergeConfig(config, JSON.parse(fs.readFileSync(env.LLM_CONFIG_PATH, 'utf8')));
+  }
+  if (env.LLM_CONFIG) {
+    config = mergeConfig(config, JSON.parse(env.LLM_CONFIG));
+  }
+
+  for (const agentName of Object.keys(config.agents)) {
+    const chain = env[`LLM_${agentName.toUpperCase()}_CHAIN`] || env.LLM_CHAIN;
+    if (chain) {
+      config = mergeConfig(config, {
+        agents: { [agentName]: { chain: chain.split(',').map(name => name.trim()).filter(Boolean) } }
+      });
+    }
+  }
+
+  const errors = validateLlmConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid LLM configuration:\n- ${errors.join('\n- ')}`);
+  }
+  return config;
+}
+
+let activeConfig = null;
+let providers = null;
+let rateLimiters = null;
+
+// Active configuration (loaded on first use)
+export function getLlmConfig() {
+  if (!activeConfig) {
+    activeConfig = loadLlmConfig();
+  }
+  return activeConfig;
+}
+
+// Replace the active configuration (CLI flags, tests); providers are rebuilt on next use
+export function setLlmConfig(config) {
+  const merged = mergeConfig(DEFAULT_LLM_CONFIG, config);
+  const errors = validateLlmConfig(merged);
+  if (errors.length > 0) {
+    throw new Error(`Invalid LLM configuration:\n- ${errors.join('\n- ')}`);
+  }
+  activeConfig = merged;
+  providers = null;
+  rateLimiters = null;
+  return merged;
+}
+
+// Provider instance by name (instances are created once per configuration)
+export function getProvider(name) {
+  if (!providers) {
+    providers = new Map();
+  }
+  if (!providers.has(name)) {
+    const options = getLlmConfig().providers[name];
+    if (!options) {
+      return null;
+    }
+    providers.set(name, PROVIDER_FACTORIES[options.type](name, options));
+  }
+  return providers.get(name);
+}
+
+// Rate limiter for a provider (no-op without requestsPerMinute)
+function getRateLimiter(name) {
+  if (!rateLimiters) {
+    rateLimiters = new Map();
+  }
+  if (!rateLimiters.has(name)) {
+    rateLimiters.set(name, createRateLimiter(getLlmConfig().providers[name]?.requestsPerMinute));
+  }
+  return rateLimiters.get(name);
+}
+
+// Human-readable model name recorded in responses (e.g. "Gemini Flash 2.0")
+function modelLabel(name, providerConfig, model) {
+  const base = providerConfig.label || name;
+  return model === providerConfig.model ? base : `${base} (${model})`;
+}
+
+// Availability of every configured provider (used by the health check)
+export function getProviderStatus() {
+  const config = getLlmConfig();
+  return Object.keys(config.providers).map(name => ({
+    name,
+    type: config.providers[name].type,
+    available: getProvider(name).isAvailable()
+  }));
+}
+
+// Run a prompt through an agent's fallback chain
+// `accept(text)` turns the raw text into a result, or returns a falsy value to try the next provider.
+// `schema` asks providers for structured (JSON Schema) output; `chain` overrides the agent's chain.
+// Resolves to { text, value, provider, model, modelUsed, fallbackUsed, responseTime, attempts } or null.
+export async function generateWithFallback(agentName, prompt, logger, { accept = text => text, context = {}, schema = null, chain = null } = {}) {
+  const config = getLlmConfig();
+  const agent = config.agents[agentName];
+  if (!agent) {
+    throw new Error(`No LLM agent configured for "${agentName}"`);
+  }
+
+  const actionPrefix = agentName.toUpperCase();
+  const attempts = [];
+
+  for (const [index, providerName] of (chain || agent.chain).entries()) {
+    const provider = getProvider(providerName);
+    const providerConfig = config.providers[providerName];
+    const model = agent.models?.[providerName] || providerConfig.model;
+
+    if (!provider.isAvailable()) {
+      attempts.push({ provider: providerName, status: 'unavailable' });
+      logger.logAction(`${actionPrefix}_${providerName.toUpperCase()}_UNAVAILABLE`);
+      continue;
+    }
+
+    try {
+      await getRateLimiter(providerName).acquire();
+      const startTime = new Date();
+      const { text } = await provider.generate({
+        prompt,
+        agent: agentName,
+        model,
+        temperature: agent.temperature,
+        maxTokens: agent.maxTokens,
+        schema,
+        context
+      });
+      const responseTime = new Date() - startTime;
+
+      logger.logAction(`${actionPrefix}_${providerName.toUpperCase()}_RESPONSE`, {
+        model,
+        responseTime,
+        responseLength: text?.length || 0,
+        responsePreview: (text || '').substring(0, 200)
+      });
+
+      const value = text ? accept(text) : null;
+      if (value) {
+        attempts.push({ provider: providerName, status: 'success', responseTime });
+        return {
+          text,
+          value,
+          provider: providerName,
+          model,
+          modelUsed: modelLabel(providerName, providerConfig, model),
+          fallbackUsed: index > 0,
+          responseTime,
+          attempts
+        };
+      }
+
+      attempts.push({ provider: providerName, status: 'rejected' });
+      logger.logAction(`${actionPrefix}_${providerName.toUpperCase()}_REJECTED`, {
+        rawResponse: (text || '').substring(0, 500)
+      });
+    } catch (error) {
+      attempts.push({ provider: providerName, status: 'error', error: error.toString() });
+      logger.logAction(`${actionPrefix}_${providerName.toUpperCase()}_FAILED`, { error: error.toString() });
+    }
+  }
+
+  return null;
+}
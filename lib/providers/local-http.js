@@ -0,0 +1,25 @@
+// Generic local HTTP provider for self-hosted models
+// POSTs { prompt, model, temperature, max_tokens, schema } and expects { text } (or { response } / { output })
+// `schema` is only sent for structured agents; servers that ignore it must still answer with JSON text
+export function createLocalHttpProvider(name, options) {
+  return {
+    name,
+    type: 'local-http',
+    isAvailable: () => !!options.url,
+
+    async generate({ prompt, model, temperature, maxTokens, schema }) {
+      const response = await fetch(options.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+        body: JSON.stringify({ prompt, model, temperature, max_tokens: maxTokens, schema })
+      });
+
+      if (!response.ok) {
+        throw new Error(`${name} returned ${response.status}: ${response.statusText}`);
+      }
+
+      const result = await response.json();
+      return { text: result.text ?? result.response ?? result.output ?? '' };
+    }
+  };
+}
@@ -0,0 +1,42 @@
+// OpenAI-compatible chat completions provider (OpenAI, Azure OpenAI, vLLM, Ollama, LiteLLM, ...)
+export function createOpenAIProvider(name, options) {
+  const apiKey = options.apiKeyEnv ? process.env[options.apiKeyEnv] : null;
+  const baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+
+  return {
+    name,
+    type: 'openai',
+    // Self-hosted endpoints often need no key, so only require one when a key variable is configured
+    isAvailable: () => !options.apiKeyEnv || !!apiKey,
+
+    async generate({ prompt, model, temperature, maxTokens, schema }) {
+      const headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const body = {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxTokens
+      };
+      if (schema) {
+        body.response_format = { type: 'json_schema', json_schema: { name: 'result', schema } };
+      }
+
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        throw new Error(`${name} returned ${response.status}: ${response.statusText}`);
+      }
+
+      const result = await response.json();
+      return { text: result.choices?.[0]?.message?.content || '' };
+    }
+  };
+}
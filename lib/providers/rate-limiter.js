@@ -0,0 +1,31 @@
+// Sliding-window rate limiter for provider calls
+// acquire() resolves once a call fits within `limit` calls per `windowMs`; callers wait in order.
+export function createRateLimiter(limit, windowMs = 60000) {
+  const calls = [];
+  let queue = Promise.resolve();
+
+  const waitForSlot = async () => {
+    for (;;) {
+      const now = Date.now();
+      while (calls.length > 0 && calls[0] <= now - windowMs) {
+        calls.shift();
+      }
+      if (calls.length < limit) {
+        calls.push(now);
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, calls[0] + windowMs - now));
+    }
+  };
+
+  return {
+    acquire() {
+      if (!limit || limit <= 0) {
+        return Promise.resolve();
+      }
+      const slot = queue.then(waitForSlot);
+      queue = slot;
+      return slot;
+    }
+  };
+}
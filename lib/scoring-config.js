@@ -0,0 +1,184 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EFFORT_SIZES, RECOMMENDATIONS } from './priority-schema.js';
+
+// Scoring config loader: scoring-config.json sets the overall priority weights, the score
+// for each effort size and the minimum overall priority for each recommendation.
+// Products can override any of the three sections; the rest comes from "default".
+
+const DEFAULT_SCORING_CONFIG_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'scoring-config.json'
+);
+
+// Score dimensions that feed the overall priority (effort uses effort_score / effort_size)
+export const SCORE_DIMENSIONS = ['business_impact', 'strategic_fit', 'cross_client_value', 'effort'];
+
+// Recommendations with a threshold; anything below the lowest one is the last recommendation ("Low")
+const THRESHOLD_RECOMMENDATIONS = RECOMMENDATIONS.slice(0, -1);
+
+const isScore = value => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+
+// Validate a map of known keys to numbers
+function checkNumberMap(value, keys, location, errors, { required, check, expected }) {
+  if (value === undefined && !required) return;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${location} must be an object`);
+    return;
+  }
+  for (const key of Object.keys(value)) {
+    if (!keys.includes(key)) {
+      errors.push(`${location} has unknown key "${key}" (expected ${keys.join(', ')})`);
+    } else if (!check(value[key])) {
+      errors.push(`${location}.${key} must be ${expected}`);
+    }
+  }
+  if (required) {
+    for (const key of keys.filter(key => value[key] === undefined)) {
+      errors.push(`${location}.${key} is required`);
+    }
+  }
+}
+
+// Validate one scoring section (the default or a product override)
+function checkSection(section, location, errors, required) {
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    errors.push(`${location} must be an object`);
+    return;
+  }
+  checkNumberMap(section.weights, SCORE_DIMENSIONS, `${location}.weights`, errors,
+    { required, check: value => typeof value === 'number' && value >= 0, expected: 'a non-negative number' });
+  checkNumberMap(section.effortScores, EFFORT_SIZES, `${location}.effortScores`, errors,
+    { required, check: isScore, expected: 'a number from 0 to 100' });
+  checkNumberMap(section.thresholds, THRESHOLD_RECOMMENDATIONS, `${location}.thresholds`, errors,
+    { required, check: isScore, expected: 'a number from 0 to 100' });
+}
+
+// Problems with a resolved (merged) scoring profile
+function checkProfile(profile, location, errors) {
+  const weightSum = SCORE_DIMENSIONS.reduce((sum, dimension) => sum + (profile.weights[dimension] || 0), 0);
+  if (Math.abs(weightSum - 1) > 0.001) {
+    errors.push(`${location}.weights must add up to 1 (got ${Math.round(weightSum * 1000) / 1000})`);
+  }
+
+  const thresholds = THRESHOLD_RECOMMENDATIONS.map(recommendation => profile.thresholds[recommendation]);
+  if (thresholds.some((threshold, index) => index > 0 && threshold >= thresholds[index - 1])) {
+    errors.push(`${location}.thresholds must decrease from ${THRESHOLD_RECOMMENDATIONS.join(' to ')}`);
+  }
+}
+
+// Default profile with a product's overrides applied
+function mergeProfile(base, override = {}) {
+  return {
+    weights: { ...base.weights, ...override.weights },
+    effortScores: { ...base.effortScores, ...override.effortScores },
+    thresholds: { ...base.thresholds, ...override.thresholds }
+  };
+}
+
+// Schema-validate the parsed scoring config, returning a list of problems
+export function validateScoringConfig(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['root must be an object'];
+  }
+
+  checkSection(data.default, 'default', errors, true);
+  if (errors.length === 0) {
+    checkProfile(data.default, 'default', errors);
+  }
+  // Product profiles are only checked as a whole once the default they extend is valid
+  const defaultValid = errors.length === 0;
+
+  if (data.products !== undefined) {
+    if (!data.products || typeof data.products !== 'object' || Array.isArray(data.products)) {
+      errors.push('products must be an object keyed by product name');
+    } else {
+      for (const [productName, override] of Object.entries(data.products)) {
+        const location = `products["${productName}"]`;
+        const before = errors.length;
+        checkSection(override, location, errors, false);
+        if (defaultValid && errors.length === before) {
+          checkProfile(mergeProfile(data.default, override), location, errors);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Read and validate the scoring config file (throws if it is missing or invalid)
+export function loadScoringConfig(filePath = process.env.SCORING_CONFIG_PATH || DEFAULT_SCORING_CONFIG_PATH) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read scoring config from ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateScoringConfig(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid scoring config in ${filePath}:\n- ${errors.join('\n- ')}`);
+  }
+
+  return data;
+}
+
+// Weights, effort scores and thresholds for a product ("default" when it has no overrides)
+export function getScoringProfile(scoringConfig, productName) {
+  const override = scoringConfig.products?.[productName];
+  return {
+    profile: override ? productName : 'default',
+    ...mergeProfile(scoringConfig.default, override)
+  };
+}
+
+// Effort score of an effort size under a profile; the model's own effort_score only counts
+// when the size is unknown, and 50 when neither is usable
+export function effortScoreFor(scores, profile) {
+  return profile.effortScores[scores.effort_size] ?? scores.effort_score ?? 50;
+}
+
+// Score and weight of each dimension; missing dimensions count as 0
+function weightedDimensions(scores, profile) {
+  const effortScore = effortScoreFor(scores, profile);
+  return SCORE_DIMENSIONS.map(dimension => {
+    const score = dimension === 'effort' ? effortScore : (scores[dimension] ?? 0);
+    return { dimension, score, weight: profile.weights[dimension], contribution: score * profile.weights[dimension] };
+  });
+}
+
+// Weighted overall priority (0-100)
+export function calculateWeightedPriority(scores, profile) {
+  return Math.round(weightedDimensions(scores, profile).reduce((sum, { contribution }) => sum + contribution, 0));
+}
+
+// How each dimension contributes to the overall priority: [{ dimension, score, weight, contribution }]
+export function explainWeightedPriority(scores, profile) {
+  return weightedDimensions(scores, profile).map(component => ({
+    ...component,
+    contribution: Math.round(component.contribution * 100) / 100
+  }));
+}
+
+// Recommendation for an overall priority: the first threshold it reaches
+export function recommendationForPriority(overallPriority, profile) {
+  return THRESHOLD_RECOMMENDATIONS.find(recommendation => overallPriority >= profile.thresholds[recommendation])
+    || RECOMMENDATIONS[RECOMMENDATIONS.length - 1];
+}
+
+// Score band for each recommendation, e.g. { "Standard": "50-79", "Low": "0-24" }
+export function describeThresholds(profile) {
+  let upper = 100;
+  const bands = {};
+  for (const recommendation of THRESHOLD_RECOMMENDATIONS) {
+    bands[recommendation] = `${profile.thresholds[recommendation]}-${upper}`;
+    upper = profile.thresholds[recommendation] - 1;
+  }
+  bands[RECOMMENDATIONS[RECOMMENDATIONS.length - 1]] = `0-${upper}`;
+  return bands;
+}
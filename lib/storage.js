@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+
+// Local key/value storage for triage data
+// Each collection is persisted as one JSON Lines file under TRIAGE_DATA_DIR, or kept
+// in memory when TRIAGE_STORAGE=memory (tests, evaluation runs, read-only hosts)
+
+// Vercel functions can only write to /tmp
+function getDataDir() {
+  return process.env.TRIAGE_DATA_DIR || (process.env.VERCEL ? '/tmp/jira-triage' : path.join(process.cwd(), '.data'));
+}
+
+// Records live in a prototype-less object, so keys such as "constructor" or
+// "__proto__" (issue keys and cluster IDs come from requests) are plain keys
+const emptyRecords = () => Object.create(null);
+
+// In-memory adapter
+function createMemoryAdapter() {
+  let records = emptyRecords();
+  return {
+    load: () => records,
+    save: (data) => { records = data; }
+  };
+}
+
+// One JSON Lines entry per change: { key, value } or { key, deleted: true }
+const changeLine = ([key, value]) => `${JSON.stringify(value === undefined ? { key, deleted: true } : { key, value })}\n`;
+
+// JSON Lines file adapter
+// Changes are appended, so a write costs the size of the change rather than of the whole
+// collection. The file is rewritten (through a temp file, so a crash never leaves half a
+// file) once stale lines outnumber live records. Collections stored by earlier versions
+// as one JSON object (<name>.json) are imported on first load.
+function createFileAdapter(name) {
+  const filePath = path.join(getDataDir(), `${name}.jsonl`);
+  const legacyPath = path.join(getDataDir(), `${name}.json`);
+  let lines = 0;
+
+  const rewrite = (data) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, Object.entries(data).map(changeLine).join(''));
+    fs.renameSync(tempPath, filePath);
+    lines = Object.keys(data).length;
+  };
+
+  return {
+    load: () => {
+      const records = emptyRecords();
+      if (!fs.existsSync(filePath)) {
+        if (fs.existsSync(legacyPath)) {
+          Object.assign(records, JSON.parse(fs.readFileSync(legacyPath, 'utf8')));
+          rewrite(records);
+          fs.unlinkSync(legacyPath);
+        }
+        return records;
+      }
+
+      for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line) continue;
+        let change;
+        try {
+          change = JSON.parse(line);
+        } catch {
+          continue; // a write cut short by a crash
+        }
+        lines += 1;
+        if (change.deleted) delete records[change.key];
+        else records[change.key] = change.value;
+      }
+      return records;
+    },
+    // `changes` lists the [key, value] pairs written since the last save ([key] for deletions);
+    // without it the whole collection is rewritten
+    save: (data, changes) => {
+      if (!changes || lines + changes.length > 2 * Object.keys(data).length + 100) {
+        rewrite(data);
+        return;
+      }
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, changes.map(changeLine).join(''));
+      lines += changes.length;
+    }
+  };
+}
+
+const collections = new Map();
+
+// Get (or create) a named collection
+export function getCollection(name) {
+  if (collections.has(name)) {
+    return collections.get(name);
+  }
+
+  const adapter = process.env.TRIAGE_STORAGE === 'memory' ? createMemoryAdapter() : createFileAdapter(name);
+  let records = null;
+
+  // Load lazily so importing a module never touches the filesystem
+  const getRecords = () => {
+    if (records === null) {
+      records = adapter.load();
+    }
+    return records;
+  };
+
+  const collection = {
+    get: (key) => (Object.hasOwn(getRecords(), key) ? getRecords()[key] : null),
+    has: (key) => Object.hasOwn(getRecords(), key),
+    set: (key, value) => {
+      getRecords()[key] = value;
+      adapter.save(records, [[key, value]]);
+      return value;
+    },
+    delete: (key) => collection.deleteMany([key]) === 1,
+    // Delete several records in one write; returns how many existed
+    deleteMany: (keys) => {
+      const existing = keys.filter(key => collection.has(key));
+      if (existing.length > 0) {
+        existing.forEach(key => delete getRecords()[key]);
+        adapter.save(records, existing.map(key => [key]));
+      }
+      return existing.length;
+    },
+    values: () => Object.values(getRecords()),
+    clear: () => {
+      records = emptyRecords();
+      adapter.save(records);
+    }
+  };
+
+  collections.set(name, collection);
+  return collection;
+}
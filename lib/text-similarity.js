@@ -0,0 +1,81 @@
+// TF-IDF text similarity used for duplicate detection and similar-ticket retrieval
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'could', 'do', 'does', 'for',
+  'from', 'has', 'have', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'should', 'so',
+  'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were',
+  'when', 'which', 'will', 'with', 'would', 'you', 'your', 'need', 'needs', 'want', 'please', 'also'
+]);
+
+// Lowercase, split on non-alphanumerics, drop stopwords and fold simple plurals
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token))
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+// Term frequency map for a token list
+function termFrequencies(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return counts;
+}
+
+// Build a TF-IDF model over a corpus of { id, text } documents
+export function buildTfIdfModel(documents) {
+  const docs = documents.map(doc => ({ id: doc.id, tf: termFrequencies(tokenize(doc.text)) }));
+  const documentFrequency = new Map();
+  for (const doc of docs) {
+    for (const term of doc.tf.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  // Smoothed IDF so terms present in every document still carry a little weight
+  const idf = (term) => Math.log((1 + docs.length) / (1 + (documentFrequency.get(term) || 0))) + 1;
+
+  const vectorize = (tf) => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, count] of tf) {
+      const weight = count * idf(term);
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    return { vector, norm: Math.sqrt(norm) };
+  };
+
+  const vectors = docs.map(doc => ({ id: doc.id, ...vectorize(doc.tf) }));
+
+  return {
+    // Rank corpus documents by cosine similarity to the query text
+    query(text) {
+      const queryVector = vectorize(termFrequencies(tokenize(text)));
+      if (queryVector.norm === 0) return [];
+
+      return vectors
+        .map(doc => {
+          if (doc.norm === 0) return { id: doc.id, score: 0 };
+          let dot = 0;
+          for (const [term, weight] of queryVector.vector) {
+            const other = doc.vector.get(term);
+            if (other) dot += weight * other;
+          }
+          return { id: doc.id, score: dot / (queryVector.norm * doc.norm) };
+        })
+        .sort((a, b) => b.score - a.score);
+    }
+  };
+}
+
+// Stable 32-bit string hash (same algorithm the similarity group IDs always used)
+export function hashString(value) {
+  return String(value).split('').reduce((hash, char) => {
+    hash = ((hash << 5) - hash + char.charCodeAt(0)) & 0xFFFFFFFF;
+    return hash;
+  }, 0);
+}
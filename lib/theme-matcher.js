@@ -0,0 +1,107 @@
+// Theme matcher: maps free-text model output onto the allowed theme list
+
+export const THEME_NOT_IDENTIFIED = 'THEME NOT IDENTIFIED';
+
+// Minimum similarity (0-1) for a fuzzy match to be accepted
+const FUZZY_THRESHOLD = parseFloat(process.env.THEME_FUZZY_THRESHOLD || '0.85');
+
+// Strip markdown, quotes, labels and bullets from a single line of model output
+function cleanLine(line) {
+  return line
+    .replace(/[`*_]+/g, '')
+    .replace(/^\s*(?:[-•>]|\d+[.)])\s+/, '')
+    .replace(/^\s*(?:theme|classification|answer)\s*:\s*/i, '')
+    .replace(/^["'“”‘’\s]+|["'“”‘’\s.]+$/g, '')
+    .trim();
+}
+
+// Turn raw model output into candidate theme strings (first non-empty line first)
+export function extractThemeCandidates(rawOutput) {
+  const text = String(rawOutput || '').replace(/```[a-z]*\n?/gi, '');
+  return text
+    .split('\n')
+    .map(cleanLine)
+    .filter(line => line.length > 0);
+}
+
+// Comparison key: case-insensitive, whitespace collapsed, dangling separators removed
+function canonical(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s-]+|[\s-]+$/g, '')
+    .trim();
+}
+
+// Levenshtein distance between two strings
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// Normalized similarity (1 = identical)
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+// Check whether the output explicitly says no theme applies
+export function isThemeNotIdentified(rawOutput) {
+  return extractThemeCandidates(rawOutput).some(candidate => canonical(candidate) === canonical(THEME_NOT_IDENTIFIED));
+}
+
+// Match model output against the allowed themes using exact, case-insensitive and fuzzy matching
+// Returns { theme, method, score } where theme is null when nothing matched
+export function matchTheme(rawOutput, allowedThemes) {
+  const candidates = extractThemeCandidates(rawOutput);
+
+  // 1. Exact match on any cleaned line
+  for (const candidate of candidates) {
+    if (allowedThemes.includes(candidate)) {
+      return { theme: candidate, method: 'exact', score: 1 };
+    }
+  }
+
+  // 2. Case-insensitive match (also tolerates trailing " -" on themes without a sub-theme)
+  for (const candidate of candidates) {
+    const key = canonical(candidate);
+    const theme = allowedThemes.find(allowed => canonical(allowed) === key);
+    if (theme) {
+      return { theme, method: 'case-insensitive', score: 1 };
+    }
+  }
+
+  // 3. Fuzzy match: closest theme by edit distance, or the longest theme quoted inside an explanation
+  let best = { theme: null, method: null, score: 0 };
+  for (const candidate of candidates) {
+    const key = canonical(candidate);
+    for (const allowed of allowedThemes) {
+      const allowedKey = canonical(allowed);
+      const score = key.includes(allowedKey) && allowedKey.includes(' - ')
+        ? Math.max(FUZZY_THRESHOLD, allowedKey.length / key.length)
+        : similarity(key, allowedKey);
+      if (score > best.score || (score === best.score && best.theme && allowed.length > best.theme.length)) {
+        best = { theme: allowed, method: 'fuzzy', score: Math.round(score * 100) / 100 };
+      }
+    }
+  }
+
+  if (best.theme && best.score >= FUZZY_THRESHOLD) {
+    return best;
+  }
+
+  return { theme: null, method: null, score: best.score };
+}
@@ -0,0 +1,101 @@
+import { getCollection } from './storage.js';
+import { buildTfIdfModel, hashString } from './text-similarity.js';
+
+// Local index of every triaged ticket, used for duplicate detection and similarity clusters
+
+const DUPLICATE_THRESHOLD = parseFloat(process.env.DUPLICATE_THRESHOLD || '0.6');
+const DUPLICATE_MAX_RESULTS = parseInt(process.env.DUPLICATE_MAX_RESULTS || '5', 10);
+const SIMILARITY_GROUP_THRESHOLD = parseFloat(process.env.SIMILARITY_GROUP_THRESHOLD || '0.4');
+const SIMILAR_CONTEXT_THRESHOLD = parseFloat(process.env.SIMILAR_CONTEXT_THRESHOLD || '0.25');
+const SIMILAR_CONTEXT_LIMIT = parseInt(process.env.SIMILAR_CONTEXT_LIMIT || '3', 10);
+
+function getIndex() {
+  return getCollection('ticket-index');
+}
+
+// Text used for similarity (summary counts twice: it is the most specific signal)
+function documentText({ summary, description, theme }) {
+  return [summary, summary, description, theme && theme !== 'THEME NOT IDENTIFIED' ? theme : '']
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Deterministic group ID for a ticket that starts a new cluster
+function newSimilarityGroup(issueKey) {
+  return `SIM-${Math.abs(hashString(issueKey)).toString().padStart(3, '0')}`;
+}
+
+// Find indexed tickets similar to the given ticket, best first
+// Returns [{ key, score, summary, theme, similarity_group, recommendation, status }]
+export function findSimilarTickets(ticket, { threshold = DUPLICATE_THRESHOLD, limit = DUPLICATE_MAX_RESULTS } = {}) {
+  const entries = getIndex().values().filter(entry => entry.key !== ticket.key);
+  if (entries.length === 0) return [];
+
+  const model = buildTfIdfModel(entries.map(entry => ({ id: entry.key, text: documentText(entry) })));
+  const byKey = new Map(entries.map(entry => [entry.key, entry]));
+
+  return model.query(documentText(ticket))
+    .filter(match => match.score >= threshold)
+    .slice(0, limit)
+    .map(match => {
+      const entry = byKey.get(match.id);
+      return {
+        key: entry.key,
+        score: Math.round(match.score * 1000) / 1000,
+        summary: entry.summary,
+        theme: entry.theme,
+        similarity_group: entry.similarityGroup,
+        recommendation: entry.recommendation || null,
+        status: entry.status || null
+      };
+    });
+}
+
+// Find duplicates and the similarity cluster for a ticket in one pass
+// `ticket.linkedKeys` are tickets Jira already links as duplicates; their cluster wins over text similarity
+export function detectDuplicates(ticket) {
+  const matches = findSimilarTickets(ticket, {
+    threshold: Math.min(DUPLICATE_THRESHOLD, SIMILARITY_GROUP_THRESHOLD),
+    limit: Math.max(DUPLICATE_MAX_RESULTS, 10)
+  });
+
+  const duplicates = matches
+    .filter(match => match.score >= DUPLICATE_THRESHOLD)
+    .slice(0, DUPLICATE_MAX_RESULTS);
+
+  // Keep an existing assignment so re-triaging never moves a ticket between clusters,
+  // otherwise join a linked ticket's cluster, the closest cluster, or start a new one
+  const existing = getIndex().get(ticket.key);
+  const linked = (ticket.linkedKeys || []).map(key => getIndex().get(key)).find(entry => entry?.similarityGroup);
+  const closest = matches.find(match => match.score >= SIMILARITY_GROUP_THRESHOLD && match.similarity_group);
+  const similarityGroup = existing?.similarityGroup || linked?.similarityGroup || closest?.similarity_group || newSimilarityGroup(ticket.key);
+
+  return { duplicates, similarityGroup };
+}
+
+// Most similar tickets that already have a triage decision, used as context for the priority agent
+export function findSimilarTriagedTickets(ticket) {
+  return findSimilarTickets(ticket, { threshold: SIMILAR_CONTEXT_THRESHOLD, limit: 50 })
+    .filter(match => match.recommendation)
+    .slice(0, SIMILAR_CONTEXT_LIMIT);
+}
+
+// Add or update a ticket in the index
+export function indexTicket(entry) {
+  const existing = getIndex().get(entry.key) || {};
+  return getIndex().set(entry.key, {
+    ...existing,
+    ...entry,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+// Get a single indexed ticket
+export function getIndexedTicket(issueKey) {
+  return getIndex().get(issueKey);
+}
+
+// Remove a ticket from the index
+export function removeTicket(issueKey) {
+  return getIndex().delete(issueKey);
+}
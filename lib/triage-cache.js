@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+import { getCollection } from './storage.js';
+import { getIssueDescription } from './issue-text.js';
+import { isWriteBackLabel } from './jira.js';
+
+// Result cache for unchanged tickets
+// Keyed by issue key; an entry is only reused while the hash of the fields that feed
+// the prompts (summary, description, components, labels, priority) and the prompt templates
+// that produced it (see promptFingerprint in lib/prompt-templates.js) are unchanged.
+
+const CACHE_COLLECTION = 'triage-cache';
+
+// Hash of the prompt-relevant fields (order of components and labels does not matter)
+// The write-back's own ai-triage-/ai-theme- labels are left out, so writing a result back
+// does not invalidate it
+export function computeContentHash(issue) {
+  const fields = issue?.fields || {};
+  const content = {
+    summary: fields.summary ?? null,
+    description: getIssueDescription(issue) || null,
+    components: (fields.components || []).map(component => component.name ?? component).sort(),
+    labels: (fields.labels || []).filter(label => !isWriteBackLabel(label)).sort(),
+    priority: fields.priority?.name ?? fields.priority ?? null
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+// Cached entry for an issue, or null when missing or the content or prompts have changed
+export function getCachedTriage(issueKey, contentHash, prompts = null) {
+  const entry = getCollection(CACHE_COLLECTION).get(issueKey);
+  return entry && entry.contentHash === contentHash && (entry.prompts ?? null) === prompts ? entry : null;
+}
+
+// Remember the response for an issue's current content and prompts
+export function cacheTriage(issueKey, contentHash, requestId, response, prompts = null) {
+  return getCollection(CACHE_COLLECTION).set(issueKey, {
+    issueKey,
+    contentHash,
+    prompts,
+    requestId,
+    cachedAt: new Date().toISOString(),
+    response
+  });
+}
+
+// Drop the cached result for an issue
+export function invalidateCachedTriage(issueKey) {
+  return getCollection(CACHE_COLLECTION).delete(issueKey);
+}
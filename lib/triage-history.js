@@ -0,0 +1,92 @@
+import { getCollection } from './storage.js';
+import { getIssueDescription } from './issue-text.js';
+
+// Triage history: one record per triage run, keyed by request ID
+// Stored through the storage adapter (JSON file under TRIAGE_DATA_DIR, or memory)
+
+const HISTORY_COLLECTION = 'triage-history';
+const DEFAULT_QUERY_LIMIT = 50;
+
+function getHistoryLimit() {
+  return parseInt(process.env.TRIAGE_HISTORY_MAX || '5000', 10);
+}
+
+// The parts of a Jira issue that influence triage
+export function snapshotIssue(issue) {
+  const fields = issue?.fields || {};
+  return {
+    key: issue?.key || null,
+    fields: {
+      summary: fields.summary ?? null,
+      description: getIssueDescription(issue) || null,
+      issuetype: fields.issuetype?.name ?? null,
+      priority: fields.priority?.name ?? null,
+      status: fields.status?.name ?? null,
+      components: (fields.components || []).map(component => component.name ?? component),
+      labels: fields.labels || [],
+      reporter: fields.reporter?.displayName ?? null
+    }
+  };
+}
+
+// Stored runs, newest first (runs recorded in the same millisecond: most recently stored first)
+function newestFirst() {
+  return getCollection(HISTORY_COLLECTION).values()
+    .reverse()
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Store a triage run; the oldest runs are pruned beyond TRIAGE_HISTORY_MAX
+export function recordTriage(entry) {
+  const history = getCollection(HISTORY_COLLECTION);
+  const record = { ...entry, createdAt: entry.createdAt || new Date().toISOString() };
+  history.set(record.requestId, record);
+
+  const limit = getHistoryLimit();
+  if (limit > 0 && history.values().length > limit) {
+    history.deleteMany(newestFirst().slice(limit).map(old => old.requestId));
+  }
+  return record;
+}
+
+// Every stored run for an issue, newest first
+export function getTriageHistory(issueKey) {
+  return newestFirst().filter(record => record.issueKey === issueKey);
+}
+
+// Compact view of a run for list responses (no issue snapshot or logged actions)
+export function summarizeTriage(record) {
+  return {
+    requestId: record.requestId,
+    issueKey: record.issueKey,
+    createdAt: record.createdAt,
+    summary: record.issue?.fields?.summary ?? null,
+    theme: record.theme,
+    recommendation: record.recommendation,
+    importance: record.importance,
+    confidence: record.confidence,
+    analysis_status: record.analysis_status,
+    modelUsed: record.modelUsed,
+    promptVersions: record.promptVersions ?? null
+  };
+}
+
+// Filter stored runs by theme, recommendation and creation time (all optional), newest first
+export function queryTriageHistory({ theme, recommendation, since, limit = DEFAULT_QUERY_LIMIT } = {}) {
+  let sinceTime = null;
+  if (since) {
+    sinceTime = new Date(since);
+    if (Number.isNaN(sinceTime.getTime())) {
+      throw new Error(`Invalid "since" date: ${since}`);
+    }
+  }
+
+  const themeFilter = theme?.toLowerCase();
+  const recommendationFilter = recommendation?.toLowerCase();
+
+  return newestFirst()
+    .filter(record => !themeFilter || (record.theme || '').toLowerCase() === themeFilter)
+    .filter(record => !recommendationFilter || (record.recommendation || '').toLowerCase() === recommendationFilter)
+    .filter(record => !sinceTime || new Date(record.createdAt) >= sinceTime)
+    .slice(0, limit);
+}
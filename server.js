@@ -1,19 +1,31 @@
 import express from 'express';
 import triageHandler from './api/triage.js';
 import { healthCheck } from './api/triage.js';
+import batchHandler from './api/triage/batch.js';
+import jobsHandler from './api/jobs.js';
+import clustersHandler from './api/clusters.js';
+import feedbackHandler from './api/feedback.js';
+import accuracyHandler from './api/metrics/accuracy.js';
+import experimentsHandler from './api/metrics/experiments.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
+// Keep the raw body so webhook signatures can be verified; batch requests can be large
+app.use(express.json({
+  limit: process.env.BODY_LIMIT || '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // CORS middleware
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Origin', process.env.TRIAGE_CORS_ORIGIN || '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Hub-Signature');
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
@@ -38,6 +50,73 @@ app.post('/api/triage', async (req, res) => {
   }
 });
 
+// Batch triage endpoints
+app.post('/api/triage/batch', async (req, res) => {
+  try {
+    await batchHandler(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    await jobsHandler(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/clusters/:similarity_group', async (req, res) => {
+  try {
+    await clustersHandler(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Human feedback and accuracy metrics
+app.post('/api/feedback', async (req, res) => {
+  try {
+    await feedbackHandler(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/metrics/accuracy', async (req, res) => {
+  try {
+    await accuracyHandler(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/metrics/experiments', async (req, res) => {
+  try {
+    await experimentsHandler(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Triage history endpoints
+app.get('/api/triage', async (req, res) => {
+  try {
+    await triageHandler(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/triage/:issueKey', async (req, res) => {
+  try {
+    await triageHandler(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Root endpoint with instructions
 app.get('/', (req, res) => {
   res.json({
@@ -45,6 +124,14 @@ app.get('/', (req, res) => {
     endpoints: {
       'GET /api/health': 'Health check and status',
       'POST /api/triage': 'AI triage analysis',
+      'GET /api/triage/:issueKey': 'Past triage runs for a ticket',
+      'GET /api/triage?theme=&recommendation=&since=': 'Search past triage runs',
+      'POST /api/triage/batch': 'Triage many issues as a background job',
+      'GET /api/jobs/:id': 'Batch job progress and results',
+      'GET /api/clusters/:similarity_group': 'Demand and member tickets of a similarity cluster',
+      'POST /api/feedback': 'Record the final human theme, recommendation and effort',
+      'GET /api/metrics/accuracy?product=&since=': 'Agreement between AI triage and human feedback',
+      'GET /api/metrics/experiments?name=&since=': 'Prompt and model experiment results per variant',
       'GET /': 'This help message'
     },
     testing: {
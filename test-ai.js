@@ -2,15 +2,12 @@
 
 /**
  * Test AI APIs directly to debug the issue
+ * Run with: node --env-file=.env.local test-ai.js
  */
 
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import Anthropic from '@anthropic-ai/sdk';
 
-// Load environment variables
-import dotenv from 'dotenv';
-dotenv.config();
-
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 const anthropic = new Anthropic({ apiKey: process.env.CLAUDE_API_KEY });
 
@@ -0,0 +1,159 @@
+import { createRequest, invoke, issuePayload, stubModels } from './helpers.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import handler from '../api/triage.js';
+import { parseAccountCsv, parseAccountJson, parseCsv } from '../lib/accounts/file.js';
+import {
+  applyAccountImpact,
+  createAccountSource,
+  getAccountSettings,
+  getIssueParties,
+  matchAccounts,
+  setAccountSource,
+  summarizeAccounts
+} from '../lib/accounts/index.js';
+import { getProvider, setLlmConfig } from '../lib/providers/index.js';
+
+const ACCOUNTS_CSV = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'accounts.csv');
+const settings = getAccountSettings({});
+
+afterEach(() => setAccountSource(undefined));
+
+test('parses quoted CSV cells, currency and ";"-separated lists', async () => {
+  assert.deepEqual(parseCsv('a,"b, ""c""",d\r\n\r\n1,2,3\n'), [['a', 'b, "c"', 'd'], ['1', '2', '3']]);
+
+  const accounts = await createAccountSource({ type: 'file', path: ACCOUNTS_CSV }).loadAccounts();
+  assert.deepEqual(accounts[0], {
+    name: 'Acme Corp',
+    arr: 800000,
+    tier: 'Enterprise',
+    renewalDate: '2026-12-01',
+    reporters: ['jane@acme.com', '5b10ac8d82e05b22cc7d4ef5'],
+    domains: ['acme.com'],
+    organizations: ['acme'],
+    labels: []
+  });
+  assert.equal(accounts[1].name, 'Globex, Inc.');
+  assert.equal(accounts[2].renewalDate, null);
+});
+
+test('parses JSON accounts and reports bad rows with their location', () => {
+  const [account] = parseAccountJson(JSON.stringify({ accounts: [{ name: 'Hooli', arr: 1200000, renewalDate: '2027-01-15', domains: ['hooli.example'] }] }));
+  assert.equal(account.arr, 1200000);
+  assert.deepEqual(account.domains, ['hooli.example']);
+
+  assert.throws(() => parseAccountCsv('name,arr\nAcme,lots\n', 'accounts.csv'), /accounts\.csv:2: arr must be a non-negative number/);
+  assert.throws(() => parseAccountJson('[{"arr": 10}]', 'accounts.json'), /accounts\.json\[0\]: name is required/);
+  assert.throws(() => createAccountSource({ type: 'salesforce' }), /Unknown account data source type "salesforce"/);
+});
+
+test('matches accounts through reporters, participants, domains, organizations and labels', () => {
+  const accounts = parseAccountCsv(`name,arr,reporters,domains,organizations,labels
+Acme,100,,acme.com,,
+Globex,300,,,Globex,
+Initech,200,peter@initech.example,,,
+Hooli,50,,,,customer-hooli
+Umbrella,10,,,,`);
+  const issue = {
+    fields: {
+      reporter: { accountId: 'abc', emailAddress: 'Jane@ACME.com', displayName: 'Jane' },
+      customfield_10001: [{ emailAddress: 'peter@initech.example' }],
+      customfield_10002: [{ id: 4, name: 'Globex' }],
+      labels: ['Customer-Hooli']
+    }
+  };
+
+  const matches = matchAccounts(accounts, getIssueParties(issue, settings));
+
+  assert.deepEqual(matches.map(({ account, matchedBy }) => [account.name, matchedBy]), [
+    ['Globex', ['organization']],
+    ['Initech', ['participant']],
+    ['Acme', ['domain']],
+    ['Hooli', ['label']]
+  ]);
+});
+
+test('summarizes revenue, renewals and an impact score', () => {
+  const accounts = parseAccountCsv(`name,arr,tier,renewal_date
+Acme,400000,Enterprise,2026-11-15
+Globex,200000,Enterprise,2027-06-30
+Initech,50000,,2026-01-01`);
+  const matches = accounts.map(account => ({ account, matchedBy: ['label'] }));
+
+  const summary = summarizeAccounts(matches, settings, new Date('2026-10-19T12:00:00Z'));
+
+  assert.equal(summary.accountCount, 3);
+  assert.equal(summary.totalArr, 650000);
+  assert.equal(summary.arrAtRisk, 400000);
+  assert.deepEqual(summary.tiers, { Enterprise: 2, Unknown: 1 });
+  assert.equal(summary.impactScore, 100);
+  assert.deepEqual(summary.accounts.map(account => account.renewsWithinWindow), [true, false, false]);
+
+  assert.equal(summarizeAccounts([matches[2]], settings).impactScore, 5);
+  assert.equal(summarizeAccounts([], settings).impactScore, null);
+});
+
+test('blends the business impact only when accounts matched', () => {
+  const analysis = { scores: { business_impact: 40 } };
+
+  const blended = applyAccountImpact(analysis, { impactScore: 100 }, settings);
+  assert.equal(blended.scores.business_impact, 58);
+  assert.deepEqual(blended.account_impact, { model_business_impact: 40, account_score: 100, weight: 0.3, business_impact: 58 });
+
+  assert.equal(applyAccountImpact(analysis, { impactScore: null }, settings), analysis);
+  assert.equal(applyAccountImpact(analysis, null, settings), analysis);
+});
+
+test('a low-revenue account never lowers a high model business impact', () => {
+  const analysis = { scores: { business_impact: 90, strategic_fit: 60 } };
+
+  const small = applyAccountImpact(analysis, { impactScore: 10 }, settings);
+  assert.equal(small.scores.business_impact, 90);
+  assert.deepEqual(small.account_impact, { model_business_impact: 90, account_score: 10, weight: 0.3, business_impact: 90 });
+
+  const large = applyAccountImpact(analysis, { impactScore: 100 }, settings);
+  assert.equal(large.scores.business_impact, 93);
+});
+
+test('grounds the priority prompt and business impact in matched accounts', async () => {
+  setAccountSource(createAccountSource({ type: 'file', path: ACCOUNTS_CSV }));
+  setLlmConfig(stubModels({
+    gemini: { theme: 'CONTENT MANAGEMENT & MODERATION - Moderation Features' }
+  }));
+
+  const res = await invoke(handler, createRequest(issuePayload('ACCOUNTS-1', {
+    summary: 'Aurora community moderation queue needs bulk actions',
+    description: 'Moderators want to approve many posts at once.',
+    reporter: { displayName: 'Jane Doe', emailAddress: 'jane@acme.com' },
+    labels: ['customer-globex']
+  })));
+
+  const prompt = getProvider('gemini').calls.find(call => call.issueKey === 'ACCOUNTS-1' && call.agent === 'priority').prompt;
+  assert.match(prompt, /CUSTOMER & REVENUE DATA/);
+  assert.match(prompt, /Matched accounts: 2 \(total ARR \$1,050,000;/);
+  assert.match(prompt, /- Acme Corp: ARR \$800,000, Tier: Enterprise, Renewal: 2026-12-01.*\(matched by reporter, domain\)/);
+  assert.match(prompt, /- Globex, Inc\.: ARR \$250,000, Tier: Mid-Market/);
+
+  const { accounts, analysis } = res.body.result;
+  assert.equal(accounts.accountCount, 2);
+  assert.equal(accounts.source, 'file');
+  assert.equal(analysis.account_impact.account_score, accounts.impactScore);
+  // Two matched customers also count as demand, which is blended in after the account impact
+  assert.equal(analysis.demand_impact.before.business_impact, analysis.account_impact.business_impact);
+  assert.equal(analysis.scores.business_impact, analysis.demand_impact.after.business_impact);
+});
+
+test('notes missing account data in the prompt without failing triage', async () => {
+  setAccountSource(createAccountSource({ type: 'file', path: '/nonexistent/accounts.csv' }));
+  setLlmConfig(stubModels({ gemini: { theme: 'CONTENT MANAGEMENT & MODERATION - Moderation Features' } }));
+
+  const res = await invoke(handler, createRequest(issuePayload('ACCOUNTS-2', { summary: 'Aurora community badges' })));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.result.accounts, null);
+  assert.equal(res.body.result.analysis.account_impact, undefined);
+  const prompt = getProvider('gemini').calls.find(call => call.issueKey === 'ACCOUNTS-2' && call.agent === 'priority').prompt;
+  assert.match(prompt, /No account data is configured/);
+});
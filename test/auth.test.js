@@ -0,0 +1,160 @@
+import { createRequest, invoke, issuePayload } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import handler from '../api/triage.js';
+import jobsHandler from '../api/jobs.js';
+import clustersHandler from '../api/clusters.js';
+import accuracyHandler from '../api/metrics/accuracy.js';
+import experimentsHandler from '../api/metrics/experiments.js';
+import { authenticateRequest, getAuthConfig, getClientIp, ipMatches } from '../lib/auth.js';
+
+const config = (env) => getAuthConfig(env);
+
+test('allows everything when no mode is configured', async () => {
+  const result = await authenticateRequest(createRequest({}), config({}));
+  assert.equal(result.ok, true);
+});
+
+test('accepts a bearer token or a query-string secret', async () => {
+  const tokenConfig = config({ TRIAGE_AUTH_TOKEN: 'secret-token' });
+
+  assert.equal((await authenticateRequest(createRequest({}, { headers: { authorization: 'Bearer secret-token' } }), tokenConfig)).ok, true);
+  assert.equal((await authenticateRequest(createRequest({}, { query: { secret: 'secret-token' } }), tokenConfig)).ok, true);
+  assert.equal((await authenticateRequest(createRequest({}, { headers: { authorization: 'Bearer wrong' } }), tokenConfig)).ok, false);
+  assert.equal((await authenticateRequest(createRequest({}), tokenConfig)).ok, false);
+});
+
+test('verifies HMAC-SHA256 signatures of the raw body', async () => {
+  const hmacConfig = config({ TRIAGE_WEBHOOK_SECRET: 'webhook-secret' });
+  const rawBody = '{"issue":{"key":"SIG-1"}}';
+  const signature = crypto.createHmac('sha256', 'webhook-secret').update(rawBody).digest('hex');
+
+  const signed = createRequest(JSON.parse(rawBody), { headers: { 'x-hub-signature': `sha256=${signature}` } });
+  signed.rawBody = Buffer.from(rawBody);
+  assert.equal((await authenticateRequest(signed, hmacConfig)).ok, true);
+
+  const tampered = createRequest({ issue: { key: 'SIG-2' } }, { headers: { 'x-hub-signature': `sha256=${signature}` } });
+  tampered.rawBody = Buffer.from('{"issue":{"key":"SIG-2"}}');
+  assert.equal((await authenticateRequest(tampered, hmacConfig)).ok, false);
+});
+
+test('verifies HMAC signatures against the raw bytes behind a lazy req.body (Vercel)', async () => {
+  const hmacConfig = config({ TRIAGE_WEBHOOK_SECRET: 'webhook-secret' });
+  // Key order, whitespace and escapes that JSON.stringify would not reproduce
+  const rawBody = '{ "webhookEvent": "jira:issue_created",\n  "issue": { "key": "SIG-4", "fields": { "summary": "Caf\\u00e9 export" } } }';
+  const signature = crypto.createHmac('sha256', 'webhook-secret').update(rawBody).digest('hex');
+
+  // @vercel/node buffers the body, replays it through data/end events and defines req.body as a lazy getter
+  const vercelRequest = () => {
+    const req = Object.assign(Readable.from([Buffer.from(rawBody)]), createRequest(undefined, { headers: { 'x-hub-signature': `sha256=${signature}` } }));
+    delete req.body;
+    Object.defineProperty(req, 'body', {
+      configurable: true,
+      get() { throw new Error('req.body read before the raw body'); },
+      set(value) { Object.defineProperty(req, 'body', { configurable: true, writable: true, value }); }
+    });
+    return req;
+  };
+
+  const signed = vercelRequest();
+  assert.equal((await authenticateRequest(signed, hmacConfig)).ok, true);
+  assert.equal(signed.body.issue.fields.summary, 'Café export');
+  assert.notEqual(JSON.stringify(signed.body), rawBody);
+});
+
+test('rejects a body that is not valid JSON with 400', async () => {
+  const req = Object.assign(Readable.from([Buffer.from('{"issue": ')]), createRequest(undefined));
+  const res = await invoke(handler, req);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Request body is not valid JSON');
+  assert.ok(res.body.requestId);
+});
+
+test('verifies HMAC signatures against an unparsed body stream', async () => {
+  const hmacConfig = config({ TRIAGE_WEBHOOK_SECRET: 'webhook-secret' });
+  const rawBody = '{ "issue": { "key": "SIG-3" } }';
+  const signature = crypto.createHmac('sha256', 'webhook-secret').update(rawBody).digest('hex');
+
+  const streamed = Object.assign(Readable.from([Buffer.from(rawBody)]), createRequest(undefined, { headers: { 'x-hub-signature': `sha256=${signature}` } }));
+  assert.equal((await authenticateRequest(streamed, hmacConfig)).ok, true);
+  assert.deepEqual(streamed.body, { issue: { key: 'SIG-3' } });
+});
+
+test('enforces the IP allowlist on top of credentials', async () => {
+  const ipConfig = config({ TRIAGE_AUTH_TOKEN: 't', TRIAGE_IP_ALLOWLIST: '185.166.140.0/22, 127.0.0.1' });
+
+  const allowed = createRequest({}, { ip: '185.166.142.9', headers: { authorization: 'Bearer t' } });
+  assert.equal((await authenticateRequest(allowed, ipConfig)).ok, true);
+
+  const blocked = createRequest({}, { ip: '203.0.113.5', headers: { authorization: 'Bearer t' } });
+  const result = await authenticateRequest(blocked, ipConfig);
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /not allowed/);
+});
+
+test('only trusts x-forwarded-for behind a trusted proxy', async () => {
+  const spoofed = createRequest({}, { ip: '203.0.113.5', headers: { 'x-forwarded-for': '185.166.142.9' } });
+
+  const direct = config({ TRIAGE_IP_ALLOWLIST: '185.166.140.0/22' });
+  assert.equal(direct.trustProxy, false);
+  assert.equal(getClientIp(spoofed, direct), '203.0.113.5');
+  assert.equal((await authenticateRequest(spoofed, direct)).ok, false);
+
+  const proxied = config({ TRIAGE_IP_ALLOWLIST: '185.166.140.0/22', TRIAGE_TRUST_PROXY: 'true' });
+  assert.equal(getClientIp(spoofed, proxied), '185.166.142.9');
+  assert.equal((await authenticateRequest(spoofed, proxied)).ok, true);
+
+  assert.equal(config({ VERCEL: '1' }).trustProxy, true);
+  assert.equal(config({ VERCEL: '1', TRIAGE_TRUST_PROXY: 'false' }).trustProxy, false);
+});
+
+test('matches exact IPs and IPv4 CIDR ranges', () => {
+  assert.equal(ipMatches('10.1.2.3', '10.0.0.0/8'), true);
+  assert.equal(ipMatches('11.1.2.3', '10.0.0.0/8'), false);
+  assert.equal(ipMatches('::1', '::1'), true);
+  assert.equal(ipMatches('::1', '10.0.0.0/8'), false);
+});
+
+test('fails closed on unknown modes', async () => {
+  const result = await authenticateRequest(createRequest({}), config({ TRIAGE_AUTH_MODES: 'tokn' }));
+  assert.equal(result.ok, false);
+});
+
+test('handler returns 401 with a request ID when authentication fails', async () => {
+  process.env.TRIAGE_AUTH_TOKEN = 'handler-token';
+  try {
+    const denied = await invoke(handler, createRequest(issuePayload('AUTH-1')));
+    assert.equal(denied.statusCode, 401);
+    assert.equal(denied.body.error, 'Unauthorized');
+    assert.ok(denied.body.requestId);
+
+    const allowed = await invoke(handler, createRequest(issuePayload('AUTH-2'), { headers: { authorization: 'Bearer handler-token' } }));
+    assert.equal(allowed.statusCode, 200);
+  } finally {
+    delete process.env.TRIAGE_AUTH_TOKEN;
+  }
+});
+
+test('every endpoint answers 401 and 405 with a request ID', async () => {
+  process.env.TRIAGE_AUTH_TOKEN = 'handler-token';
+  try {
+    for (const endpoint of [jobsHandler, clustersHandler, accuracyHandler, experimentsHandler]) {
+      const denied = await invoke(endpoint, createRequest(undefined, { method: 'GET', query: { id: 'job-1' } }));
+      assert.equal(denied.statusCode, 401);
+      assert.deepEqual(denied.body, { status: 'error', requestId: denied.body.requestId, error: 'Unauthorized' });
+      assert.ok(denied.body.requestId);
+
+      const wrongMethod = await invoke(endpoint, createRequest({}, { method: 'DELETE' }));
+      assert.equal(wrongMethod.statusCode, 405);
+      assert.ok(wrongMethod.body.requestId);
+
+      const preflight = await invoke(endpoint, createRequest({}, { method: 'OPTIONS' }));
+      assert.equal(preflight.statusCode, 200);
+      assert.equal(preflight.headers['Access-Control-Allow-Methods'], 'GET, OPTIONS');
+    }
+  } finally {
+    delete process.env.TRIAGE_AUTH_TOKEN;
+  }
+});
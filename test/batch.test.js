@@ -0,0 +1,98 @@
+import { createRequest, invoke, issuePayload } from './helpers.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import batchHandler from '../api/triage/batch.js';
+import jobsHandler from '../api/jobs.js';
+import { setLlmConfig } from '../lib/providers/index.js';
+import { mapWithConcurrency } from '../lib/jobs.js';
+import { createRateLimiter } from '../lib/providers/rate-limiter.js';
+
+beforeEach(() => {
+  setLlmConfig({ agents: { theme: { chain: ['mock'] }, priority: { chain: ['mock'] } } });
+});
+
+const issue = (key, fields) => issuePayload(key, fields).issue;
+
+test('triages an array of issues and reports per-issue results and errors', async () => {
+  const res = await invoke(batchHandler, createRequest([
+    issue('BATCH-1'),
+    issuePayload('BATCH-2'),
+    issue('BATCH-3', { issuetype: { name: 'Epic' } }),
+    { fields: { summary: 'No key' } }
+  ], { query: { wait: 'true' } }));
+
+  assert.equal(res.statusCode, 200);
+  const job = res.body;
+  assert.equal(job.status, 'completed');
+  assert.equal(job.total, 4);
+  assert.equal(job.processed, 4);
+  assert.deepEqual(job.results.map(r => r.status), ['success', 'success', 'skipped', 'error']);
+  assert.deepEqual({ success: job.counts.success, skipped: job.counts.skipped, error: job.counts.error }, { success: 2, skipped: 1, error: 1 });
+  assert.equal(job.results[0].issueKey, 'BATCH-1');
+  assert.ok(job.results[0].recommendation);
+  assert.match(job.results[2].skipped, /Epic/);
+  assert.match(job.results[3].error, /No issue key/);
+});
+
+test('accepts a Jira search / JQL export and exposes progress by job ID', async () => {
+  const exported = { startAt: 0, maxResults: 50, total: 2, issues: [issue('JQL-1'), issue('JQL-2')] };
+
+  const accepted = await invoke(batchHandler, createRequest(exported));
+  assert.equal(accepted.statusCode, 202);
+  assert.equal(accepted.body.total, 2);
+  assert.equal(accepted.body.statusUrl, `/api/jobs/${accepted.body.jobId}`);
+
+  let job;
+  for (let attempt = 0; attempt < 50; attempt++) {
+    job = (await invoke(jobsHandler, createRequest(undefined, { method: 'GET', params: { id: accepted.body.jobId } }))).body;
+    if (job.status === 'completed') break;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.results.map(r => r.issueKey), ['JQL-1', 'JQL-2']);
+});
+
+test('reuses cached results unless force is set', async () => {
+  await invoke(batchHandler, createRequest([issue('BATCH-C1')], { query: { wait: 'true' } }));
+
+  const cached = await invoke(batchHandler, createRequest([issue('BATCH-C1')], { query: { wait: 'true' } }));
+  const forced = await invoke(batchHandler, createRequest({ issues: [issue('BATCH-C1')], force: true, wait: true }));
+
+  assert.equal(cached.body.counts.cached, 1);
+  assert.equal(forced.body.counts.cached, 0);
+});
+
+test('rejects empty batches and unknown jobs', async () => {
+  const empty = await invoke(batchHandler, createRequest({ issues: [] }));
+  assert.equal(empty.statusCode, 400);
+
+  const missing = await invoke(jobsHandler, createRequest(undefined, { method: 'GET', query: { id: 'nope' } }));
+  assert.equal(missing.statusCode, 404);
+});
+
+test('keeps at most `concurrency` workers in flight and preserves order', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    inFlight -= 1;
+    return index;
+  });
+
+  assert.equal(maxInFlight, 2);
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+});
+
+test('rate limiter spaces calls to the configured rate', async () => {
+  const limiter = createRateLimiter(2, 60);
+  const start = Date.now();
+
+  await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+
+  assert.ok(Date.now() - start >= 55, 'third call waits for the window to slide');
+  await createRateLimiter(undefined).acquire();
+});
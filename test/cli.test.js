@@ -0,0 +1,90 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatRecords } from '../lib/cli-format.js';
+import { parseIssueText, readIssueFiles } from '../lib/issue-input.js';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'jira-triage.js');
+const cliEnv = { ...process.env, TRIAGE_STORAGE: 'memory', LLM_CHAIN: '' };
+
+const jsonl = [
+  { key: 'CLI-1', fields: { summary: 'Aurora community moderation needs bulk actions', description: 'Approve "many" posts, at once' } },
+  { webhookEvent: 'jira:issue_created', issue: { key: 'CLI-2', fields: { summary: 'Roadmap epic', issuetype: { name: 'Epic' } } } }
+].map(entry => JSON.stringify(entry)).join('\n');
+
+test('reads single issues, payloads, search exports and JSONL', () => {
+  assert.equal(parseIssueText('{"key":"A-1","fields":{}}')[0].issue.key, 'A-1');
+  assert.equal(parseIssueText('{"issues":[{"key":"A-1"},{"key":"A-2"}],"total":2}').length, 2);
+  assert.deepEqual(parseIssueText(jsonl).map(p => p.issue.key), ['CLI-1', 'CLI-2']);
+  assert.equal(parseIssueText(jsonl)[1].webhookEvent, 'jira:issue_created');
+  assert.throws(() => parseIssueText('{"key":"A-1"}\nnot json', 'export.jsonl'), /export\.jsonl:2: invalid JSON/);
+});
+
+test('reads every JSON and JSONL file in a directory', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jira-triage-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'b.jsonl'), jsonl);
+    fs.writeFileSync(path.join(dir, 'a.json'), '{"key":"DIR-1","fields":{}}');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+    assert.deepEqual(readIssueFiles([dir]).map(p => p.issue.key), ['DIR-1', 'CLI-1', 'CLI-2']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('formats results as CSV with quoting and as markdown tables', () => {
+  const records = [{ issueKey: 'F-1', status: 'success', recommendation: 'Standard', notes: 'Needs "review", soon' }];
+  const columns = [['Key', r => r.issueKey], ['Notes', r => r.notes]];
+
+  assert.equal(formatRecords(records, 'csv', columns), 'Key,Notes\nF-1,"Needs ""review"", soon"');
+  assert.equal(formatRecords(records, 'markdown', columns), '| Key | Notes |\n| --- | --- |\n| F-1 | Needs "review", soon |');
+  assert.throws(() => formatRecords(records, 'xml'), /Unknown format/);
+});
+
+test('triages JSONL from stdin with the mock provider', () => {
+  const output = execFileSync('node', [CLI, '--provider', 'mock', '--format', 'csv'], { input: jsonl, env: cliEnv, encoding: 'utf8', timeout: 30000 });
+  const lines = output.trim().split('\n');
+
+  assert.equal(lines[0].split(',')[0], 'Key');
+  assert.match(lines[1], /^CLI-1,success,(Fast Track|Standard|On Hold|Low),/);
+  assert.match(lines[2], /^CLI-2,skipped,.*Issue type Epic is excluded from triage$/);
+});
+
+test('only writes back to Jira with --write-back, even when JIRA_WRITEBACK is set', () => {
+  // Nothing listens on the discard port, so an attempted write-back fails fast
+  const jiraEnv = { ...cliEnv, JIRA_WRITEBACK: 'true', JIRA_BASE_URL: 'http://127.0.0.1:9', JIRA_EMAIL: 'bot@example.com', JIRA_API_TOKEN: 'token' };
+  const issue = JSON.stringify({ key: 'CLI-3', fields: { summary: 'Aurora community moderation needs bulk actions' } });
+
+  const local = JSON.parse(execFileSync('node', [CLI, '--provider', 'mock', '--format', 'json'], { input: issue, env: jiraEnv, encoding: 'utf8', timeout: 30000 }));
+  assert.equal(local[0].status, 'success');
+  assert.equal(local[0].writeBack, undefined);
+
+  const optedIn = JSON.parse(execFileSync('node', [CLI, '--provider', 'mock', '--format', 'json', '--write-back'], { input: issue, env: jiraEnv, encoding: 'utf8', timeout: 30000 }));
+  assert.equal(optedIn[0].writeBack.status, 'failed');
+});
+
+test('--dry-run prints both prompts without calling a model', () => {
+  const output = execFileSync('node', [CLI, '--dry-run', '--format', 'json', '-'], { input: jsonl, env: cliEnv, encoding: 'utf8', timeout: 30000 });
+  const prompts = JSON.parse(output);
+
+  assert.equal(prompts[0].issueKey, 'CLI-1');
+  assert.equal(prompts[0].product, 'Khoros Aurora Community');
+  assert.match(prompts[0].prompts.theme, /AVAILABLE THEMES BY PRODUCT/);
+  assert.match(prompts[0].prompts.priority, /REQUIRED OUTPUT FORMAT \(JSON\)/);
+});
+
+test('rejects unknown formats and providers', () => {
+  const badFormat = spawnSync('node', [CLI, '--format', 'xml'], { input: jsonl, env: cliEnv, encoding: 'utf8', timeout: 30000 });
+  assert.equal(badFormat.status, 2);
+  assert.match(badFormat.stderr, /unknown format "xml"/);
+
+  const badProvider = spawnSync('node', [CLI, '--provider', 'nope'], { input: jsonl, env: cliEnv, encoding: 'utf8', timeout: 30000 });
+  assert.equal(badProvider.status, 2);
+  assert.match(badProvider.stderr, /unknown provider "nope"/);
+});
@@ -0,0 +1,68 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeConfidence } from '../lib/confidence.js';
+
+const analysis = (overrides = {}) => ({
+  analysis_status: 'complete',
+  priority_recommendation: 'Standard',
+  scores: { effort_size: 'M', overall_priority: 70 },
+  ...overrides
+});
+
+const strongSignals = {
+  productConfidence: 'High',
+  themeValidation: { matchMethod: 'exact', matchScore: 1, retried: false },
+  analysis: analysis(),
+  estimatedEffort: 'M',
+  themeFallbackUsed: false,
+  priorityFallbackUsed: false
+};
+
+const component = (result, name) => result.components.find(c => c.name === name);
+
+test('is 1.0 when every signal is clean', () => {
+  const result = computeConfidence(strongSignals);
+
+  assert.equal(result.score, 1);
+  assert.deepEqual(result.components.map(c => c.name), ['product', 'theme', 'analysis', 'effort', 'fallback']);
+});
+
+test('drops with degraded analyses, fuzzy themes, fallbacks and effort disagreement', () => {
+  const weak = computeConfidence({
+    ...strongSignals,
+    productConfidence: 'Low',
+    themeValidation: { matchMethod: 'fuzzy', matchScore: 0.9, retried: true },
+    analysis: analysis({ analysis_status: 'emergency', scores: { effort_size: 'XS' } }),
+    estimatedEffort: 'L',
+    priorityFallbackUsed: true
+  });
+
+  assert.ok(weak.score < 0.5);
+  assert.equal(component(weak, 'analysis').score, 0.2);
+  assert.equal(component(weak, 'effort').score, 0.1);
+  assert.equal(component(weak, 'fallback').score, 0.75);
+  assert.match(component(weak, 'theme').detail, /after corrective retry/);
+});
+
+test('is 0 without an analysis but still explains why', () => {
+  const result = computeConfidence({ ...strongSignals, analysis: null });
+
+  assert.equal(result.score, 0);
+  assert.equal(component(result, 'analysis').detail, 'Priority analysis status: failed');
+});
+
+test('includes model agreement when a cross-check ran', () => {
+  const agreeing = computeConfidence({
+    ...strongSignals,
+    crossCheck: { modelUsed: 'Claude', priority_recommendation: 'Standard', overall_priority: 70 }
+  });
+  const disagreeing = computeConfidence({
+    ...strongSignals,
+    crossCheck: { modelUsed: 'Claude', priority_recommendation: 'Fast Track', overall_priority: 90 }
+  });
+
+  assert.equal(component(agreeing, 'modelAgreement').score, 1);
+  assert.equal(component(disagreeing, 'modelAgreement').score, 0.3);
+  assert.ok(disagreeing.score < agreeing.score);
+});
@@ -0,0 +1,130 @@
+import { createRequest, invoke, issuePayload } from './helpers.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/triage.js';
+import clustersHandler from '../api/clusters.js';
+import { applyDemand, buildDemandEntry, getCluster, recordDemand } from '../lib/demand-ledger.js';
+import { getProvider, setLlmConfig } from '../lib/providers/index.js';
+
+const ORGANIZATIONS_FIELD = 'customfield_10002';
+
+const exportRequest = (key, reporter, fields = {}) => issuePayload(key, {
+  summary: 'Export Aurora community analytics dashboards to PDF',
+  description: 'Community managers need to export analytics dashboards as PDF reports for executives.',
+  reporter,
+  ...fields
+});
+
+const getClusterResponse = (similarityGroup) =>
+  invoke(clustersHandler, createRequest(undefined, { method: 'GET', params: { similarity_group: similarityGroup } }));
+
+beforeEach(() => {
+  setLlmConfig({ agents: { theme: { chain: ['mock'] }, priority: { chain: ['mock'] } } });
+});
+
+test('counts distinct customers: accounts first, then organizations, then requesters', () => {
+  const withOrganization = (key, email, organization) => buildDemandEntry(
+    { key, fields: { reporter: { emailAddress: email }, [ORGANIZATIONS_FIELD]: [{ name: organization }] } },
+    { organizationsField: ORGANIZATIONS_FIELD }
+  );
+
+  recordDemand('SIM-T1', withOrganization('T-1', 'ann@globex.example', 'Globex'));
+  recordDemand('SIM-T1', withOrganization('T-2', 'bob@globex.example', 'Globex'));
+  recordDemand('SIM-T1', buildDemandEntry({ key: 'T-3', fields: { reporter: { displayName: 'Carol' } } }));
+  const summary = recordDemand('SIM-T1', buildDemandEntry(
+    { key: 'T-4', fields: { reporter: { emailAddress: 'dan@acme.com' } } },
+    { accounts: [{ name: 'Acme Corp', arr: 800000 }, { name: 'Acme Labs', arr: 100000 }] }
+  ));
+
+  assert.deepEqual(summary, {
+    similarity_group: 'SIM-T1',
+    tickets: 4,
+    customers: 4,
+    requesters: 4,
+    organizations: 1,
+    linked_arr: 900000
+  });
+
+  // Re-recording a ticket in another cluster moves it
+  recordDemand('SIM-T2', withOrganization('T-2', 'bob@globex.example', 'Globex'));
+  assert.equal(getCluster('SIM-T1').tickets, 3);
+  assert.deepEqual(getCluster('SIM-T2').members.map(member => member.key), ['T-2']);
+});
+
+test('blends business impact and cross-client value once several customers ask', () => {
+  const analysis = { scores: { business_impact: 40, cross_client_value: 20, strategic_fit: 60 } };
+  const settings = { fullImpactCustomers: 10, impactWeight: 0.3 };
+
+  const blended = applyDemand(analysis, { customers: 5 }, settings);
+  assert.equal(blended.scores.business_impact, Math.round(40 * 0.7 + 50 * 0.3));
+  assert.equal(blended.scores.cross_client_value, Math.round(20 * 0.7 + 50 * 0.3));
+  assert.equal(blended.scores.strategic_fit, 60);
+  assert.equal(blended.demand_impact.demand_score, 50);
+
+  assert.equal(applyDemand(analysis, { customers: 1 }, settings), analysis);
+  assert.equal(applyDemand(analysis, null, settings), analysis);
+});
+
+test('demand never lowers high model scores', () => {
+  const analysis = { scores: { business_impact: 90, cross_client_value: 80, strategic_fit: 60 } };
+  const settings = { fullImpactCustomers: 10, impactWeight: 0.3 };
+
+  const blended = applyDemand(analysis, { customers: 2 }, settings);
+  assert.equal(blended.scores.business_impact, 90);
+  assert.equal(blended.scores.cross_client_value, 80);
+  assert.deepEqual(blended.demand_impact.after, { business_impact: 90, cross_client_value: 80 });
+
+  const widespread = applyDemand(analysis, { customers: 10 }, settings);
+  assert.equal(widespread.scores.business_impact, Math.round(90 * 0.7 + 100 * 0.3));
+  assert.equal(widespread.scores.cross_client_value, Math.round(80 * 0.7 + 100 * 0.3));
+});
+
+test('aggregates demand across duplicate requests and lists the cluster', async () => {
+  const first = await invoke(handler, createRequest(exportRequest('DEMAND-1', { emailAddress: 'ann@globex.example' })));
+  assert.deepEqual(first.body.demand, { tickets: 1, customers: 1, requesters: 1, organizations: 0, linked_arr: null });
+
+  const second = await invoke(handler, createRequest(exportRequest('DEMAND-2', { emailAddress: 'raj@initech.example' })));
+  assert.equal(second.body.similarity_group, first.body.similarity_group);
+  assert.equal(second.body.demand.tickets, 2);
+  assert.equal(second.body.demand.customers, 2);
+  assert.equal(second.body.result.analysis.demand_impact.customers, 2);
+
+  const prompt = getProvider('mock').calls.find(call => call.issueKey === 'DEMAND-2' && call.agent === 'priority').prompt;
+  assert.match(prompt, /CUSTOMER DEMAND:\n=+\nThis request belongs to cluster SIM-\d+: 2 tickets from 2 distinct customers/);
+
+  const cluster = await getClusterResponse(first.body.similarity_group);
+  assert.equal(cluster.statusCode, 200);
+  assert.equal(cluster.body.tickets, 2);
+  assert.deepEqual(cluster.body.members.map(member => [member.key, member.recommendation]), [
+    ['DEMAND-1', first.body.recommendation],
+    ['DEMAND-2', second.body.recommendation]
+  ]);
+});
+
+test('joins the cluster of a ticket Jira links as a duplicate', async () => {
+  const original = await invoke(handler, createRequest(issuePayload('LINKED-1', {
+    summary: 'Single sign-on with Okta for Khoros Care agents',
+    reporter: { emailAddress: 'lee@umbrella.example' }
+  })));
+  const linked = await invoke(handler, createRequest(issuePayload('LINKED-2', {
+    summary: 'Agents keep having to log in twice',
+    reporter: { emailAddress: 'kim@hooli.example' },
+    issuelinks: [{ type: { name: 'Duplicate' }, outwardIssue: { key: 'LINKED-1' } }]
+  })));
+
+  assert.equal(linked.body.similarity_group, original.body.similarity_group);
+  assert.equal(linked.body.demand.tickets, 2);
+});
+
+test('drops deleted tickets from their cluster and 404s unknown clusters', async () => {
+  const created = await invoke(handler, createRequest(exportRequest('DEMAND-DEL', { emailAddress: 'zoe@wayne.example' })));
+  const group = created.body.similarity_group;
+  const before = (await getClusterResponse(group)).body.tickets;
+
+  const deleted = await invoke(handler, createRequest({ webhookEvent: 'jira:issue_deleted', issue: { key: 'DEMAND-DEL' } }));
+  assert.equal(deleted.body.removedFromDemand, true);
+  assert.equal((await getClusterResponse(group)).body.tickets, before - 1);
+
+  const missing = await getClusterResponse('SIM-000-missing');
+  assert.equal(missing.statusCode, 404);
+});
@@ -0,0 +1,178 @@
+import { loadFixture } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { compareReports, evaluateRun, macroF1, parseDataset } from '../lib/evaluation.js';
+
+const TEST_DIR = path.dirname(fileURLToPath(import.meta.url));
+const CLI = path.join(TEST_DIR, '..', 'bin', 'jira-triage.js');
+const DATASET = path.join(TEST_DIR, 'fixtures', 'eval-dataset.jsonl');
+const cliEnv = { ...process.env, TRIAGE_STORAGE: 'memory', LLM_CHAIN: '' };
+
+const response = (recommendation, { theme = 'Search', importance = 50, effort = 'M' } = {}) => ({
+  status: 'success',
+  themes: [theme],
+  classification: 'Feature',
+  recommendation,
+  importance,
+  result: { scores: { effort_size: effort } }
+});
+
+const withTempDir = (run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jira-triage-eval-'));
+  try {
+    return run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test('parses a labeled dataset and normalizes expected labels', () => {
+  const cases = parseDataset(loadFixture('eval-dataset.jsonl'), 'eval-dataset.jsonl');
+
+  assert.deepEqual(cases.map(entry => entry.key), ['EVAL-1', 'EVAL-2', 'EVAL-3']);
+  assert.deepEqual(cases[0].expected, {
+    theme: 'analytics & reporting - reporting enhancements',
+    recommendation: 'Fast Track',
+    effort: 'S',
+    classification: 'Feature',
+    importance: 80
+  });
+  assert.equal(cases[0].payload.issue.key, 'EVAL-1');
+  assert.equal(cases[2].responses, null);
+});
+
+test('reports the line of invalid dataset entries', () => {
+  const line = (entry) => JSON.stringify(entry);
+  assert.throws(() => parseDataset(line({ expected: { theme: 'T' } }), 'd.jsonl'), /d\.jsonl:1: "issue" with a key is required/);
+  assert.throws(() => parseDataset(line({ issue: { key: 'A-1' }, expected: { recommendation: 'Urgent', scores: { effort: 10 } } }), 'd.jsonl'),
+    /d\.jsonl:1: recommendation must be one of .*; unknown score "effort"/);
+  assert.throws(() => parseDataset(line({ issue: { key: 'A-1' }, expected: {} }), 'd.jsonl'), /expected needs at least one of/);
+  assert.throws(() => parseDataset([line({ issue: { key: 'A-1' }, expected: { theme: 'T' } }), line({ issue: { key: 'A-1' }, expected: { theme: 'T' } })].join('\n'), 'd.jsonl'),
+    /d\.jsonl:2: duplicate issue key A-1/);
+});
+
+test('computes macro-F1 over expected and predicted labels', () => {
+  const pairs = [['A', 'A'], ['A', 'B'], ['B', 'B'], ['C', 'B']].map(([expected, actual]) => ({ expected, actual }));
+  // A: P 1, R 0.5 (F1 0.667); B: P 1/3, R 1 (F1 0.5); C: never predicted (F1 0)
+  assert.equal(macroF1(pairs), 0.389);
+  assert.equal(macroF1([]), null);
+});
+
+test('scores a run with accuracy, mean absolute error and a per-ticket diff', () => {
+  const cases = [
+    { key: 'R-1', expected: { recommendation: 'Standard', importance: 60, theme: 'search' } },
+    { key: 'R-2', expected: { recommendation: 'Low', importance: 20 } },
+    { key: 'R-3', expected: { recommendation: 'Low' } }
+  ];
+  const report = evaluateRun(cases, [
+    response('Standard', { importance: 55 }),
+    response('On Hold', { importance: 35 }),
+    { status: 'error', error: 'No issue key provided in webhook' }
+  ]);
+
+  assert.deepEqual(report.metrics.recommendation, { support: 3, accuracy: 0.333, macroF1: 0.333 });
+  assert.deepEqual(report.metrics.theme, { support: 1, accuracy: 1, macroF1: 1 });
+  assert.deepEqual(report.scoreErrors.importance, { count: 2, mae: 10 });
+  assert.deepEqual(report.tickets[1].mismatches, ['recommendation']);
+  assert.deepEqual(report.tickets[1].scoreErrors, { importance: 15 });
+  assert.equal(report.tickets[2].status, 'error');
+  assert.deepEqual(report.tickets[2].mismatches, ['recommendation']);
+  assert.equal(report.succeeded, 2);
+});
+
+test('compares two runs and flags regressions beyond the tolerance', () => {
+  const cases = [
+    { key: 'C-1', expected: { recommendation: 'Standard' } },
+    { key: 'C-2', expected: { recommendation: 'Low' } }
+  ];
+  const baseline = evaluateRun(cases, [response('Standard'), response('On Hold')]);
+  const candidate = evaluateRun(cases, [response('On Hold'), response('Low')]);
+
+  const same = compareReports(baseline, baseline);
+  assert.equal(same.passed, true);
+  assert.deepEqual(same.tickets, []);
+
+  const comparison = compareReports(baseline, candidate);
+  assert.equal(comparison.passed, true, 'accuracy is unchanged at 0.5');
+  assert.deepEqual(comparison.counts, { fixed: 1, regressed: 1, changed: 0 });
+  assert.deepEqual(comparison.tickets.map(ticket => [ticket.key, ticket.baseline, ticket.candidate, ticket.change]), [
+    ['C-1', 'Standard', 'On Hold', 'regressed'],
+    ['C-2', 'On Hold', 'Low', 'fixed']
+  ]);
+
+  const worse = evaluateRun(cases, [response('On Hold'), response('On Hold')]);
+  const regression = compareReports(baseline, worse);
+  assert.equal(regression.passed, false);
+  assert.deepEqual(regression.regressions.slice(0, 1), ['recommendation accuracy 0.5 → 0']);
+  assert.equal(compareReports(baseline, worse, { tolerance: 0.5 }).passed, true);
+});
+
+test('eval replays recorded responses through the full pipeline', () => {
+  withTempDir(dir => {
+    const reportPath = path.join(dir, 'report.json');
+    const output = execFileSync('node', [CLI, 'eval', '-p', 'mock', '-f', 'csv', '-o', reportPath, DATASET],
+      { env: cliEnv, encoding: 'utf8', timeout: 30000, stdio: ['ignore', 'pipe', 'ignore'] });
+
+    const lines = output.trim().split('\n');
+    assert.equal(lines[0], 'Key,Status,Theme,Classification,Effort,Recommendation,Importance,Error');
+    assert.match(lines[1], /^EVAL-1,success,✓ ANALYTICS & REPORTING - Reporting Enhancements,✓ Feature,✓ S,✓ Fast Track,84 \(\+4\),$/);
+    assert.match(lines[2], /^EVAL-2,success,.*,✗ On Hold \(expected Standard\),32 \(-18\),$/);
+
+    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    assert.equal(report.dataset, 'eval-dataset.jsonl');
+    assert.deepEqual(report.providers, ['mock']);
+    assert.deepEqual(report.metrics.recommendation, { support: 2, accuracy: 0.5, macroF1: 0.333 });
+    assert.deepEqual(report.metrics.theme, { support: 3, accuracy: 0.667, macroF1: 0.5 });
+    assert.deepEqual(report.scoreErrors.importance, { count: 2, mae: 11 });
+  });
+});
+
+test('eval gates on a baseline, minimum accuracy and saved report comparisons', () => {
+  withTempDir(dir => {
+    const baselinePath = path.join(dir, 'baseline.json');
+    const recordPath = path.join(dir, 'responses.json');
+    execFileSync('node', [CLI, 'eval', '-p', 'mock', '-o', baselinePath, '--record', recordPath, DATASET],
+      { env: cliEnv, encoding: 'utf8', timeout: 30000, stdio: ['ignore', 'pipe', 'ignore'] });
+
+    // Recorded responses replay as mock fixtures
+    const recorded = JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+    assert.deepEqual(recorded['EVAL-1'].theme, ['ANALYTICS & REPORTING - Reporting Enhancements']);
+    assert.equal(recorded['EVAL-3'].priority.length, 1);
+
+    const rerun = spawnSync('node', [CLI, 'eval', '-p', 'mock', '--fixtures', recordPath, '--baseline', baselinePath, DATASET],
+      { env: cliEnv, encoding: 'utf8', timeout: 30000 });
+    assert.equal(rerun.status, 0, rerun.stderr);
+    assert.match(rerun.stdout, /PASSED: no regressions/);
+
+    const strict = spawnSync('node', [CLI, 'eval', '-p', 'mock', '--min-accuracy', '0.9', DATASET], { env: cliEnv, encoding: 'utf8', timeout: 30000 });
+    assert.equal(strict.status, 1);
+    assert.match(strict.stderr, /accuracy below 0\.9 for theme, recommendation/);
+
+    // A candidate that gets EVAL-1's recommendation wrong
+    const candidate = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    candidate.metrics.recommendation.accuracy = 0;
+    candidate.tickets[0].actual.recommendation = 'Low';
+    candidate.tickets[0].mismatches.push('recommendation');
+    const candidatePath = path.join(dir, 'candidate.json');
+    fs.writeFileSync(candidatePath, JSON.stringify(candidate));
+
+    const compared = spawnSync('node', [CLI, 'eval', '--compare', baselinePath, candidatePath], { env: cliEnv, encoding: 'utf8', timeout: 30000 });
+    assert.equal(compared.status, 1);
+    assert.match(compared.stdout, /EVAL-1\s+recommendation\s+Fast Track\s+Fast Track\s+Low\s+regressed/);
+    assert.match(compared.stdout, /REGRESSED: recommendation accuracy 0\.5 → 0/);
+  });
+});
+
+test('eval rejects bad usage with exit code 2', () => {
+  const run = (...args) => spawnSync('node', [CLI, 'eval', ...args], { env: cliEnv, encoding: 'utf8', timeout: 30000 });
+
+  assert.equal(run().status, 2);
+  assert.match(run('--compare', DATASET).stderr, /--compare expects a baseline and a candidate report/);
+  assert.match(run('--tolerance', '5', DATASET).stderr, /--tolerance must be a number from 0 to 1/);
+  assert.match(run('--fixtures', 'x.json', DATASET).stderr, /--fixtures needs --provider/);
+});
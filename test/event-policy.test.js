@@ -0,0 +1,75 @@
+import { createRequest, invoke, issuePayload } from './helpers.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/triage.js';
+import { setLlmConfig } from '../lib/providers/index.js';
+import { evaluateEventPolicy, getEventPolicy } from '../lib/event-policy.js';
+import { getIndexedTicket } from '../lib/ticket-index.js';
+
+beforeEach(() => {
+  setLlmConfig({ agents: { theme: { chain: ['mock'] }, priority: { chain: ['mock'] } } });
+});
+
+const defaults = getEventPolicy({});
+const payload = (fields = {}, extra = {}) => issuePayload('POL-1', fields, extra);
+
+test('triages created and updated issues by default', () => {
+  assert.equal(evaluateEventPolicy(payload(), defaults).triage, true);
+  assert.equal(evaluateEventPolicy(payload({}, { webhookEvent: 'jira:issue_updated' }), defaults).triage, true);
+});
+
+test('triages payloads without a webhook event (Automation web requests)', () => {
+  assert.equal(evaluateEventPolicy(payload({}, { webhookEvent: undefined }), defaults).triage, true);
+});
+
+test('skips other events, sub-tasks and epics by default', () => {
+  assert.match(evaluateEventPolicy(payload({}, { webhookEvent: 'comment_created' }), defaults).reason, /Event comment_created/);
+  assert.equal(evaluateEventPolicy(payload({ issuetype: { name: 'Epic' } }), defaults).triage, false);
+  assert.equal(evaluateEventPolicy(payload({ issuetype: { name: 'Subtask', subtask: true } }), defaults).triage, false);
+  assert.equal(evaluateEventPolicy(payload({ issuetype: { name: 'Story' } }), defaults).triage, true);
+});
+
+test('applies project, issue type and status lists case-insensitively', () => {
+  const policy = getEventPolicy({
+    TRIAGE_PROJECTS: 'IDEAS, FR',
+    TRIAGE_ISSUE_TYPES: 'story,bug',
+    TRIAGE_EXCLUDED_STATUSES: 'Done'
+  });
+
+  assert.equal(evaluateEventPolicy(issuePayload('IDEAS-4', { issuetype: { name: 'Story' } }), policy).triage, true);
+  assert.match(evaluateEventPolicy(issuePayload('OPS-4', { issuetype: { name: 'Story' } }), policy).reason, /Project OPS/);
+  assert.equal(evaluateEventPolicy(issuePayload('X-1', { project: { key: 'FR' }, issuetype: { name: 'Bug' } }), policy).triage, true);
+  assert.match(evaluateEventPolicy(issuePayload('FR-2', { issuetype: { name: 'Task' } }), policy).reason, /Issue type Task/);
+  assert.match(evaluateEventPolicy(issuePayload('FR-3', { issuetype: { name: 'Bug' }, status: { name: 'done' } }), policy).reason, /Status done/);
+});
+
+test('an empty TRIAGE_EVENTS allows every event', () => {
+  const policy = getEventPolicy({ TRIAGE_EVENTS: '' });
+
+  assert.equal(evaluateEventPolicy(payload({}, { webhookEvent: 'comment_created' }), policy).triage, true);
+});
+
+test('handler answers skipped events with 200 and a reason', async () => {
+  const res = await invoke(handler, createRequest(issuePayload('POL-2', { issuetype: { name: 'Epic' } })));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'skipped');
+  assert.match(res.body.skipped, /Issue type Epic/);
+  assert.equal(res.body.recommendation, undefined);
+});
+
+test('handler removes deleted issues from the index and cache', async () => {
+  await invoke(handler, createRequest(issuePayload('POL-3')));
+  assert.ok(getIndexedTicket('POL-3'));
+
+  const res = await invoke(handler, createRequest(issuePayload('POL-3', {}, { webhookEvent: 'jira:issue_deleted' })));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'deleted');
+  assert.equal(res.body.removedFromIndex, true);
+  assert.equal(res.body.removedFromCache, true);
+  assert.equal(getIndexedTicket('POL-3'), null);
+
+  const retriaged = await invoke(handler, createRequest(issuePayload('POL-3')));
+  assert.equal(retriaged.body.cached, false);
+});
@@ -0,0 +1,112 @@
+import { createRequest, invoke, issuePayload, loadFixture } from './helpers.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import handler from '../api/triage.js';
+import feedbackHandler from '../api/feedback.js';
+import { parseExamples, selectExamples } from '../lib/examples.js';
+import { getProvider, setLlmConfig } from '../lib/providers/index.js';
+import { getCollection } from '../lib/storage.js';
+
+const EXAMPLES_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'examples.jsonl');
+const AURORA_THEMES = ['ANALYTICS & REPORTING - Reporting Enhancements', 'ANALYTICS & REPORTING - Core Analytics'];
+
+const settings = (overrides = {}) => ({ maxExamples: 5, tokenBudget: 800, minScore: 0.1, ...overrides });
+const exportTicket = { key: 'NEW-1', summary: 'PDF export for community analytics dashboards', description: '' };
+
+beforeEach(() => {
+  setLlmConfig({ agents: { theme: { chain: ['mock'] }, priority: { chain: ['mock'] } } });
+  getCollection('triage-feedback').clear();
+  delete process.env.FEW_SHOT_EXAMPLES_PATH;
+});
+
+test('parses JSON Lines and JSON arrays, normalizing labels', () => {
+  const examples = parseExamples(loadFixture('examples.jsonl'), 'examples.jsonl');
+  assert.deepEqual(examples.map(example => [example.key, example.recommendation, example.effort]), [
+    ['EX-1', 'Standard', 'M'],
+    ['EX-2', 'On Hold', 'S'],
+    ['EX-3', 'Fast Track', 'L']
+  ]);
+  assert.equal(examples[0].source, 'file');
+
+  const fromArray = parseExamples(JSON.stringify({ examples: [{ key: 'A-1', summary: 'Dark mode', theme: 'UI' }] }));
+  assert.deepEqual(fromArray.map(example => example.theme), ['UI']);
+});
+
+test('reports the location of invalid examples', () => {
+  assert.throws(() => parseExamples('{"key": "A-1"}', 'examples.jsonl'), /examples\.jsonl:1: key and summary are required/);
+  assert.throws(() => parseExamples('[{"key": "A-1", "summary": "x", "recommendation": "Urgent"}]', 'examples.json'),
+    /examples\.json\[0\]: recommendation must be one of/);
+  assert.throws(() => parseExamples('{"key": "A-1", "summary": "x", "theme": "T"}\nnot json', 'examples.jsonl'),
+    /examples\.jsonl:2: invalid JSON/);
+});
+
+test('picks the most similar examples and keeps theme examples to allowed themes', () => {
+  const examples = parseExamples(loadFixture('examples.jsonl'));
+
+  const priority = selectExamples(exportTicket, examples, 'priority', { settings: settings() });
+  assert.equal(priority[0].key, 'EX-1');
+  assert.ok(!priority.some(example => example.key === 'EX-3'), 'unrelated tickets stay below the minimum score');
+
+  const theme = selectExamples(exportTicket, examples, 'theme', { allowedThemes: AURORA_THEMES, settings: settings({ minScore: 0 }) });
+  assert.deepEqual(theme.map(example => [example.key, example.theme]), [['EX-1', 'ANALYTICS & REPORTING - Reporting Enhancements']]);
+
+  assert.deepEqual(selectExamples({ ...exportTicket, key: 'EX-1' }, examples, 'priority', { settings: settings() }).map(example => example.key)
+    .includes('EX-1'), false);
+});
+
+test('stays within the example count and token budget', () => {
+  const examples = parseExamples(loadFixture('examples.jsonl'));
+
+  assert.equal(selectExamples(exportTicket, examples, 'priority', { settings: settings({ minScore: 0, maxExamples: 1 }) }).length, 1);
+
+  const budgeted = selectExamples(exportTicket, examples, 'priority', { settings: settings({ minScore: 0, tokenBudget: 60 }) });
+  assert.ok(budgeted.reduce((sum, example) => sum + example.tokens, 0) <= 60);
+  assert.ok(!budgeted.some(example => example.key === 'EX-1'), 'the long EX-1 example does not fit');
+});
+
+test('injects examples from the labeled file into both prompts and lists them in the response', async () => {
+  process.env.FEW_SHOT_EXAMPLES_PATH = EXAMPLES_PATH;
+
+  const res = await invoke(handler, createRequest(issuePayload('FEW-1', {
+    summary: 'Aurora community analytics dashboards PDF export',
+    description: 'Executives want analytics dashboards as PDF.'
+  })));
+
+  const examplesUsed = res.body.result.examplesUsed;
+  assert.deepEqual(examplesUsed.theme.map(example => [example.key, example.source]), [['EX-1', 'file']]);
+  assert.equal(examplesUsed.priority[0].key, 'EX-1');
+
+  const calls = getProvider('mock').calls.filter(call => call.issueKey === 'FEW-1');
+  const themePrompt = calls.find(call => call.agent === 'theme').prompt;
+  assert.match(themePrompt, /- "Export Aurora community analytics dashboards to PDF" → "ANALYTICS & REPORTING - Reporting Enhancements"/);
+  assert.doesNotMatch(themePrompt, /Add new analytics dashboard/);
+
+  const priorityPrompt = calls.find(call => call.agent === 'priority').prompt;
+  assert.match(priorityPrompt, /CONFIRMED PAST DECISIONS:\n=+\nThe product team confirmed/);
+  assert.match(priorityPrompt, /Confirmed decision: Recommendation: Standard, Effort: M/);
+  assert.match(priorityPrompt, /Why: Requested by several enterprise communities/);
+});
+
+test('uses recorded feedback as examples', async () => {
+  await invoke(handler, createRequest(issuePayload('FEW-2', { summary: 'Bulk archive stale Aurora community boards' })));
+  await invoke(feedbackHandler, createRequest({ issueKey: 'FEW-2', recommendation: 'Low', effort: 'XL' }));
+
+  const res = await invoke(handler, createRequest(issuePayload('FEW-3', { summary: 'Archive stale community boards in bulk' })));
+
+  assert.deepEqual(res.body.result.examplesUsed.priority.map(example => [example.key, example.source]), [['FEW-2', 'feedback']]);
+  const prompt = getProvider('mock').calls.find(call => call.issueKey === 'FEW-3' && call.agent === 'priority').prompt;
+  assert.match(prompt, /- FEW-2: Bulk archive stale Aurora community boards\n(.*\n)?  Confirmed decision: Recommendation: Low, Effort: XL/);
+});
+
+test('triages without examples when the examples file cannot be read', async () => {
+  process.env.FEW_SHOT_EXAMPLES_PATH = '/nonexistent/examples.jsonl';
+
+  const res = await invoke(handler, createRequest(issuePayload('FEW-4', { summary: 'Aurora community analytics export' })));
+
+  assert.equal(res.body.status, 'success');
+  assert.deepEqual(res.body.result.examplesUsed, { theme: [], priority: [] });
+  const history = await invoke(handler, createRequest(undefined, { method: 'GET', params: { issueKey: 'FEW-4' } }));
+  assert.ok(history.body.latest.logActions.includes('FEW_SHOT_EXAMPLES_FAILED'));
+});
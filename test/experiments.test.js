@@ -0,0 +1,200 @@
+import { createRequest, invoke, issuePayload } from './helpers.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  assignExperiments,
+  computeExperimentReport,
+  loadExperimentConfig,
+  setExperimentConfig,
+  validateExperimentConfig
+} from '../lib/experiments.js';
+import { getProvider, setLlmConfig } from '../lib/providers/index.js';
+import { getCollection } from '../lib/storage.js';
+
+// A copy of the shipped templates with a reworded priority prompt (v2) that is not active
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+fs.cpSync(path.join(ROOT_DIR, 'prompts'), promptsDir, { recursive: true });
+const priorityV1 = fs.readFileSync(path.join(promptsDir, 'priority', 'v1.txt'), 'utf8');
+fs.writeFileSync(path.join(promptsDir, 'priority', 'v2.txt'),
+  priorityV1.replace('TICKET DETAILS:', 'Favour requests that reduce support load.\n\nTICKET DETAILS:'));
+process.env.PROMPTS_DIR = promptsDir;
+const { default: handler, getExperimentReferences } = await import('../api/triage.js');
+const { default: feedbackHandler } = await import('../api/feedback.js');
+const { default: reportHandler } = await import('../api/metrics/experiments.js');
+
+// Second mock provider that always scores high, so its variant is easy to tell apart
+const CANDIDATE_ANALYSIS = {
+  scores: { business_impact: 95, strategic_fit: 95, cross_client_value: 95, effort_size: 'XS', effort_score: 100, overall_priority: 96 },
+  score_rationales: { business_impact: 'Broad', strategic_fit: 'Core', cross_client_value: 'All tenants', effort: 'Config change' },
+  priority_recommendation: 'Fast Track',
+  key_insights: ['Candidate insight'],
+  risks: ['Candidate risk'],
+  opportunities: ['Candidate opportunity'],
+  similar_features: 'None',
+  recommended_next_steps: ['Ship it'],
+  executive_summary: 'Candidate model analysis.'
+};
+
+beforeEach(() => {
+  setLlmConfig({
+    providers: { candidate: { type: 'mock', model: 'candidate', label: 'Candidate Model', fixtures: { default: { priority: CANDIDATE_ANALYSIS } } } },
+    agents: { theme: { chain: ['mock'] }, priority: { chain: ['mock'] } }
+  });
+  setExperimentConfig(null);
+  getCollection('experiment-results').clear();
+  getCollection('triage-feedback').clear();
+});
+
+const experiment = (variants, fields = {}) => ({ experiments: [{ name: 'priority-test', agent: 'priority', variants, ...fields }] });
+const triage = (key, fields) => invoke(handler, createRequest(issuePayload(key, fields)));
+const getReport = (query = {}) => invoke(reportHandler, createRequest(undefined, { method: 'GET', query }));
+
+test('rejects invalid experiments and unknown prompt versions or providers', () => {
+  assert.deepEqual(validateExperimentConfig({ experiments: [
+    { name: 'a', agent: 'priority', variants: [{ name: 'x', percent: 60 }, { name: 'x', percent: 30, chain: [] }] },
+    { name: 'b', agent: 'priority', variants: [{ name: 'only', percent: 100 }] },
+    { name: 'c', agent: 'summary', variants: [] }
+  ] }), [
+    'experiments[0].variants[1].chain must be a non-empty list of provider names',
+    'experiments[0].variants must have distinct names',
+    'experiments[0].variants percentages must add up to 100 (got 90)',
+    'experiments[1]: only one enabled experiment per agent (priority)',
+    'experiments[1].variants must list at least two variants',
+    'experiments[2].agent must be one of theme, priority',
+    'experiments[2].variants must list at least two variants'
+  ]);
+
+  const references = { promptVersions: { priority: ['v1'] }, providers: ['mock'] };
+  assert.deepEqual(validateExperimentConfig(experiment([
+    { name: 'control', percent: 50 },
+    { name: 'candidate', percent: 50, prompt: 'v3', chain: ['mock', 'gpt'] }
+  ]), references), [
+    'experiments[0].variants[1].prompt "v3" is not a version of the priority prompt (available: v1)',
+    'experiments[0].variants[1].chain references unknown provider "gpt"'
+  ]);
+  // A paused experiment may still name a retired prompt version
+  assert.deepEqual(validateExperimentConfig(experiment([
+    { name: 'control', percent: 50 },
+    { name: 'candidate', percent: 50, prompt: 'v3' }
+  ], { enabled: false }), references), []);
+  assert.throws(() => setExperimentConfig({ experiments: {} }), /Invalid experiment configuration:\n- root must be an object/);
+});
+
+test('the example config is valid against the shipped prompts and default providers', () => {
+  const config = loadExperimentConfig({ EXPERIMENTS_PATH: path.join(ROOT_DIR, 'experiments.example.json') }, getExperimentReferences());
+  assert.deepEqual(config.experiments.map(entry => [entry.name, entry.enabled]), [['priority-claude-first', true], ['theme-claude-shadow', false]]);
+});
+
+test('an experiment naming an unknown prompt version stops the service from loading', async () => {
+  process.env.EXPERIMENTS = JSON.stringify(experiment([{ name: 'control', percent: 100 }, { name: 'reworded', percent: 0, prompt: 'v9' }]));
+  try {
+    await assert.rejects(import('../api/triage.js?invalid-experiments'), /prompt "v9" is not a version of the priority prompt/);
+  } finally {
+    delete process.env.EXPERIMENTS;
+    setExperimentConfig(null);
+  }
+});
+
+test('assigns variants deterministically by issue key in the configured proportions', () => {
+  const config = setExperimentConfig(experiment([{ name: 'control', percent: 30 }, { name: 'candidate', percent: 70 }], { shadow: true }));
+  const keys = Array.from({ length: 1000 }, (_, index) => `AB-${index}`);
+  const variants = keys.map(key => assignExperiments(config, key)[0].variant.name);
+
+  assert.deepEqual(keys.map(key => assignExperiments(config, key)[0].variant.name), variants);
+  const control = variants.filter(name => name === 'control').length;
+  assert.ok(control > 250 && control < 350, `control got ${control} of 1000`);
+
+  const [assignment] = assignExperiments(config, 'AB-1');
+  assert.deepEqual(assignment.shadowVariants.map(variant => variant.name), ['control', 'candidate'].filter(name => name !== assignment.variant.name));
+  const disabled = setExperimentConfig(experiment([{ name: 'control', percent: 30 }, { name: 'candidate', percent: 70 }], { enabled: false }));
+  assert.deepEqual(assignExperiments(disabled, 'AB-1'), []);
+});
+
+test('runs the assigned prompt variant and records it with the result', async () => {
+  setExperimentConfig(experiment([{ name: 'control', percent: 0 }, { name: 'reworded', percent: 100, prompt: 'v2' }]));
+  const res = await triage('AB-10');
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.result.promptVersions, { theme: 'theme@v1', priority: 'priority@v2' });
+  assert.deepEqual(res.body.result.experiments, [{ experiment: 'priority-test', agent: 'priority', variant: 'reworded', shadowVariants: [] }]);
+  assert.ok(res.body.result.actions.includes('Experiment priority-test: priority variant reworded'));
+  const prompt = getProvider('mock').calls.find(call => call.issueKey === 'AB-10' && call.agent === 'priority').prompt;
+  assert.match(prompt, /Favour requests that reduce support load\./);
+
+  const history = await invoke(handler, createRequest(undefined, { method: 'GET', params: { issueKey: 'AB-10' } }));
+  assert.equal(history.body.latest.experiments[0].outcomes.reworded.promptVersion, 'priority@v2');
+
+  const paused = setExperimentConfig(experiment([{ name: 'control', percent: 0 }, { name: 'reworded', percent: 100, prompt: 'v2' }], { enabled: false }));
+  assert.deepEqual(assignExperiments(paused, 'AB-11'), []);
+  assert.deepEqual((await triage('AB-11')).body.result.experiments, []);
+});
+
+test('shadow mode runs every variant but returns and caches only the assigned one', async () => {
+  setExperimentConfig(experiment([{ name: 'control', percent: 100 }, { name: 'candidate', percent: 0, chain: ['candidate'] }], { shadow: true }));
+  const res = await triage('AB-20', { summary: 'Aurora community moderation queue filters' });
+
+  assert.equal(res.body.result.priorityModel, 'Mock Provider');
+  assert.notEqual(res.body.result.executive_summary, CANDIDATE_ANALYSIS.executive_summary);
+  assert.deepEqual(res.body.result.experiments, [{ experiment: 'priority-test', agent: 'priority', variant: 'control', shadowVariants: ['candidate'] }]);
+  assert.equal(getProvider('candidate').calls.filter(call => call.issueKey === 'AB-20').length, 1);
+
+  const history = await invoke(handler, createRequest(undefined, { method: 'GET', params: { issueKey: 'AB-20' } }));
+  const { outcomes } = history.body.latest.experiments[0];
+  assert.equal(outcomes.control.shadow, false);
+  assert.deepEqual(outcomes.candidate, { shadow: true, promptVersion: 'priority@v1', model: 'Candidate Model', recommendation: 'Fast Track', effort: 'XS', overallPriority: outcomes.candidate.overallPriority });
+  assert.ok(history.body.latest.logActions.includes('SHADOW_PRIORITY_PROMPT_BUILT'));
+
+  assert.equal((await triage('AB-20', { summary: 'Aurora community moderation queue filters' })).body.cached, true);
+  setExperimentConfig(experiment([{ name: 'control', percent: 0 }, { name: 'candidate', percent: 100, chain: ['candidate'] }], { shadow: true }));
+  const switched = await triage('AB-20', { summary: 'Aurora community moderation queue filters' });
+  assert.equal(switched.body.cached, false);
+  assert.equal(switched.body.result.priorityModel, 'Candidate Model');
+});
+
+test('reports recommendation distributions and agreement with human feedback per variant', async () => {
+  setExperimentConfig(experiment([{ name: 'control', percent: 100 }, { name: 'candidate', percent: 0, chain: ['candidate'] }], { shadow: true }));
+  await triage('AB-30', { summary: 'Aurora community analytics export' });
+  await triage('AB-31', { summary: 'Aurora community badges' });
+  await invoke(feedbackHandler, createRequest({ issueKey: 'AB-30', recommendation: 'Fast Track', effort: 'XS' }));
+
+  const res = await getReport({ name: 'priority-test' });
+  assert.equal(res.statusCode, 200);
+  const [report] = res.body.experiments;
+  assert.equal(report.tickets, 2);
+  assert.equal(report.feedbackCount, 1);
+  const [control, candidate] = report.variants;
+  assert.deepEqual([control.served, control.runs, candidate.served, candidate.runs], [2, 2, 0, 2]);
+  assert.deepEqual(candidate.distribution, { 'Fast Track': 2, Standard: 0, 'On Hold': 0, Low: 0 });
+  assert.deepEqual(candidate.share['Fast Track'], 1);
+  assert.deepEqual(candidate.feedback.recommendation, { compared: 1, agreed: 1, agreement: 1 });
+  assert.deepEqual(candidate.feedback.effort, { compared: 1, agreed: 1, agreement: 1 });
+  assert.equal(control.feedback.recommendation.compared, 1);
+  assert.equal(report.variantAgreement.compared, 2);
+
+  assert.equal((await getReport({ name: 'missing' })).statusCode, 404);
+  assert.equal((await getReport({ since: 'yesterday' })).statusCode, 400);
+  assert.equal((await getReport()).body.experiments.length, 1);
+});
+
+test('compares variant themes when the experiment is on the theme agent', () => {
+  const themeExperiment = {
+    name: 'theme-test', agent: 'theme', enabled: true, shadow: true,
+    variants: [{ name: 'a', percent: 50, prompt: null, chain: null }, { name: 'b', percent: 50, prompt: 'v2', chain: null }]
+  };
+  const runs = [
+    { issueKey: 'T-1', variant: 'a', outcomes: { a: { theme: 'Search' }, b: { theme: 'search' } } },
+    { issueKey: 'T-2', variant: 'b', outcomes: { a: { theme: 'Search' }, b: { theme: 'Analytics' } } }
+  ];
+  const report = computeExperimentReport(themeExperiment, runs, [{ issueKey: 'T-2', human: { theme: 'Analytics' } }]);
+
+  assert.equal(report.label, 'theme');
+  assert.deepEqual(report.variants[0].distribution, { Search: 2 });
+  assert.deepEqual(report.variants[1].feedback.theme, { compared: 1, agreed: 1, agreement: 1 });
+  assert.deepEqual(report.variants[0].feedback.theme, { compared: 1, agreed: 0, agreement: 0 });
+  assert.deepEqual(report.variantAgreement, { compared: 2, agreed: 1, agreement: 0.5 });
+});
@@ -0,0 +1,171 @@
+import { createRequest, invoke, issuePayload } from './helpers.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/triage.js';
+import feedbackHandler from '../api/feedback.js';
+import accuracyHandler from '../api/metrics/accuracy.js';
+import { computeAccuracy, feedbackFromChangelog, normalizeCorrections } from '../lib/feedback.js';
+import { setLlmConfig } from '../lib/providers/index.js';
+import { getCollection } from '../lib/storage.js';
+
+beforeEach(() => {
+  setLlmConfig({ agents: { theme: { chain: ['mock'] }, priority: { chain: ['mock'] } } });
+  getCollection('triage-feedback').clear();
+});
+
+const triage = (key, fields) => invoke(handler, createRequest(issuePayload(key, fields)));
+const postFeedback = (body) => invoke(feedbackHandler, createRequest(body));
+const getAccuracy = (query = {}) => invoke(accuracyHandler, createRequest(undefined, { method: 'GET', query }));
+
+const outcomeChange = (fromString, toString) => ({
+  webhookEvent: 'jira:issue_updated',
+  user: { displayName: 'Pat PM' },
+  changelog: { items: [{ field: 'AI Triage Outcome', fieldId: 'customfield_10101', fromString, toString }] }
+});
+
+test('normalizes human values and rejects unknown recommendations and effort sizes', () => {
+  assert.deepEqual(normalizeCorrections({ recommendation: 'fast track', effort: 'xl', theme: ' Search ' }), {
+    corrections: { recommendation: 'Fast Track', effort: 'XL', theme: 'Search' },
+    errors: []
+  });
+  assert.deepEqual(normalizeCorrections({ recommendation: 'Urgent', effort: 'XXL' }).errors, [
+    'recommendation must be one of Fast Track, Standard, On Hold, Low',
+    'effort must be one of XS, S, M, L, XL'
+  ]);
+  assert.deepEqual(normalizeCorrections({}).errors, ['at least one of theme, recommendation, effort is required']);
+});
+
+test('records feedback against the latest triage run', async () => {
+  const triaged = await triage('FB-1', { summary: 'Aurora community analytics export' });
+
+  const res = await postFeedback({ issueKey: 'FB-1', recommendation: 'low', effort: 'L', user: 'pat@example.com' });
+
+  assert.equal(res.statusCode, 200);
+  const { feedback } = res.body;
+  assert.equal(feedback.requestId, triaged.body.requestId);
+  assert.equal(feedback.product, 'Khoros Aurora Community');
+  assert.equal(feedback.models.priority, 'Mock Provider');
+  assert.equal(feedback.ai.recommendation, triaged.body.recommendation);
+  assert.deepEqual(feedback.human, { recommendation: 'Low', effort: 'L' });
+  assert.equal(feedback.user, 'pat@example.com');
+
+  // Later feedback is merged in
+  const theme = await postFeedback({ issueKey: 'FB-1', theme: 'Analytics & Reporting - Core Analytics' });
+  assert.deepEqual(theme.body.feedback.human, { recommendation: 'Low', effort: 'L', theme: 'Analytics & Reporting - Core Analytics' });
+});
+
+test('rejects invalid feedback and tickets that were never triaged', async () => {
+  const invalid = await postFeedback({ recommendation: 'Urgent' });
+  assert.equal(invalid.statusCode, 400);
+  assert.match(invalid.body.error, /issueKey is required; recommendation must be one of/);
+
+  const missing = await postFeedback({ issueKey: 'FB-NONE', recommendation: 'Low' });
+  assert.equal(missing.statusCode, 404);
+});
+
+test('captures PM overrides from the issue_updated changelog without re-triaging', async () => {
+  const triaged = await triage('FB-2');
+  const human = triaged.body.recommendation === 'Low' ? 'Standard' : 'Low';
+
+  const res = await invoke(handler, createRequest({
+    ...outcomeChange(triaged.body.recommendation, human),
+    issue: { key: 'FB-2', fields: { summary: 'Changed by a PM' } }
+  }));
+
+  assert.equal(res.body.status, 'feedback');
+  assert.deepEqual(res.body.feedback.human, { recommendation: human });
+  assert.equal(res.body.feedback.source, 'webhook');
+  assert.equal(res.body.feedback.user, 'Pat PM');
+});
+
+test('does not record the write-back of a re-triage as feedback', async () => {
+  const triaged = await triage('FB-4');
+  const previous = triaged.body.recommendation === 'Low' ? 'Standard' : 'Low';
+
+  const res = await invoke(handler, createRequest({
+    ...outcomeChange(previous, triaged.body.recommendation),
+    issue: issuePayload('FB-4').issue
+  }));
+
+  assert.notEqual(res.body.status, 'feedback');
+  assert.equal(getCollection('triage-feedback').has('FB-4'), false);
+});
+
+test('ignores the write-back filling in the AI recommendation', () => {
+  const run = { issueKey: 'FB-3', recommendation: 'Standard', scores: { effort_size: 'M' } };
+
+  const echo = feedbackFromChangelog(outcomeChange(null, 'Standard').changelog, run);
+  assert.deepEqual(echo.corrections, {});
+
+  // A re-triage writing back a new outcome over the previous one
+  const retriaged = { ...run, recommendation: 'On Hold' };
+  const retriageEcho = feedbackFromChangelog(outcomeChange('Standard', 'On Hold').changelog, retriaged);
+  assert.deepEqual(retriageEcho.corrections, {});
+  assert.deepEqual(retriageEcho.errors, []);
+
+  const override = feedbackFromChangelog(outcomeChange('Standard', 'Fast Track').changelog, run);
+  assert.deepEqual(override.corrections, { recommendation: 'Fast Track' });
+  assert.equal(override.feedbackOnly, true);
+
+  const mixed = feedbackFromChangelog({ items: [
+    { fieldId: 'customfield_10101', fromString: 'Standard', toString: 'Low' },
+    { fieldId: 'summary', fromString: 'Old', toString: 'New' }
+  ] }, run);
+  assert.equal(mixed.feedbackOnly, false);
+});
+
+test('computes agreement rates and confusion matrices', () => {
+  const record = (product, theme, ai, human) => ({
+    product,
+    models: { theme: 'Gemini', priority: 'Claude' },
+    prompts: { theme: 'theme@v1', priority: product === 'Khoros Care' ? 'priority@v2' : 'priority@v1' },
+    ai: { theme, recommendation: ai, effort: 'M' },
+    human
+  });
+  const report = computeAccuracy([
+    record('Khoros Care', 'Routing', 'Standard', { recommendation: 'Standard', effort: 'M' }),
+    record('Khoros Care', 'Routing', 'Fast Track', { recommendation: 'Standard', theme: 'routing' }),
+    record('Khoros Social Media & Marketing', 'Publishing', 'Low', { recommendation: 'On Hold', theme: 'Analytics' })
+  ]);
+
+  assert.equal(report.feedbackCount, 3);
+  assert.deepEqual(report.overall.recommendation, { compared: 3, agreed: 1, agreement: 0.333 });
+  assert.deepEqual(report.overall.theme, { compared: 2, agreed: 1, agreement: 0.5 });
+  assert.deepEqual(report.overall.effort, { compared: 1, agreed: 1, agreement: 1 });
+  assert.deepEqual(report.byProduct['Khoros Care'].recommendation, { compared: 2, agreed: 1, agreement: 0.5 });
+  assert.deepEqual(report.byTheme.Publishing.recommendation, { compared: 1, agreed: 0, agreement: 0 });
+  assert.equal(report.byModel.Claude.recommendation.compared, 3);
+  assert.equal(report.byModel.Gemini.theme.compared, 2);
+  assert.deepEqual(report.byPrompt['priority@v2'].recommendation, { compared: 2, agreed: 1, agreement: 0.5 });
+  assert.deepEqual(report.byPrompt['priority@v1'].recommendation, { compared: 1, agreed: 0, agreement: 0 });
+  assert.equal(report.byPrompt['theme@v1'].theme.compared, 2);
+
+  const { labels, matrix } = report.confusion.recommendation;
+  assert.deepEqual(labels, ['Fast Track', 'Standard', 'On Hold', 'Low']);
+  assert.deepEqual(matrix, [
+    [0, 1, 0, 0],
+    [0, 1, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 1, 0]
+  ]);
+  assert.deepEqual(report.confusion.theme.labels, ['Analytics', 'Publishing', 'Routing']);
+});
+
+test('serves the accuracy report filtered by product', async () => {
+  await triage('FB-4', { summary: 'Khoros Care agent routing rules' });
+  await triage('FB-5', { summary: 'Aurora community badges' });
+  await postFeedback({ issueKey: 'FB-4', recommendation: 'Fast Track' });
+  await postFeedback({ issueKey: 'FB-5', recommendation: 'Low' });
+
+  const all = await getAccuracy();
+  assert.equal(all.statusCode, 200);
+  assert.equal(all.body.feedbackCount, 2);
+  assert.deepEqual(Object.keys(all.body.byProduct).sort(), ['Khoros Aurora Community', 'Khoros Care']);
+
+  const care = await getAccuracy({ product: 'khoros care' });
+  assert.equal(care.body.feedbackCount, 1);
+  assert.equal(care.body.overall.recommendation.compared, 1);
+
+  const invalid = await getAccuracy({ since: 'yesterday-ish' });
+  assert.equal(invalid.statusCode, 400);
+});
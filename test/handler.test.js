@@ -0,0 +1,236 @@
+import { createRequest, invoke, issuePayload, loadFixture, stubModels } from './helpers.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/triage.js';
+import { getProvider, setLlmConfig } from '../lib/providers/index.js';
+
+const MODERATION_THEME = 'CONTENT MANAGEMENT & MODERATION - Moderation Features';
+
+// Aurora ticket so the theme list is the Aurora one
+const auroraIssue = (key) => issuePayload(key, {
+  summary: 'Aurora community moderation queue needs bulk actions',
+  description: 'Moderators in our community want to approve or reject many posts at once.'
+});
+
+beforeEach(() => {
+  setLlmConfig(stubModels({
+    gemini: { theme: MODERATION_THEME, priority: loadFixture('gemini-priority-markdown.txt') },
+    claude: { theme: MODERATION_THEME, priority: loadFixture('claude-priority-plain.txt') }
+  }));
+});
+
+test('returns the Jira Automation response contract', async () => {
+  const res = await invoke(handler, createRequest(auroraIssue('CONTRACT-1')));
+
+  assert.equal(res.statusCode, 200);
+  const body = res.body;
+  assert.equal(body.status, 'success');
+  assert.equal(body.issueKey, 'CONTRACT-1');
+  assert.match(body.requestId, /^[0-9a-f-]{36}$/);
+  assert.ok(['Fast Track', 'Standard', 'On Hold', 'Low'].includes(body.recommendation));
+  assert.ok(['Feature', 'Bug'].includes(body.classification));
+  assert.deepEqual(body.themes, [MODERATION_THEME]);
+  assert.match(body.similarity_group, /^SIM-\d+$/);
+  assert.ok(Array.isArray(body.duplicate_keys));
+  assert.equal(typeof body.importance, 'number');
+  assert.ok(body.confidence >= 0 && body.confidence <= 1);
+  assert.equal(typeof body.notes, 'string');
+  assert.equal(typeof body.processingTime, 'number');
+
+  assert.equal(body.recommendation, 'Standard');
+  assert.equal(body.importance, 78);
+  assert.equal(body.result.themeModel, 'Gemini Flash 2.0');
+  assert.equal(body.result.priorityModel, 'Gemini Flash 2.0');
+  assert.equal(body.result.modelSummary.fallbackUsed, false);
+  assert.equal(body.result.executive_summary, body.notes);
+  assert.ok(Array.isArray(body.result.actions));
+  assert.equal(body.analysis_status, 'complete');
+  assert.equal(body.degraded, false);
+  assert.deepEqual(body.confidence_breakdown.map(c => c.name), ['product', 'theme', 'analysis', 'effort', 'fallback']);
+});
+
+test('explains how the overall priority was derived, dimension by dimension', async () => {
+  const res = await invoke(handler, createRequest(auroraIssue('BREAKDOWN-1')));
+
+  assert.deepEqual(res.body.priority_breakdown.map(({ dimension, score, weight, contribution, estimated }) =>
+    [dimension, score, weight, contribution, estimated]), [
+    ['business_impact', 85, 0.35, 29.75, false],
+    ['strategic_fit', 75, 0.25, 18.75, false],
+    ['cross_client_value', 80, 0.25, 20, false],
+    ['effort', 60, 0.15, 9, false]
+  ]);
+  assert.equal(res.body.priority_breakdown[1].rationale, 'Fits the data management roadmap');
+  assert.equal(res.body.importance, 78);
+
+  const prompt = getProvider('gemini').calls.find(call => call.issueKey === 'BREAKDOWN-1' && call.agent === 'priority').prompt;
+  assert.match(prompt, /"strategic_fit": <0-100>/);
+  assert.match(prompt, /"cross_client_value": <0-100>/);
+  assert.match(prompt, /"score_rationales"/);
+});
+
+test('adds a model-agreement component when cross-checking is enabled', async () => {
+  process.env.CONFIDENCE_CROSS_CHECK = 'true';
+  try {
+    const res = await invoke(handler, createRequest(auroraIssue('CONFIDENCE-1')));
+    const names = res.body.confidence_breakdown.map(c => c.name);
+    assert.ok(names.includes('modelAgreement'));
+    assert.ok(res.body.confidence < 1);
+  } finally {
+    delete process.env.CONFIDENCE_CROSS_CHECK;
+  }
+});
+
+test('requests structured output from the priority agent only', async () => {
+  await invoke(handler, createRequest(auroraIssue('STRUCTURED-1')));
+
+  const calls = getProvider('gemini').calls.filter(call => call.issueKey === 'STRUCTURED-1');
+  assert.deepEqual(calls.map(call => [call.agent, call.structured]), [['theme', false], ['priority', true]]);
+});
+
+test('repairs a schema-invalid priority answer with one more round-trip', async () => {
+  setLlmConfig(stubModels({
+    gemini: {
+      theme: MODERATION_THEME,
+      priority: [loadFixture('priority-missing-recommendation.txt'), loadFixture('gemini-priority-markdown.txt')]
+    }
+  }));
+
+  const res = await invoke(handler, createRequest(auroraIssue('REPAIR-1')));
+
+  assert.equal(res.body.analysis_status, 'repaired');
+  assert.equal(res.body.degraded, false);
+  assert.equal(res.body.recommendation, 'Standard');
+  assert.equal(res.body.importance, 78);
+  const repairPrompt = getProvider('gemini').calls.at(-1).prompt;
+  assert.match(repairPrompt, /\$\.priority_recommendation: is required/);
+});
+
+test('marks partial analyses as degraded when the repair also fails', async () => {
+  setLlmConfig(stubModels({
+    gemini: { theme: MODERATION_THEME, priority: loadFixture('priority-missing-recommendation.txt') }
+  }));
+
+  const res = await invoke(handler, createRequest(auroraIssue('REPAIR-2')));
+
+  assert.equal(res.body.analysis_status, 'partial');
+  assert.equal(res.body.degraded, true);
+  assert.ok(res.body.result.actions.some(action => /partial .* manual review recommended/.test(action)));
+});
+
+test('falls back to Claude when Gemini fails', async () => {
+  setLlmConfig(stubModels({
+    gemini: { theme: { $error: 'quota exceeded' }, priority: { $error: 'quota exceeded' } },
+    claude: { theme: MODERATION_THEME, priority: loadFixture('claude-priority-plain.txt') }
+  }));
+
+  const res = await invoke(handler, createRequest(auroraIssue('FALLBACK-1')));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.recommendation, 'Fast Track');
+  assert.equal(res.body.result.themeModel, 'Claude Sonnet 3.5');
+  assert.equal(res.body.result.priorityModel, 'Claude Sonnet 3.5');
+  assert.equal(res.body.result.modelSummary.fallbackUsed, true);
+});
+
+test('falls back to Claude when the Gemini answer cannot be parsed', async () => {
+  setLlmConfig(stubModels({
+    gemini: { theme: MODERATION_THEME, priority: 'I cannot help with that.' },
+    claude: { theme: MODERATION_THEME, priority: loadFixture('claude-priority-plain.txt') }
+  }));
+
+  const res = await invoke(handler, createRequest(auroraIssue('FALLBACK-2')));
+
+  assert.equal(res.body.result.priorityModel, 'Claude Sonnet 3.5');
+});
+
+test('recovers from truncated model output', async () => {
+  setLlmConfig(stubModels({
+    gemini: { theme: MODERATION_THEME, priority: loadFixture('priority-truncated.txt') }
+  }));
+
+  const res = await invoke(handler, createRequest(auroraIssue('TRUNCATED-1')));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.recommendation, 'Standard');
+  assert.equal(res.body.result.scores.business_impact, 64);
+  assert.equal(res.body.analysis_status, 'emergency');
+  assert.equal(res.body.degraded, true);
+});
+
+test('still answers when every model fails', async () => {
+  setLlmConfig(stubModels({
+    gemini: { theme: { $error: 'down' }, priority: { $error: 'down' } },
+    claude: { theme: { $error: 'down' }, priority: { $error: 'down' } }
+  }));
+
+  const res = await invoke(handler, createRequest(auroraIssue('DOWN-1')));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.recommendation, 'On Hold');
+  assert.equal(res.body.importance, 0);
+  assert.deepEqual(res.body.themes, ['THEME NOT IDENTIFIED']);
+  assert.equal(res.body.result.priority_recommendation, 'Not analyzed');
+  assert.equal(res.body.analysis_status, 'failed');
+  assert.equal(res.body.degraded, true);
+  assert.equal(res.body.confidence, 0);
+  assert.ok(res.body.result.actions.includes('Priority analysis failed - manual review needed'));
+});
+
+test('normalizes a theme wrapped in markdown and explanation', async () => {
+  setLlmConfig(stubModels({
+    gemini: { theme: loadFixture('theme-with-explanation.txt'), priority: loadFixture('gemini-priority-markdown.txt') }
+  }));
+
+  const res = await invoke(handler, createRequest(auroraIssue('THEME-1')));
+
+  assert.deepEqual(res.body.themes, [MODERATION_THEME]);
+  assert.equal(res.body.result.themeValidation.retried, false);
+});
+
+test('retries theme classification once when the answer is not an allowed theme', async () => {
+  setLlmConfig(stubModels({
+    gemini: { theme: ['Moderation stuff', MODERATION_THEME], priority: loadFixture('gemini-priority-markdown.txt') }
+  }));
+
+  const res = await invoke(handler, createRequest(auroraIssue('THEME-2')));
+
+  assert.deepEqual(res.body.themes, [MODERATION_THEME]);
+  assert.equal(res.body.result.themeValidation.retried, true);
+  assert.equal(res.body.result.themeValidation.matchMethod, 'exact');
+});
+
+test('answers preflight requests and rejects other methods', async () => {
+  const preflight = await invoke(handler, createRequest(null, { method: 'OPTIONS' }));
+  assert.equal(preflight.statusCode, 200);
+  assert.equal(preflight.ended, true);
+
+  const get = await invoke(handler, createRequest(null, { method: 'PUT' }));
+  assert.equal(get.statusCode, 405);
+});
+
+test('returns 500 with a request ID when the issue key is missing', async () => {
+  const res = await invoke(handler, createRequest({ webhookEvent: 'jira:issue_created', issue: { fields: {} } }));
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.status, 'error');
+  assert.match(res.body.error, /No issue key provided/);
+  assert.ok(res.body.requestId);
+});
+
+test('rate limits each client IP to 10 requests per minute', async () => {
+  setLlmConfig({ agents: { theme: { chain: ['mock'] }, priority: { chain: ['mock'] } } });
+  const ip = '192.0.2.77';
+
+  for (let i = 0; i < 10; i++) {
+    const res = await invoke(handler, createRequest(issuePayload(`RATE-${i}`), { ip }));
+    assert.equal(res.statusCode, 200, `request ${i + 1} should be allowed`);
+  }
+
+  const limited = await invoke(handler, createRequest(issuePayload('RATE-10'), { ip }));
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.body.retryAfter, 60);
+  assert.match(limited.body.requestId, /^[0-9a-f-]{36}$/);
+
+  const otherClient = await invoke(handler, createRequest(issuePayload('RATE-11'), { ip: '192.0.2.78' }));
+  assert.equal(otherClient.statusCode, 200);
+});
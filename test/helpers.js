@@ -0,0 +1,99 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Shared test setup: import this module before anything from api/ or lib/
+// so the environment is in place when those modules load.
+
+process.env.TRIAGE_STORAGE = 'memory';
+process.env.LLM_CHAIN = 'mock';
+delete process.env.GEMINI_API_KEY;
+delete process.env.CLAUDE_API_KEY;
+delete process.env.JIRA_WRITEBACK;
+for (const name of ['TRIAGE_AUTH_TOKEN', 'TRIAGE_WEBHOOK_SECRET', 'TRIAGE_IP_ALLOWLIST', 'TRIAGE_AUTH_MODES']) {
+  delete process.env[name];
+}
+
+// The triage pipeline logs every step; keep test output readable unless asked otherwise
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Recorded model response
+export function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+// Stub Gemini and Claude with recorded responses (per agent; see lib/providers/mock.js for the format)
+export function stubModels({ gemini = {}, claude = {} } = {}) {
+  return {
+    providers: {
+      gemini: { type: 'mock', model: 'gemini-2.0-flash', label: 'Gemini Flash 2.0', fixtures: { default: gemini } },
+      claude: { type: 'mock', model: 'claude-3-5-sonnet-20241022', label: 'Claude Sonnet 3.5', fixtures: { default: claude } }
+    },
+    agents: {
+      theme: { chain: ['gemini', 'claude'] },
+      priority: { chain: ['gemini', 'claude'] }
+    }
+  };
+}
+
+let ipCounter = 0;
+
+// Fake Vercel/Express request; every request gets its own IP so rate limiting never leaks between tests
+export function createRequest(body, { method = 'POST', headers = {}, query = {}, params = {}, ip } = {}) {
+  ipCounter += 1;
+  const address = ip || `10.0.${Math.floor(ipCounter / 250)}.${ipCounter % 250}`;
+  return {
+    method,
+    headers: { 'x-forwarded-for': address, ...headers },
+    socket: { remoteAddress: address },
+    query,
+    params,
+    body
+  };
+}
+
+// Fake Vercel/Express response
+export function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    ended: false,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; this.ended = true; return this; },
+    end() { this.ended = true; return this; }
+  };
+}
+
+// Run a handler and return the response
+export async function invoke(handler, req) {
+  const res = createResponse();
+  await handler(req, res);
+  return res;
+}
+
+// Minimal Jira webhook payload
+export function issuePayload(key, fields = {}, extra = {}) {
+  return {
+    webhookEvent: 'jira:issue_created',
+    issue: {
+      key,
+      fields: {
+        summary: 'Add bulk import feature for customer data',
+        description: 'Enterprise clients need to import large CSV files with customer data.',
+        priority: { name: 'High' },
+        reporter: { displayName: 'Sarah Johnson' },
+        labels: [],
+        components: [],
+        ...fields
+      }
+    },
+    ...extra
+  };
+}
@@ -0,0 +1,89 @@
+import { createRequest, invoke, issuePayload, loadFixture } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/triage.js';
+import { getProvider, setLlmConfig } from '../lib/providers/index.js';
+import { adfToMarkdown, getIssueDescription, isWikiMarkup, wikiToMarkdown } from '../lib/issue-text.js';
+
+const adf = () => JSON.parse(loadFixture('adf-description.json'));
+
+test('converts ADF paragraphs, marks, mentions and links', () => {
+  const markdown = adfToMarkdown(adf());
+
+  assert.match(markdown, /^## Problem\n\nModerators in our \*\*Aurora community\*\* need bulk actions\./);
+  assert.match(markdown, /Reported by @Dana Lee, see \[the spec\]\(https:\/\/example\.com\/spec\)\./);
+  assert.match(markdown, /https:\/\/example\.atlassian\.net\/browse\/FR-1$/);
+});
+
+test('converts ADF lists, code blocks and tables', () => {
+  const markdown = adfToMarkdown(adf());
+
+  assert.match(markdown, /- Approve many posts\n- Reject many posts\n  1\. with a reason/);
+  assert.match(markdown, /```json\n\{"action": "approve"\}\n```/);
+  assert.match(markdown, /\| Customer \| ARR \|\n\| --- \| --- \|\n\| Acme \| \$1\.2M \|/);
+});
+
+test('converts Jira wiki markup', () => {
+  const wiki = [
+    'h2. Problem',
+    'Bulk actions are *really* needed, ask [~accountid:abc123].',
+    '* Approve posts',
+    '** with one click',
+    '# First step',
+    '{code:java}',
+    'int *x* = 1;',
+    '{code}',
+    '||Customer||ARR||',
+    '|Acme|$1.2M|',
+    'See [the spec|https://example.com/spec] and {{bulkApprove()}}.'
+  ].join('\n');
+
+  const markdown = wikiToMarkdown(wiki);
+
+  assert.match(markdown, /^## Problem\nBulk actions are \*\*really\*\* needed, ask @abc123\./);
+  assert.match(markdown, /- Approve posts\n  - with one click\n1\. First step/);
+  assert.match(markdown, /```java\nint \*x\* = 1;\n```/);
+  assert.match(markdown, /\| Customer \| ARR \|\n\| --- \| --- \|\n\| Acme \| \$1\.2M \|/);
+  assert.match(markdown, /See \[the spec\]\(https:\/\/example\.com\/spec\) and `bulkApprove\(\)`\./);
+});
+
+test('keeps markdown descriptions as they are', () => {
+  const markdown = [
+    '## Steps to reproduce',
+    '1. Open the *reports* page',
+    '2. Click **Export**',
+    '',
+    '### Expected',
+    '* A CSV download, see [the spec](https://example.com/spec)'
+  ].join('\n');
+
+  assert.equal(isWikiMarkup(markdown), false);
+  assert.equal(getIssueDescription({ fields: { description: markdown } }), markdown);
+  assert.equal(isWikiMarkup('h3. Steps\n# Open the page'), true);
+  assert.match(getIssueDescription({ fields: { description: 'h3. Steps\n# Open the page' } }), /^### Steps\n1\. Open the page$/);
+});
+
+test('leaves plain text descriptions readable', () => {
+  assert.equal(getIssueDescription({ fields: { description: 'Users cannot export reports.' } }), 'Users cannot export reports.');
+  assert.equal(getIssueDescription({ fields: { description: null } }), '');
+  assert.equal(getIssueDescription({ fields: {} }), '');
+});
+
+test('prompts and heuristics see converted ADF text instead of [object Object]', async () => {
+  setLlmConfig({ agents: { theme: { chain: ['mock'] }, priority: { chain: ['mock'] } } });
+
+  const res = await invoke(handler, createRequest(issuePayload('ADF-1', {
+    summary: 'Bulk moderation actions',
+    description: adf()
+  })));
+
+  assert.equal(res.statusCode, 200);
+  const prompts = getProvider('mock').calls.filter(call => call.issueKey === 'ADF-1').map(call => call.prompt);
+  assert.equal(prompts.length, 2);
+  for (const prompt of prompts) {
+    assert.doesNotMatch(prompt, /\[object Object\]/);
+    assert.match(prompt, /Moderators in our \*\*Aurora community\*\*/);
+  }
+  // "aurora community" only appears in the ADF description, so product detection must have read it
+  assert.match(prompts[1], /Detected Product: Khoros Aurora Community/);
+});
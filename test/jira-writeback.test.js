@@ -0,0 +1,82 @@
+import { createRequest, invoke, issuePayload } from './helpers.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/triage.js';
+import { buildWriteBackPayload } from '../lib/jira.js';
+import { setLlmConfig } from '../lib/providers/index.js';
+
+const JIRA_URL = 'https://jira.example.test';
+const FIELDS = { AI_TRIAGE_STATUS_FIELD: 'customfield_10100', AI_TRIAGE_OUTCOME_FIELD: 'customfield_10101', AI_TRIAGE_NOTES_FIELD: 'customfield_10102' };
+
+// Stub Jira REST API: records every call and answers like Jira Cloud
+const calls = [];
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (url, { method = 'GET', headers = {}, body } = {}) => {
+  calls.push({ url: String(url), method, headers, body: body ? JSON.parse(body) : null });
+  if (method === 'GET') {
+    return new Response(JSON.stringify({ fields: { labels: ['customer-request', 'ai-triage-low', 'ai-theme-old-theme'] } }), { status: 200 });
+  }
+  if (method === 'PUT') return new Response(null, { status: 204 });
+  return new Response(JSON.stringify({ id: '10000' }), { status: 201 });
+};
+after(() => {
+  globalThis.fetch = realFetch;
+});
+
+beforeEach(() => {
+  setLlmConfig({ agents: { theme: { chain: ['mock'] }, priority: { chain: ['mock'] } } });
+  Object.assign(process.env, { JIRA_BASE_URL: JIRA_URL, JIRA_EMAIL: 'triage-bot@example.com', JIRA_API_TOKEN: 'stub-token' });
+  calls.length = 0;
+});
+
+const labelOperations = call => call.body.update.labels;
+
+test('writes fields, labels and the summary comment back to Jira', async () => {
+  const res = await invoke(handler, createRequest(issuePayload('WB-1', { labels: ['customer-request'] }, { writeBack: true })));
+
+  assert.equal(res.body.writeBack.status, 'success');
+  assert.deepEqual(calls.map(call => [call.method, call.url]), [
+    ['PUT', `${JIRA_URL}/rest/api/2/issue/WB-1`],
+    ['POST', `${JIRA_URL}/rest/api/2/issue/WB-1/comment`]
+  ]);
+  const [update, comment] = calls;
+  assert.match(update.headers.Authorization, /^Basic /);
+  assert.equal(update.body.fields.customfield_10101, res.body.recommendation);
+  assert.match(update.body.fields.customfield_10102, new RegExp(`Request ID: ${res.body.requestId}`));
+  assert.deepEqual(labelOperations(update), res.body.writeBack.labels.map(label => ({ add: label })));
+  assert.ok(res.body.writeBack.labels.includes(`ai-triage-${res.body.recommendation.toLowerCase().replace(/ /g, '-')}`));
+  assert.match(comment.body.body, /^AI Triage \(/);
+});
+
+test('replaces the labels of an earlier triage', async () => {
+  const res = await invoke(handler, createRequest(issuePayload('WB-2', { labels: undefined }, { writeBack: true })));
+
+  // Without labels in the payload they are read from Jira first
+  assert.deepEqual(calls[0], { url: `${JIRA_URL}/rest/api/2/issue/WB-2?fields=labels`, method: 'GET', headers: calls[0].headers, body: null });
+  const operations = labelOperations(calls.find(call => call.method === 'PUT'));
+  const stale = ['ai-triage-low', 'ai-theme-old-theme'].filter(label => !res.body.writeBack.labels.includes(label));
+  assert.deepEqual(operations.filter(operation => operation.remove).map(operation => operation.remove), stale);
+  assert.ok(!operations.some(operation => operation.remove === 'customer-request'));
+  assert.deepEqual(res.body.writeBack.removedLabels, stale);
+});
+
+test('keeps a write-back label that still applies', () => {
+  const triage = { recommendation: 'Standard', themes: ['Search'], classification: 'Feature', importance: 60, requestId: 'r-1', result: {} };
+  const { addLabels, removeLabels } = buildWriteBackPayload(triage, FIELDS, ['ai-triage-standard', 'ai-triage-fast-track', 'ai-theme-search', 'team-a']);
+
+  assert.deepEqual(addLabels, ['ai-triage-standard', 'ai-theme-search']);
+  assert.deepEqual(removeLabels, ['ai-triage-fast-track']);
+});
+
+test('reports a failed Jira call without failing the triage', async () => {
+  const stub = globalThis.fetch;
+  globalThis.fetch = async () => new Response('Field customfield_10101 is not on the screen', { status: 400 });
+  try {
+    const res = await invoke(handler, createRequest(issuePayload('WB-3', {}, { writeBack: true })));
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.writeBack.status, 'failed');
+    assert.match(res.body.writeBack.error, /Jira PUT \/rest\/api\/2\/issue\/WB-3 failed with 400/);
+  } finally {
+    globalThis.fetch = stub;
+  }
+});
@@ -0,0 +1,110 @@
+import { loadFixture } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAIResponse } from '../api/triage.js';
+
+test('parses JSON wrapped in a markdown code block with surrounding prose', () => {
+  const parsed = parseAIResponse(loadFixture('gemini-priority-markdown.txt'));
+
+  assert.equal(parsed.priority_recommendation, 'Standard');
+  assert.equal(parsed.scores.business_impact, 85);
+  assert.equal(parsed.scores.overall_priority, 78);
+  assert.equal(parsed.key_insights.length, 3);
+});
+
+test('parses a plain JSON response', () => {
+  const parsed = parseAIResponse(loadFixture('claude-priority-plain.txt'));
+
+  assert.equal(parsed.priority_recommendation, 'Fast Track');
+  assert.equal(parsed.scores.effort_size, 'S');
+});
+
+test('parses JSON inside an unlabeled code block', () => {
+  const text = '```\n{"scores":{"business_impact":50,"effort_size":"M","overall_priority":52},"priority_recommendation":"Standard"}\n```';
+  const parsed = parseAIResponse(text);
+
+  assert.equal(parsed.scores.overall_priority, 52);
+});
+
+test('calculates overall_priority when the model omits it', () => {
+  const text = JSON.stringify({
+    scores: { business_impact: 80, effort_size: 'S', strategic_fit: 60, cross_client_value: 40 },
+    priority_recommendation: 'Standard'
+  });
+  const parsed = parseAIResponse(text);
+
+  assert.equal(parsed.scores.overall_priority, Math.round(80 * 0.35 + 60 * 0.25 + 40 * 0.25 + 80 * 0.15));
+});
+
+test('builds a minimal response when the recommendation is missing', () => {
+  const parsed = parseAIResponse(loadFixture('priority-missing-recommendation.txt'));
+
+  assert.equal(parsed.scores.business_impact, 40);
+  assert.equal(parsed.scores.effort_size, 'L');
+  assert.equal(parsed.priority_recommendation, 'Standard');
+  assert.deepEqual(parsed.key_insights, ['Only two customers asked for this']);
+  assert.equal(parsed.effort_analysis.confidence, 'Low (Truncated Response)');
+  assert.equal(parsed.analysis_status, 'partial');
+  assert.deepEqual(parsed.estimated_fields, ['strategic_fit', 'cross_client_value', 'overall_priority']);
+});
+
+test('keeps strategic fit and cross-client value in the minimal response, neutral when missing', () => {
+  const parsed = parseAIResponse(loadFixture('priority-missing-recommendation.txt'));
+
+  assert.equal(parsed.scores.strategic_fit, 50);
+  assert.equal(parsed.scores.cross_client_value, 50);
+  assert.equal(parsed.scores.overall_priority, Math.round(40 * 0.35 + 50 * 0.25 + 50 * 0.25 + 40 * 0.15));
+
+  const scored = parseAIResponse(JSON.stringify({
+    scores: { business_impact: 70, strategic_fit: 65, cross_client_value: 30 },
+    score_rationales: { business_impact: 'Two enterprise renewals depend on it' }
+  }));
+  assert.equal(scored.scores.strategic_fit, 65);
+  assert.equal(scored.scores.cross_client_value, 30);
+  assert.deepEqual(scored.score_rationales, { business_impact: 'Two enterprise renewals depend on it' });
+});
+
+test('keeps a dimension score of 0 as a real score', () => {
+  const partial = parseAIResponse(JSON.stringify({ scores: { business_impact: 0, strategic_fit: 0, cross_client_value: 20 } }));
+  assert.equal(partial.analysis_status, 'partial');
+  assert.equal(partial.scores.business_impact, 0);
+  assert.equal(partial.scores.strategic_fit, 0);
+  assert.ok(!partial.estimated_fields.includes('strategic_fit'));
+
+  const emergency = parseAIResponse('{"scores": {"business_impact": 40, "strategic_fit": 0, "cross_client_value": 0}, "priority_recommendation": "Low", "key_insights": ["cut');
+  assert.equal(emergency.analysis_status, 'emergency');
+  assert.equal(emergency.scores.strategic_fit, 0);
+  assert.equal(emergency.scores.cross_client_value, 0);
+  assert.ok(!emergency.estimated_fields.includes('strategic_fit') && !emergency.estimated_fields.includes('cross_client_value'));
+});
+
+test('recovers scores from truncated JSON through emergency extraction', () => {
+  const parsed = parseAIResponse(loadFixture('priority-truncated.txt'));
+
+  assert.equal(parsed.scores.business_impact, 64);
+  assert.equal(parsed.priority_recommendation, 'Standard');
+  assert.equal(parsed.effort_analysis.confidence, 'Very Low (Emergency Extraction)');
+  assert.equal(parsed.analysis_status, 'emergency');
+});
+
+test('extracts fields from malformed text as a last resort', () => {
+  const parsed = parseAIResponse(loadFixture('priority-emergency.txt'));
+
+  assert.equal(parsed.scores.business_impact, 35);
+  assert.equal(parsed.scores.effort_size, 'XL');
+  assert.equal(parsed.priority_recommendation, 'On Hold');
+  assert.equal(parsed.scores.strategic_fit, 50);
+  assert.ok(parsed.estimated_fields.includes('strategic_fit') && parsed.estimated_fields.includes('cross_client_value'));
+});
+
+test('recomputes overall_priority from extracted scores instead of inventing it', () => {
+  const parsed = parseAIResponse(loadFixture('priority-truncated.txt'));
+
+  assert.equal(parsed.scores.overall_priority, Math.round(64 * 0.35 + 55 * 0.25 + 50 * 0.25 + 60 * 0.15));
+  assert.ok(parsed.estimated_fields.includes('overall_priority'));
+});
+
+test('returns null when nothing can be recovered', () => {
+  assert.equal(parseAIResponse("Sorry, I couldn't analyze this properly."), null);
+  assert.equal(parseAIResponse('{"summary": "no scores here"}'), null);
+});
@@ -0,0 +1,84 @@
+import { loadFixture } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PRIORITY_ANALYSIS_SCHEMA,
+  SchemaValidationError,
+  parseStructuredOutput,
+  validatePriorityAnalysis,
+  validateSchema
+} from '../lib/priority-schema.js';
+import { toGeminiSchema } from '../lib/providers/gemini.js';
+
+test('accepts a complete priority analysis', () => {
+  const analysis = parseStructuredOutput(loadFixture('claude-priority-plain.txt'));
+
+  assert.deepEqual(validatePriorityAnalysis(analysis), []);
+});
+
+test('reports typed errors with JSON paths', () => {
+  const analysis = parseStructuredOutput(loadFixture('gemini-priority-markdown.txt'));
+  analysis.scores.business_impact = 140;
+  analysis.priority_recommendation = 'Urgent';
+  delete analysis.risks;
+
+  const errors = validatePriorityAnalysis(analysis);
+
+  assert.ok(errors.every(error => error instanceof SchemaValidationError));
+  assert.deepEqual(errors.map(error => [error.path, error.keyword]), [
+    ['$.risks', 'required'],
+    ['$.scores.business_impact', 'maximum'],
+    ['$.priority_recommendation', 'enum']
+  ]);
+});
+
+test('requires all four dimension scores and a rationale for each', () => {
+  const analysis = parseStructuredOutput(loadFixture('claude-priority-plain.txt'));
+  delete analysis.scores.strategic_fit;
+  delete analysis.score_rationales.effort;
+
+  assert.deepEqual(validatePriorityAnalysis(analysis).map(error => error.path), [
+    '$.scores.strategic_fit',
+    '$.score_rationales.effort'
+  ]);
+});
+
+test('checks types, integers and array items', () => {
+  assert.equal(validateSchema(60.5, { type: 'integer' })[0].keyword, 'type');
+  assert.equal(validateSchema(60.5, { type: 'number' }).length, 0);
+  assert.equal(validateSchema(['ok', 3], { type: 'array', items: { type: 'string' } })[0].path, '$[1]');
+  assert.equal(validateSchema([], PRIORITY_ANALYSIS_SCHEMA.properties.risks)[0].keyword, 'minItems');
+});
+
+test('parses bare or fenced JSON objects only', () => {
+  assert.deepEqual(parseStructuredOutput('{"a": 1}'), { a: 1 });
+  assert.deepEqual(parseStructuredOutput('Here you go:\n```json\n{"a": 1}\n```'), { a: 1 });
+  assert.equal(parseStructuredOutput('[1, 2]'), null);
+  assert.equal(parseStructuredOutput(loadFixture('priority-truncated.txt')), null);
+});
+
+test('converts JSON Schema to the subset Gemini accepts as responseSchema', () => {
+  const GEMINI_KEYWORDS = ['type', 'nullable', 'description', 'format', 'enum', 'items', 'minItems', 'maxItems', 'properties', 'required'];
+  const unsupported = (schema, path = '$') => [
+    ...Object.keys(schema).filter(key => !GEMINI_KEYWORDS.includes(key)).map(key => `${path}.${key}`),
+    ...(schema.items ? unsupported(schema.items, `${path}[]`) : []),
+    ...Object.entries(schema.properties || {}).flatMap(([key, value]) => unsupported(value, `${path}.${key}`))
+  ];
+
+  const priority = toGeminiSchema(PRIORITY_ANALYSIS_SCHEMA);
+  assert.deepEqual(unsupported(priority), []);
+  assert.equal(priority.type, 'object');
+  assert.deepEqual(priority.properties.priority_recommendation, { type: 'string', format: 'enum', enum: ['Fast Track', 'Standard', 'On Hold', 'Low'] });
+  assert.deepEqual(priority.properties.scores.properties.business_impact, { type: 'integer' });
+
+  assert.deepEqual(toGeminiSchema({
+    type: 'object',
+    additionalProperties: false,
+    properties: { note: { type: ['string', 'null'], maxLength: 200 }, level: { type: 'integer', enum: [1, 2] } },
+    required: ['note', 'missing']
+  }), {
+    type: 'object',
+    properties: { note: { type: 'string', nullable: true }, level: { type: 'integer' } },
+    required: ['note']
+  });
+});
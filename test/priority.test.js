@@ -0,0 +1,40 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateOverallPriority } from '../api/triage.js';
+
+test('weights business impact 35%, strategic fit 25%, cross-client value 25% and effort 15%', () => {
+  const overall = calculateOverallPriority({
+    business_impact: 90,
+    effort_size: 'S',
+    strategic_fit: 85,
+    cross_client_value: 80
+  });
+
+  assert.equal(overall, Math.round(90 * 0.35 + 85 * 0.25 + 80 * 0.25 + 80 * 0.15));
+});
+
+test('maps effort sizes to effort scores', () => {
+  const base = { business_impact: 0, strategic_fit: 0, cross_client_value: 0 };
+
+  assert.equal(calculateOverallPriority({ ...base, effort_size: 'XS' }), 15);
+  assert.equal(calculateOverallPriority({ ...base, effort_size: 'M' }), 9);
+  assert.equal(calculateOverallPriority({ ...base, effort_size: 'XL' }), 3);
+});
+
+test('scores effort from the configured size, using the model effort_score only for an unknown size', () => {
+  assert.equal(calculateOverallPriority({ business_impact: 0, effort_size: 'XL', effort_score: 100 }), 3);
+  assert.equal(calculateOverallPriority({ business_impact: 0, effort_size: 'XXL', effort_score: 100 }), 15);
+  assert.equal(calculateOverallPriority({ business_impact: 0, effort_score: 0 }), 0);
+});
+
+test('treats missing dimensions as zero and unknown effort as 50', () => {
+  assert.equal(calculateOverallPriority({}), Math.round(50 * 0.15));
+  assert.equal(calculateOverallPriority({ business_impact: 100 }), Math.round(35 + 7.5));
+});
+
+test('returns whole numbers', () => {
+  const overall = calculateOverallPriority({ business_impact: 33, strategic_fit: 47, cross_client_value: 51, effort_size: 'L' });
+
+  assert.equal(Number.isInteger(overall), true);
+});
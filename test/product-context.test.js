@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectProduct, loadProductContext, validateProductContext } from '../lib/product-context.js';
+
+const productContext = loadProductContext();
+
+const ticket = ({ summary = '', description = '', components = [], labels = [] }) => ({ summary, description, components, labels });
+
+test('detects products from the configured keywords', () => {
+  assert.deepEqual(detectProduct(productContext, ticket({ summary: 'aurora community badges' })), { product: 'Khoros Aurora Community', confidence: 'High' });
+  assert.equal(detectProduct(productContext, ticket({ description: 'classic', labels: ['community-team'] })).product, 'Khoros Classic Community');
+  assert.equal(detectProduct(productContext, ticket({ components: ['care agent desktop'] })).product, 'Khoros Care');
+  assert.equal(detectProduct(productContext, ticket({ summary: 'marketing calendar' })).product, 'Khoros Social Media & Marketing');
+  // "community" alone is required by both community products but identifies neither
+  assert.deepEqual(detectProduct(productContext, ticket({ summary: 'community badges' })), { product: 'Unknown', confidence: 'Low' });
+});
+
+test('detects a product added to the configuration', () => {
+  const { default: fallback, products } = productContext;
+  const withInsights = {
+    default: fallback,
+    products: { ...products, 'Khoros Insights': { ...products['Khoros Care'], detection: { keywords: ['insights'] } } }
+  };
+
+  assert.deepEqual(validateProductContext(withInsights), []);
+  assert.equal(detectProduct(withInsights, ticket({ summary: 'insights export' })).product, 'Khoros Insights');
+});
+
+test('requires detection keywords for every product', () => {
+  const { detection, ...care } = productContext.products['Khoros Care'];
+  const errors = validateProductContext({
+    default: productContext.default,
+    products: { 'Khoros Care': care, 'Khoros Insights': { ...care, detection: { keywords: [] } } }
+  });
+
+  assert.deepEqual(errors, [
+    'products["Khoros Care"].detection must be an object with the keywords that identify the product',
+    'products["Khoros Insights"].detection.keywords must not be empty'
+  ]);
+});
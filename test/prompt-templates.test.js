@@ -0,0 +1,136 @@
+import { createRequest, invoke, issuePayload } from './helpers.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  getPromptTemplate,
+  loadPromptTemplates,
+  parseTemplate,
+  promptFingerprint,
+  renderPrompt,
+  renderTemplate
+} from '../lib/prompt-templates.js';
+import { getProvider, setLlmConfig } from '../lib/providers/index.js';
+import { cacheTriage, getCachedTriage } from '../lib/triage-cache.js';
+
+const SHIPPED_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'prompts');
+
+// A copy of the shipped templates with a reworded priority prompt (v2) made active
+const promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+fs.cpSync(SHIPPED_DIR, promptsDir, { recursive: true });
+const priorityV1 = fs.readFileSync(path.join(promptsDir, 'priority', 'v1.txt'), 'utf8');
+fs.writeFileSync(path.join(promptsDir, 'priority', 'v2.txt'),
+  priorityV1.replace('TICKET DETAILS:', 'Weigh security requests from {{product}} customers first.\n\nTICKET DETAILS:'));
+fs.writeFileSync(path.join(promptsDir, 'prompts.json'), JSON.stringify({ theme: 'v1', priority: 'v2', comprehensive: 'v1' }));
+process.env.PROMPTS_DIR = promptsDir;
+const { default: handler, buildTriagePrompts } = await import('../api/triage.js');
+
+beforeEach(() => {
+  setLlmConfig({ agents: { theme: { chain: ['mock'] }, priority: { chain: ['mock'] } } });
+});
+
+// Prompt directory with the given files ({ 'theme/v1.txt': '...', 'prompts.json': {...} })
+function writePrompts(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+test('parses variables and drops comments from the text and hash', () => {
+  const template = parseTemplate('{{! Written by the PM team }}\nHello {{ name }}, re {{key}}{{! inline }}.\n{{name}}\n', 'greeting');
+
+  assert.equal(template.text, 'Hello {{ name }}, re {{key}}.\n{{name}}');
+  assert.deepEqual(template.variables, ['name', 'key']);
+  assert.equal(template.hash, parseTemplate('Hello {{ name }}, re {{key}}.\n{{name}}').hash);
+  assert.notEqual(template.hash, parseTemplate('Hi {{ name }}, re {{key}}.\n{{name}}').hash);
+
+  assert.throws(() => parseTemplate('Hello {{first name}} and {{', 'greeting'), /greeting: invalid tag "\{\{first name\}\}"; unclosed "\{\{"/);
+});
+
+test('renders values verbatim and requires every variable', () => {
+  const template = parseTemplate('Summary: {{summary}} ({{key}})');
+
+  assert.equal(renderTemplate(template, { summary: 'Use {{key}} in exports', key: 'T-1' }), 'Summary: Use {{key}} in exports (T-1)');
+  assert.equal(renderTemplate(template, { summary: 0, key: 'T-1' }), 'Summary: 0 (T-1)');
+  assert.throws(() => renderTemplate(template, { summary: 'x' }, 'theme@v1'), /theme@v1: no value for "key"/);
+});
+
+test('loads every version and renders the active one unless a version is given', () => {
+  const dir = writePrompts({
+    'prompts.json': { theme: 'v1' },
+    'theme/v1.txt': 'Classify {{key}}',
+    'theme/v2.txt': 'Pick a theme for {{key}}',
+    'theme/notes.md': 'ignored'
+  });
+  const prompts = loadPromptTemplates(dir, { variables: { theme: ['key'] } });
+
+  assert.deepEqual(Object.keys(prompts.templates.theme), ['v1', 'v2']);
+  assert.deepEqual(renderPrompt(prompts, 'theme', { key: 'T-1' }), {
+    text: 'Classify T-1',
+    id: 'theme@v1',
+    version: 'v1',
+    hash: getPromptTemplate(prompts, 'theme').hash
+  });
+  assert.equal(renderPrompt(prompts, 'theme', { key: 'T-1' }, { version: 'v2' }).text, 'Pick a theme for T-1');
+  assert.throws(() => renderPrompt(prompts, 'theme', { key: 'T-1' }, { version: 'v9' }), /Unknown prompt template theme@v9/);
+  assert.match(promptFingerprint(prompts, ['theme']), /^theme@v1#[0-9a-f]{12}$/);
+});
+
+test('rejects missing versions, unknown variables and invalid templates', () => {
+  const dir = writePrompts({
+    'prompts.json': { theme: 'v2', extra: 'v1' },
+    'theme/v1.txt': 'Classify {{key}} for {{customer}}',
+    'priority/v1.txt': 'Rank {{key'
+  });
+
+  assert.throws(() => loadPromptTemplates(dir, { variables: { theme: ['key'], priority: ['key'] } }), error => {
+    assert.match(error.message, /^Invalid prompt templates in /);
+    assert.match(error.message, /- priority\/v1\.txt: unclosed "\{\{"/);
+    assert.match(error.message, /- prompts\.json has no active version for "priority"/);
+    assert.match(error.message, /- prompts\.json: "theme" version "v2" not found \(available: v1\)/);
+    assert.match(error.message, /- prompts\.json: "extra" version "v1" not found \(available: none\)/);
+    assert.match(error.message, /- theme\/v1\.txt uses unknown variable\(s\) "customer"/);
+    return true;
+  });
+  assert.throws(() => loadPromptTemplates(path.join(dir, 'missing')), /Failed to read prompt templates from .*prompts\.json/);
+});
+
+test('the shipped templates load with the variables the pipeline supplies', async () => {
+  const prompts = loadPromptTemplates(SHIPPED_DIR);
+  assert.deepEqual(prompts.active, { theme: 'v1', priority: 'v1', comprehensive: 'v1' });
+
+  const { theme, priority, promptVersions } = await buildTriagePrompts(issuePayload('PROMPT-0').issue);
+  assert.deepEqual(promptVersions, { theme: 'theme@v1', priority: 'priority@v2' });
+  assert.doesNotMatch(theme, /\{\{|\}\}/);
+  assert.doesNotMatch(priority, /\{\{|\}\}/);
+  assert.match(priority, /Weigh security requests from Unknown customers first\./);
+});
+
+test('records the prompt versions in the response, logs and history', async () => {
+  const res = await invoke(handler, createRequest(issuePayload('PROMPT-1')));
+
+  assert.deepEqual(res.body.result.promptVersions, { theme: 'theme@v1', priority: 'priority@v2' });
+  assert.ok(res.body.result.actions.includes('Prompt versions: theme@v1, priority@v2'));
+
+  const prompt = getProvider('mock').calls.find(call => call.issueKey === 'PROMPT-1' && call.agent === 'priority').prompt;
+  assert.match(prompt, /Weigh security requests from .* customers first\./);
+
+  const history = await invoke(handler, createRequest(undefined, { method: 'GET', params: { issueKey: 'PROMPT-1' } }));
+  const run = history.body.latest;
+  assert.deepEqual(run.promptVersions, { theme: 'theme@v1', priority: 'priority@v2' });
+  assert.ok(['THEME_PROMPT_BUILT', 'PRIORITY_PROMPT_BUILT'].every(action => run.logActions.includes(action)));
+});
+
+test('cached results are only reused for the same prompt templates', () => {
+  cacheTriage('PROMPT-2', 'hash', 'request-1', { recommendation: 'Low' }, 'theme@v1#aaa,priority@v1#bbb');
+
+  assert.equal(getCachedTriage('PROMPT-2', 'hash', 'theme@v1#aaa,priority@v1#bbb').requestId, 'request-1');
+  assert.equal(getCachedTriage('PROMPT-2', 'hash', 'theme@v1#aaa,priority@v2#ccc'), null);
+  assert.equal(getCachedTriage('PROMPT-2', 'hash'), null);
+});
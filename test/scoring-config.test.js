@@ -0,0 +1,155 @@
+import { createRequest, invoke, issuePayload, stubModels } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  calculateWeightedPriority,
+  describeThresholds,
+  explainWeightedPriority,
+  getScoringProfile,
+  loadScoringConfig,
+  recommendationForPriority,
+  validateScoringConfig
+} from '../lib/scoring-config.js';
+import { setLlmConfig } from '../lib/providers/index.js';
+
+const defaults = loadScoringConfig();
+
+// Aurora tickets get a stricter profile in the handler test below
+const scoringConfig = {
+  ...defaults,
+  products: {
+    'Khoros Aurora Community': {
+      weights: { business_impact: 0.6, strategic_fit: 0.1, cross_client_value: 0.1, effort: 0.2 },
+      thresholds: { 'Fast Track': 90 }
+    }
+  }
+};
+const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-')), 'scoring-config.json');
+fs.writeFileSync(configPath, JSON.stringify(scoringConfig));
+process.env.SCORING_CONFIG_PATH = configPath;
+const { default: handler } = await import('../api/triage.js');
+
+test('the shipped config matches the documented weights and bands', () => {
+  const profile = getScoringProfile(defaults);
+
+  assert.equal(profile.profile, 'default');
+  assert.deepEqual(profile.weights, { business_impact: 0.35, strategic_fit: 0.25, cross_client_value: 0.25, effort: 0.15 });
+  assert.deepEqual(describeThresholds(profile), { 'Fast Track': '80-100', Standard: '50-79', 'On Hold': '25-49', Low: '0-24' });
+});
+
+test('derives the recommendation from the thresholds', () => {
+  const profile = getScoringProfile(defaults);
+
+  assert.equal(recommendationForPriority(80, profile), 'Fast Track');
+  assert.equal(recommendationForPriority(79, profile), 'Standard');
+  assert.equal(recommendationForPriority(25, profile), 'On Hold');
+  assert.equal(recommendationForPriority(24, profile), 'Low');
+});
+
+test('product overrides replace only the sections they set', () => {
+  const profile = getScoringProfile(scoringConfig, 'Khoros Aurora Community');
+
+  assert.equal(profile.profile, 'Khoros Aurora Community');
+  assert.equal(profile.weights.business_impact, 0.6);
+  assert.deepEqual(profile.effortScores, defaults.default.effortScores);
+  assert.deepEqual(profile.thresholds, { 'Fast Track': 90, Standard: 50, 'On Hold': 25 });
+  assert.equal(getScoringProfile(scoringConfig, 'Khoros Care').profile, 'default');
+
+  const scores = { business_impact: 90, strategic_fit: 50, cross_client_value: 50, effort_size: 'S' };
+  assert.equal(calculateWeightedPriority(scores, profile), Math.round(90 * 0.6 + 50 * 0.1 + 50 * 0.1 + 80 * 0.2));
+});
+
+test('a product effort score override changes the overall priority', () => {
+  const scoringConfig = { ...defaults, products: { Social: { effortScores: { L: 0 } } } };
+  const scores = { business_impact: 80, strategic_fit: 70, cross_client_value: 60, effort_size: 'L', effort_score: 40 };
+
+  const standard = calculateWeightedPriority(scores, getScoringProfile(scoringConfig));
+  const social = calculateWeightedPriority(scores, getScoringProfile(scoringConfig, 'Social'));
+  assert.equal(standard - social, Math.round(40 * 0.15));
+  assert.equal(calculateWeightedPriority({ ...scores, strategic_fit: 0 }, getScoringProfile(scoringConfig)), Math.round(80 * 0.35 + 60 * 0.25 + 40 * 0.15));
+});
+
+test('breaks the overall priority down by dimension', () => {
+  const profile = getScoringProfile(defaults);
+  const scores = { business_impact: 33, strategic_fit: 47, cross_client_value: 51, effort_size: 'L' };
+  const breakdown = explainWeightedPriority(scores, profile);
+
+  assert.deepEqual(breakdown.map(component => component.dimension), ['business_impact', 'strategic_fit', 'cross_client_value', 'effort']);
+  assert.deepEqual(breakdown[3], { dimension: 'effort', score: 40, weight: 0.15, contribution: 6 });
+  assert.equal(breakdown[0].contribution, 11.55);
+  assert.equal(Math.round(breakdown.reduce((sum, component) => sum + component.contribution, 0)), calculateWeightedPriority(scores, profile));
+});
+
+test('rejects weights that do not add up, unknown keys and unordered thresholds', () => {
+  const errors = validateScoringConfig({
+    default: { ...defaults.default, weights: { ...defaults.default.weights, effort: 0.5 } },
+    products: {
+      Care: { thresholds: { Standard: 90 } },
+      Social: { effortScores: { XXL: 10 } }
+    }
+  });
+
+  // Merged product profiles are not checked against an invalid default
+  assert.deepEqual(errors, [
+    'default.weights must add up to 1 (got 1.35)',
+    'products["Social"].effortScores has unknown key "XXL" (expected XS, S, M, L, XL)'
+  ]);
+
+  assert.deepEqual(validateScoringConfig({
+    default: defaults.default,
+    products: {
+      Care: { thresholds: { Standard: 90 } },
+      Social: { effortScores: { XXL: 10 } }
+    }
+  }), [
+    'products["Care"].thresholds must decrease from Fast Track to Standard to On Hold',
+    'products["Social"].effortScores has unknown key "XXL" (expected XS, S, M, L, XL)'
+  ]);
+  assert.match(validateScoringConfig({ default: {} })[0], /default\.weights/);
+});
+
+test('overrides the model recommendation with the configured scoring and flags the disagreement', async () => {
+  setLlmConfig(stubModels({
+    gemini: {
+      theme: 'CONTENT MANAGEMENT & MODERATION - Moderation Features',
+      priority: {
+        scores: { business_impact: 90, effort_size: 'S', effort_score: 80, strategic_fit: 85, cross_client_value: 80, overall_priority: 86 },
+        score_rationales: { business_impact: 'Large communities', strategic_fit: 'Moderation pillar', cross_client_value: 'All communities', effort: 'Queue UI only' },
+        priority_recommendation: 'Fast Track',
+        key_insights: ['Broad moderation demand'],
+        risks: ['None'],
+        opportunities: ['Faster moderation'],
+        similar_features: 'Moderation queue',
+        recommended_next_steps: ['Scope bulk actions'],
+        executive_summary: 'Fast track bulk moderation.'
+      }
+    }
+  }));
+
+  const res = await invoke(handler, createRequest(issuePayload('SCORING-1', {
+    summary: 'Aurora community moderation queue needs bulk actions',
+    description: 'Moderators in our community want to approve many posts at once.'
+  })));
+  const body = res.body;
+
+  // 90*0.6 + 85*0.1 + 80*0.1 + 80*0.2 = 86.5, below the Aurora Fast Track threshold of 90
+  assert.equal(body.importance, 87);
+  assert.equal(body.recommendation, 'Standard');
+  assert.equal(body.model_recommendation, 'Fast Track');
+  assert.equal(body.recommendation_disagreement, true);
+  assert.deepEqual(body.result.scoring, {
+    profile: 'Khoros Aurora Community',
+    overall_priority: 87,
+    recommendation: 'Standard',
+    model_overall_priority: 86,
+    model_recommendation: 'Fast Track',
+    disagreement: true,
+    effort_score: 80,
+    model_effort_score: 80,
+    effort_disagreement: false
+  });
+  assert.ok(body.result.actions.some(action => /Model recommended Fast Track \(86\); scoring config gives Standard \(87\)/.test(action)));
+});
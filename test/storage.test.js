@@ -0,0 +1,60 @@
+import './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+let dataDir;
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'triage-storage-'));
+  process.env.TRIAGE_DATA_DIR = dataDir;
+  delete process.env.TRIAGE_STORAGE;
+});
+after(() => {
+  process.env.TRIAGE_STORAGE = 'memory';
+  delete process.env.TRIAGE_DATA_DIR;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// A fresh module instance reloads every collection from disk
+let loads = 0;
+const openStorage = () => import(`../lib/storage.js?load=${++loads}`);
+const fileLines = (name) => fs.readFileSync(path.join(dataDir, `${name}.jsonl`), 'utf8').split('\n').filter(Boolean);
+
+test('appends one line per change and replays them on load', async () => {
+  const runs = (await openStorage()).getCollection('runs');
+  runs.set('r1', { n: 1 });
+  runs.set('r2', { n: 2 });
+  runs.set('r1', { n: 3 });
+  assert.equal(fileLines('runs').length, 3);
+
+  assert.equal(runs.deleteMany(['r2', 'missing']), 1);
+  assert.equal(fileLines('runs').length, 4);
+
+  const reloaded = (await openStorage()).getCollection('runs');
+  assert.deepEqual(reloaded.values(), [{ n: 3 }]);
+  assert.equal(reloaded.get('r2'), null);
+});
+
+test('compacts the file once stale lines outnumber the records', async () => {
+  const counters = (await openStorage()).getCollection('counters');
+  for (let i = 0; i < 150; i++) counters.set('only', i);
+
+  assert.ok(fileLines('counters').length < 110);
+  assert.deepEqual((await openStorage()).getCollection('counters').values(), [149]);
+});
+
+test('skips a line cut short by a crash', async () => {
+  fs.writeFileSync(path.join(dataDir, 'torn.jsonl'), '{"key":"a","value":1}\n{"key":"b","val');
+  assert.deepEqual((await openStorage()).getCollection('torn').values(), [1]);
+});
+
+test('imports a collection stored as one JSON object by earlier versions', async () => {
+  fs.writeFileSync(path.join(dataDir, 'legacy.json'), JSON.stringify({ a: { n: 1 }, b: { n: 2 } }));
+
+  const legacy = (await openStorage()).getCollection('legacy');
+  assert.deepEqual(legacy.get('b'), { n: 2 });
+  assert.equal(fs.existsSync(path.join(dataDir, 'legacy.json')), false);
+  assert.deepEqual((await openStorage()).getCollection('legacy').values(), [{ n: 1 }, { n: 2 }]);
+});
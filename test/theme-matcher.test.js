@@ -0,0 +1,47 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchTheme, isThemeNotIdentified } from '../lib/theme-matcher.js';
+
+const ALLOWED = [
+  'ANALYTICS & REPORTING - Core Analytics',
+  'SEARCH & DISCOVERY - Search Functionality',
+  'SEARCH & DISCOVERY - REVIEW',
+  'AI & AUTOMATION -'
+];
+
+test('matches exact themes', () => {
+  assert.deepEqual(matchTheme('SEARCH & DISCOVERY - REVIEW', ALLOWED), {
+    theme: 'SEARCH & DISCOVERY - REVIEW', method: 'exact', score: 1
+  });
+});
+
+test('matches case-insensitively and ignores dangling separators', () => {
+  assert.equal(matchTheme('"analytics & reporting - core analytics"', ALLOWED).method, 'case-insensitive');
+  assert.equal(matchTheme('AI & Automation', ALLOWED).theme, 'AI & AUTOMATION -');
+});
+
+test('strips markdown, labels and code fences', () => {
+  assert.equal(matchTheme('**Theme:** SEARCH & DISCOVERY - Search Functionality', ALLOWED).method, 'exact');
+  assert.equal(matchTheme('```\nSEARCH & DISCOVERY - REVIEW\n```', ALLOWED).theme, 'SEARCH & DISCOVERY - REVIEW');
+});
+
+test('fuzzy matches near misses and themes quoted in explanations', () => {
+  const typo = matchTheme('ANALYTICS & REPORTING - Core Analytic', ALLOWED);
+  assert.equal(typo.theme, 'ANALYTICS & REPORTING - Core Analytics');
+  assert.equal(typo.method, 'fuzzy');
+
+  const explained = matchTheme('The best fit is SEARCH & DISCOVERY - Search Functionality because search is broken.', ALLOWED);
+  assert.equal(explained.theme, 'SEARCH & DISCOVERY - Search Functionality');
+});
+
+test('rejects themes that are not allowed', () => {
+  const result = matchTheme('CHANNEL INTEGRATION & EXPANSION - TikTok Suite', ALLOWED);
+  assert.equal(result.theme, null);
+  assert.equal(result.method, null);
+});
+
+test('recognizes an explicit THEME NOT IDENTIFIED answer', () => {
+  assert.equal(isThemeNotIdentified('"THEME NOT IDENTIFIED"'), true);
+  assert.equal(isThemeNotIdentified('SEARCH & DISCOVERY - REVIEW'), false);
+});
@@ -0,0 +1,44 @@
+import { createRequest, invoke, issuePayload } from './helpers.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/triage.js';
+import clustersHandler from '../api/clusters.js';
+import { setLlmConfig } from '../lib/providers/index.js';
+import { getCollection } from '../lib/storage.js';
+
+beforeEach(() => {
+  setLlmConfig({ agents: { theme: { chain: ['mock'] }, priority: { chain: ['mock'] } } });
+});
+
+test('near-identical tickets share a similarity group and list each other as duplicates', async () => {
+  const ticket = (key, summary) => issuePayload(key, {
+    summary,
+    description: 'Moderators in the Aurora community need to approve or reject many queued posts at once.'
+  });
+
+  const first = await invoke(handler, createRequest(ticket('DUP-1', 'Bulk approve and reject posts in the moderation queue')));
+  const second = await invoke(handler, createRequest(ticket('DUP-2', 'Bulk approve and reject posts in moderation queue')));
+  assert.equal(second.body.similarity_group, first.body.similarity_group);
+  assert.deepEqual(second.body.duplicate_keys, ['DUP-1']);
+
+  // Re-triaging the first ticket finds the second one and keeps its cluster
+  const retriaged = await invoke(handler, createRequest(ticket('DUP-1', 'Bulk approve and reject posts in the moderation queue'), { query: { force: 'true' } }));
+  assert.equal(retriaged.body.similarity_group, first.body.similarity_group);
+  assert.deepEqual(retriaged.body.duplicate_keys, ['DUP-2']);
+});
+
+test('treats Object.prototype names as ordinary keys', async () => {
+  const collection = getCollection('prototype-keys');
+  assert.equal(collection.get('constructor'), null);
+  assert.equal(collection.has('toString'), false);
+
+  collection.set('__proto__', { polluted: true });
+  assert.deepEqual(collection.get('__proto__'), { polluted: true });
+  assert.equal(collection.get('polluted'), null);
+  assert.deepEqual(collection.values(), [{ polluted: true }]);
+  assert.equal(collection.delete('__proto__'), true);
+  assert.deepEqual(collection.values(), []);
+
+  const cluster = await invoke(clustersHandler, createRequest(undefined, { method: 'GET', params: { similarity_group: 'constructor' } }));
+  assert.equal(cluster.statusCode, 404);
+});
@@ -0,0 +1,95 @@
+import { createRequest, invoke, issuePayload } from './helpers.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/triage.js';
+import { getProvider, setLlmConfig } from '../lib/providers/index.js';
+import { computeContentHash } from '../lib/triage-cache.js';
+
+beforeEach(() => {
+  setLlmConfig({ agents: { theme: { chain: ['mock'] }, priority: { chain: ['mock'] } } });
+});
+
+const modelCalls = (issueKey) => getProvider('mock').calls.filter(call => call.issueKey === issueKey).length;
+
+test('returns the stored result for an unchanged ticket without calling the models', async () => {
+  const first = await invoke(handler, createRequest(issuePayload('CACHE-1')));
+  const second = await invoke(handler, createRequest(issuePayload('CACHE-1', {}, { webhookEvent: 'jira:issue_updated' })));
+
+  assert.equal(first.body.cached, false);
+  assert.equal(second.body.cached, true);
+  assert.equal(second.body.cachedRequestId, first.body.requestId);
+  assert.notEqual(second.body.requestId, first.body.requestId);
+  assert.equal(second.body.recommendation, first.body.recommendation);
+  assert.equal(modelCalls('CACHE-1'), 2);
+});
+
+test('re-runs triage when a prompt field changes', async () => {
+  await invoke(handler, createRequest(issuePayload('CACHE-2')));
+  const edited = await invoke(handler, createRequest(issuePayload('CACHE-2', { labels: ['enterprise'] })));
+
+  assert.equal(edited.body.cached, false);
+  assert.equal(modelCalls('CACHE-2'), 4);
+});
+
+test('ignores the write-back labels in the hash and the prompts', async () => {
+  await invoke(handler, createRequest(issuePayload('CACHE-5', { labels: ['enterprise'] })));
+  const labels = ['enterprise', 'ai-triage-standard', 'ai-theme-search'];
+  const echo = await invoke(handler, createRequest(issuePayload('CACHE-5', { labels }, { webhookEvent: 'jira:issue_updated' })));
+
+  assert.equal(echo.body.cached, true);
+  assert.equal(modelCalls('CACHE-5'), 2);
+  const prompt = getProvider('mock').calls.find(call => call.issueKey === 'CACHE-5' && call.agent === 'priority').prompt;
+  assert.doesNotMatch(prompt, /ai-triage-|ai-theme-/);
+});
+
+test('a cache hit still writes back when the request asks for it', async () => {
+  await invoke(handler, createRequest(issuePayload('CACHE-6')));
+
+  const requested = await invoke(handler, createRequest(issuePayload('CACHE-6'), { query: { writeback: 'true' } }));
+  assert.equal(requested.body.cached, true);
+  assert.deepEqual(requested.body.writeBack, { status: 'skipped', reason: 'Jira connection not configured', steps: [] });
+
+  process.env.JIRA_WRITEBACK = 'true';
+  try {
+    const configured = await invoke(handler, createRequest(issuePayload('CACHE-6')));
+    assert.equal(configured.body.cached, true);
+    assert.equal(configured.body.writeBack.status, 'skipped');
+    assert.match(configured.body.writeBack.reason, /^Cached result, written back by request /);
+  } finally {
+    delete process.env.JIRA_WRITEBACK;
+  }
+});
+
+test('force=true bypasses the cache', async () => {
+  await invoke(handler, createRequest(issuePayload('CACHE-3')));
+  const forcedByQuery = await invoke(handler, createRequest(issuePayload('CACHE-3'), { query: { force: 'true' } }));
+  const forcedByBody = await invoke(handler, createRequest({ ...issuePayload('CACHE-3'), force: true }));
+
+  assert.equal(forcedByQuery.body.cached, false);
+  assert.equal(forcedByBody.body.cached, false);
+  assert.equal(modelCalls('CACHE-3'), 6);
+});
+
+test('does not cache failed analyses', async () => {
+  setLlmConfig({
+    providers: { mock: { type: 'mock', fixtures: { default: { priority: { $error: 'down' } } } } },
+    agents: { theme: { chain: ['mock'] }, priority: { chain: ['mock'] } }
+  });
+
+  await invoke(handler, createRequest(issuePayload('CACHE-4')));
+  const retry = await invoke(handler, createRequest(issuePayload('CACHE-4')));
+
+  assert.equal(retry.body.cached, false);
+});
+
+test('hashes only the fields that feed the prompts', () => {
+  const base = issuePayload('HASH-1', { labels: ['a', 'b'], components: [{ name: 'API' }] }).issue;
+  const reordered = issuePayload('HASH-1', { labels: ['b', 'a'], components: [{ name: 'API' }], assignee: { displayName: 'Someone' } }).issue;
+  const reprioritized = issuePayload('HASH-1', { labels: ['a', 'b'], components: [{ name: 'API' }], priority: { name: 'Low' } }).issue;
+
+  const writtenBack = issuePayload('HASH-1', { labels: ['a', 'ai-triage-fast-track', 'b', 'ai-theme-search'], components: [{ name: 'API' }] }).issue;
+
+  assert.equal(computeContentHash(base), computeContentHash(reordered));
+  assert.equal(computeContentHash(base), computeContentHash(writtenBack));
+  assert.notEqual(computeContentHash(base), computeContentHash(reprioritized));
+});
@@ -0,0 +1,102 @@
+import { createRequest, invoke, issuePayload } from './helpers.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/triage.js';
+import { setLlmConfig } from '../lib/providers/index.js';
+import { getCollection } from '../lib/storage.js';
+import { queryTriageHistory, recordTriage, snapshotIssue } from '../lib/triage-history.js';
+
+beforeEach(() => {
+  setLlmConfig({ agents: { theme: { chain: ['mock'] }, priority: { chain: ['mock'] } } });
+  getCollection('triage-history').clear();
+});
+
+const get = (options) => invoke(handler, createRequest(undefined, { method: 'GET', ...options }));
+
+test('stores every triage run with the issue snapshot, models, timings and logged actions', async () => {
+  const triaged = await invoke(handler, createRequest(issuePayload('HIST-1', { labels: ['enterprise'] })));
+
+  const res = await get({ params: { issueKey: 'HIST-1' } });
+
+  assert.equal(res.statusCode, 200);
+  const run = res.body.latest;
+  assert.equal(run.issueKey, 'HIST-1');
+  assert.deepEqual(run.issue.fields.labels, ['enterprise']);
+  assert.equal(run.issue.fields.priority, 'High');
+  assert.equal(run.recommendation, triaged.body.recommendation);
+  assert.equal(run.notes, triaged.body.notes);
+  assert.equal(typeof run.scores.overall_priority, 'number');
+  assert.equal(run.modelUsed.priority, 'Mock Provider');
+  assert.equal(typeof run.timings.processingTime, 'number');
+  assert.ok(run.logActions.includes('PROCESSING_COMPLETE'));
+  assert.ok(run.actions.includes('Started processing'));
+  // Compact: neither the log entries (with the webhook body) nor a copy of the response
+  assert.equal(run.logs, undefined);
+  assert.equal(run.response, undefined);
+  assert.ok(JSON.stringify(run).length < 5000);
+});
+
+test('returns every run of a ticket newest first, via params or the rewritten query', async () => {
+  await invoke(handler, createRequest(issuePayload('HIST-2')));
+  await invoke(handler, createRequest(issuePayload('HIST-2', { summary: 'Second look' })));
+
+  const res = await get({ query: { issueKey: 'HIST-2' } });
+
+  assert.equal(res.body.runs.length, 2);
+  assert.equal(res.body.runs[0].summary, 'Second look');
+  assert.equal(res.body.latest.requestId, res.body.runs[0].requestId);
+  assert.equal(res.body.runs[0].logs, undefined);
+});
+
+test('returns 404 for tickets that were never triaged', async () => {
+  const res = await get({ params: { issueKey: 'NOPE-1' } });
+
+  assert.equal(res.statusCode, 404);
+  assert.match(res.body.error, /No triage history for NOPE-1/);
+});
+
+test('filters runs by theme, recommendation and date', async () => {
+  recordTriage({ requestId: 'r1', issueKey: 'Q-1', theme: 'SEARCH & DISCOVERY - REVIEW', recommendation: 'Standard', createdAt: '2025-01-10T00:00:00.000Z' });
+  recordTriage({ requestId: 'r2', issueKey: 'Q-2', theme: 'SEARCH & DISCOVERY - REVIEW', recommendation: 'Fast Track', createdAt: '2025-02-10T00:00:00.000Z' });
+  recordTriage({ requestId: 'r3', issueKey: 'Q-3', theme: 'AI & AUTOMATION -', recommendation: 'Standard', createdAt: '2025-03-10T00:00:00.000Z' });
+
+  const byTheme = await get({ query: { theme: 'search & discovery - review' } });
+  assert.deepEqual(byTheme.body.runs.map(run => run.issueKey), ['Q-2', 'Q-1']);
+
+  const byRecommendation = await get({ query: { recommendation: 'Standard', since: '2025-02-01' } });
+  assert.deepEqual(byRecommendation.body.runs.map(run => run.issueKey), ['Q-3']);
+
+  assert.equal(queryTriageHistory({ limit: 1 }).length, 1);
+});
+
+test('rejects an invalid since date', async () => {
+  const res = await get({ query: { since: 'last tuesday' } });
+
+  assert.equal(res.statusCode, 400);
+});
+
+test('rejects a limit that is not a positive integer', async () => {
+  for (const limit of ['ten', '0', '2.5']) {
+    const res = await get({ query: { limit } });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /Invalid "limit"/);
+  }
+  assert.equal((await get({ query: { limit: '1' } })).statusCode, 200);
+});
+
+test('prunes the oldest runs beyond TRIAGE_HISTORY_MAX', () => {
+  process.env.TRIAGE_HISTORY_MAX = '2';
+  try {
+    ['a', 'b', 'c'].forEach((id, index) => recordTriage({ requestId: id, issueKey: `P-${id}`, createdAt: `2025-01-0${index + 1}T00:00:00.000Z` }));
+    assert.deepEqual(queryTriageHistory().map(run => run.requestId), ['c', 'b']);
+  } finally {
+    delete process.env.TRIAGE_HISTORY_MAX;
+  }
+});
+
+test('snapshots only the triage-relevant issue fields', () => {
+  const snapshot = snapshotIssue({ key: 'S-1', fields: { summary: 'x', components: [{ name: 'API' }], customfield_1: 'noise' } });
+
+  assert.deepEqual(snapshot.fields.components, ['API']);
+  assert.equal(snapshot.fields.customfield_1, undefined);
+});